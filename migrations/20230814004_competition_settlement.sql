@@ -0,0 +1,11 @@
+-- Migration 004: End-of-week competition settlement
+-- SAFE: Adds new columns without affecting existing data
+
+-- When the settlement job closed out the competition (NULL = still live)
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP;
+
+-- Frozen standings written at settlement
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS final_rank INTEGER;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS final_score NUMERIC;
+
+CREATE INDEX IF NOT EXISTS idx_competitions_unsettled ON competitions(end_at) WHERE settled_at IS NULL;
@@ -0,0 +1,11 @@
+-- Migration 005: Backfill duration bonus and final score on closed trades
+-- SAFE: Only fills columns that were never written (final_score IS NULL)
+
+-- Closed trades used to get no bonus at all; apply the same 1%/day (max 7%)
+-- rule that src/scoring.js now writes at close time
+UPDATE trades
+SET duration_bonus_pct = LEAST(GREATEST(EXTRACT(EPOCH FROM (exit_time - entry_time)) / 86400, 0), 7),
+    final_score = pnl_pct + LEAST(GREATEST(EXTRACT(EPOCH FROM (exit_time - entry_time)) / 86400, 0), 7)
+WHERE status = 'closed' AND final_score IS NULL AND pnl_pct IS NOT NULL AND exit_time IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_trades_final_score ON trades(entry_id, final_score) WHERE status = 'closed';
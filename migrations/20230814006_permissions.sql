@@ -0,0 +1,17 @@
+-- Migration 006: Role-based permissions
+-- SAFE: New table only
+
+-- Per-guild grants to a Discord user or role
+-- 'admin' implies every other permission
+CREATE TABLE IF NOT EXISTS permissions (
+  id            SERIAL PRIMARY KEY,
+  guild_id      VARCHAR(32)  NOT NULL,
+  subject_type  VARCHAR(8)   NOT NULL CHECK (subject_type IN ('user', 'role')),
+  subject_id    VARCHAR(32)  NOT NULL,   -- Discord user or role ID
+  permission    VARCHAR(32)  NOT NULL,   -- 'admin','resolver-editor','competition-manager'
+  granted_by    VARCHAR(32),             -- Discord ID of the granter
+  granted_at    TIMESTAMP    NOT NULL DEFAULT NOW(),
+  UNIQUE (guild_id, subject_type, subject_id, permission)
+);
+
+CREATE INDEX IF NOT EXISTS idx_permissions_guild ON permissions(guild_id, permission);
@@ -0,0 +1,24 @@
+-- Migration 007: Admin audit log
+-- SAFE: New table only
+
+-- One row per administrative mutation, with full before/after row snapshots
+-- so score corrections can be reviewed and reversed
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id              SERIAL PRIMARY KEY,
+  guild_id        VARCHAR(32),
+  actor_id        VARCHAR(32)  NOT NULL,   -- Discord ID of the admin
+  actor_username  VARCHAR(64),
+  action          VARCHAR(32)  NOT NULL,   -- 'trade.fix','trade.delete','mapping.add','undo', ...
+  target_type     VARCHAR(32)  NOT NULL,   -- 'trade','ticker_mapping','competition','permission'
+  target_id       VARCHAR(128) NOT NULL,
+  before_data     JSONB,                   -- NULL when the row did not exist
+  after_data      JSONB,                   -- NULL when the row was deleted
+  reason          TEXT,
+  created_at      TIMESTAMP    NOT NULL DEFAULT NOW(),
+  undone_at       TIMESTAMP,
+  undone_by       VARCHAR(32),
+  undo_of         INTEGER REFERENCES admin_audit_log(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_target ON admin_audit_log(target_type, target_id);
@@ -0,0 +1,15 @@
+-- Migration 008: Stop-loss / take-profit on trades
+-- SAFE: Adds new nullable columns
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS stop_loss NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS take_profit NUMERIC;
+
+-- Where the trade was opened, so trigger notifications land in the same channel
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS channel_id VARCHAR(32);
+
+-- How the trade was closed: 'manual','stop_loss','take_profit','settlement'
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS close_reason VARCHAR(16);
+
+-- The monitor only ever scans open trades that have a trigger set
+CREATE INDEX IF NOT EXISTS idx_trades_open_triggers ON trades(id)
+  WHERE status = 'open' AND (stop_loss IS NOT NULL OR take_profit IS NOT NULL);
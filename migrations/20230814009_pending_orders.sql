@@ -0,0 +1,26 @@
+-- Migration 009: Limit / pending entry orders
+-- SAFE: New table only
+-- Pending orders live in their own table rather than as a new trades.status:
+-- widening the trades status CHECK would mean dropping the constraint
+
+CREATE TABLE IF NOT EXISTS orders (
+  id                SERIAL PRIMARY KEY,
+  entry_id          INTEGER NOT NULL REFERENCES entries(id),
+  ticker            TEXT NOT NULL,
+  side              TEXT NOT NULL CHECK (side IN ('long','short')),
+  limit_price       NUMERIC NOT NULL,
+  -- Market was below the level at placement ('above' = fill on a rise) or above it ('below' = fill on a fall)
+  trigger_direction TEXT NOT NULL CHECK (trigger_direction IN ('above','below')),
+  stop_loss         NUMERIC,
+  take_profit       NUMERIC,
+  comment           TEXT,
+  channel_id        VARCHAR(32),
+  status            TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','filled','cancelled','expired')),
+  trade_id          INTEGER REFERENCES trades(id),  -- set once filled
+  expires_at        TIMESTAMP NOT NULL,             -- competition end
+  created_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  closed_at         TIMESTAMP                       -- filled / cancelled / expired time
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_entry ON orders(entry_id);
+CREATE INDEX IF NOT EXISTS idx_orders_pending ON orders(expires_at) WHERE status = 'pending';
@@ -0,0 +1,22 @@
+-- Migration 010: Virtual bankroll and position sizing
+-- SAFE: Adds new columns, backfills legacy rows at the default size
+
+-- Every entry starts the week with a virtual balance
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS starting_balance NUMERIC NOT NULL DEFAULT 10000;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS final_equity NUMERIC;  -- frozen at settlement
+
+-- Dollars committed to the position and the realized dollar P&L
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS size_usd NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS pnl_usd NUMERIC;
+
+-- Pending orders reserve their size at placement
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS size_usd NUMERIC;
+
+-- Legacy trades and orders get the default size: 10% of a 10,000 bankroll
+UPDATE trades SET size_usd = 1000 WHERE size_usd IS NULL;
+UPDATE trades SET pnl_usd = size_usd * pnl_pct / 100
+WHERE status = 'closed' AND pnl_usd IS NULL AND pnl_pct IS NOT NULL;
+UPDATE orders SET size_usd = 1000 WHERE size_usd IS NULL;
+
+-- New competitions rank by portfolio return
+ALTER TABLE competitions ALTER COLUMN scoring_mode SET DEFAULT 'portfolio';
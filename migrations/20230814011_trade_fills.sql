@@ -0,0 +1,28 @@
+-- Migration 011: Partial exits - one fill row per (partial) close of a trade
+-- SAFE: New table and column, backfilled from existing closed trades
+
+CREATE TABLE IF NOT EXISTS trade_fills (
+  id          SERIAL PRIMARY KEY,
+  trade_id    INTEGER NOT NULL REFERENCES trades(id),
+  size_usd    NUMERIC NOT NULL,   -- portion of the position closed by this fill
+  exit_price  NUMERIC NOT NULL,
+  pnl_pct     NUMERIC NOT NULL,   -- P&L of this fill
+  pnl_usd     NUMERIC NOT NULL,
+  reason      VARCHAR(16),        -- 'manual','stop_loss','take_profit','settlement'
+  fill_time   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_fills_trade ON trade_fills(trade_id);
+
+-- Size still open; trades.size_usd stays the original size
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS remaining_size_usd NUMERIC;
+
+UPDATE trades SET remaining_size_usd = CASE WHEN status = 'open' THEN size_usd ELSE 0 END
+WHERE remaining_size_usd IS NULL;
+
+-- Closed trades so far were closed in one go: one fill each
+INSERT INTO trade_fills (trade_id, size_usd, exit_price, pnl_pct, pnl_usd, reason, fill_time)
+SELECT t.id, t.size_usd, t.exit_price, t.pnl_pct, COALESCE(t.pnl_usd, 0), COALESCE(t.close_reason, 'manual'), COALESCE(t.exit_time, NOW())
+FROM trades t
+WHERE t.status = 'closed' AND t.exit_price IS NOT NULL AND t.pnl_pct IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM trade_fills f WHERE f.trade_id = t.id);
@@ -0,0 +1,16 @@
+-- Migration 012: Leveraged positions with liquidation
+-- SAFE: Adds new columns with defaults that keep existing trades unleveraged
+
+-- Per-competition cap; 1 means leverage is disabled for that week
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS max_leverage NUMERIC NOT NULL DEFAULT 1;
+
+-- size_usd is the margin; P&L on it is multiplied by leverage
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS leverage NUMERIC NOT NULL DEFAULT 1;
+-- Price at which the loss reaches -100% of margin (NULL when unleveraged)
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS liquidation_price NUMERIC;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS leverage NUMERIC NOT NULL DEFAULT 1;
+
+-- The monitor also scans open leveraged trades for liquidation
+CREATE INDEX IF NOT EXISTS idx_trades_open_liquidation ON trades(id)
+  WHERE status = 'open' AND liquidation_price IS NOT NULL;
@@ -0,0 +1,24 @@
+-- Migration 013: Competitions with arbitrary start/end, names and rule sets
+-- SAFE: Adds new columns and rekeys week_number in place (no constraints removed)
+
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS slug TEXT;   -- what `join <name>` matches
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'weekly' CHECK (kind IN ('weekly','custom'));
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS starting_balance NUMERIC NOT NULL DEFAULT 10000;
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS created_by VARCHAR(32);  -- Discord ID, NULL for weekly
+
+-- week_number stays UNIQUE NOT NULL, so it becomes a competition key:
+--   weekly competitions: ISO year * 100 + ISO week (202642), so years no longer collide
+--   custom competitions: negative numbers from a sequence, never a real week
+UPDATE competitions SET week_number = EXTRACT(ISOYEAR FROM start_at)::int * 100 + week_number
+WHERE week_number < 100;
+
+CREATE SEQUENCE IF NOT EXISTS competitions_custom_key_seq;
+ALTER TABLE competitions ALTER COLUMN week_number SET DEFAULT -nextval('competitions_custom_key_seq');
+
+UPDATE competitions
+SET name = 'Week ' || (week_number % 100),
+    slug = 'week-' || (week_number / 100) || '-' || lpad((week_number % 100)::text, 2, '0')
+WHERE name IS NULL AND week_number > 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_competitions_slug ON competitions(slug);
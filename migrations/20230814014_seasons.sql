@@ -0,0 +1,20 @@
+-- Migration 014: Seasons grouping a sequence of competitions
+-- SAFE: New table and a nullable column
+
+CREATE TABLE IF NOT EXISTS seasons (
+  id                SERIAL PRIMARY KEY,
+  name              TEXT NOT NULL,
+  slug              TEXT NOT NULL UNIQUE,
+  start_at          TIMESTAMP NOT NULL,
+  end_at            TIMESTAMP NOT NULL,
+  created_by        VARCHAR(32),
+  created_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  -- Set once every competition in the season is settled and the champion announced
+  completed_at      TIMESTAMP,
+  champion_user_id  INTEGER REFERENCES users(id)
+);
+
+-- Weekly competitions starting inside a season's window belong to it
+ALTER TABLE competitions ADD COLUMN IF NOT EXISTS season_id INTEGER REFERENCES seasons(id);
+
+CREATE INDEX IF NOT EXISTS idx_competitions_season ON competitions(season_id);
@@ -0,0 +1,26 @@
+-- Migration 015: Cached per-user trading summary behind /profile
+-- SAFE: New table; rows are (re)built per user on trade close or on first view
+
+CREATE TABLE IF NOT EXISTS trader_profiles (
+  user_id              INTEGER PRIMARY KEY REFERENCES users(id),
+  total_trades         INTEGER NOT NULL DEFAULT 0,   -- closed trades only
+  winning_trades       INTEGER NOT NULL DEFAULT 0,
+  losing_trades        INTEGER NOT NULL DEFAULT 0,
+  avg_winner_pct       NUMERIC,
+  avg_loser_pct        NUMERIC,
+  gross_profit_usd     NUMERIC NOT NULL DEFAULT 0,
+  gross_loss_usd       NUMERIC NOT NULL DEFAULT 0,   -- positive number
+  total_pnl_usd        NUMERIC NOT NULL DEFAULT 0,
+  best_trade_pct       NUMERIC,
+  worst_trade_pct      NUMERIC,
+  longest_win_streak   INTEGER NOT NULL DEFAULT 0,
+  longest_loss_streak  INTEGER NOT NULL DEFAULT 0,
+  long_trades          INTEGER NOT NULL DEFAULT 0,
+  short_trades         INTEGER NOT NULL DEFAULT 0,
+  avg_hold_seconds     NUMERIC,
+  favourite_tickers    JSONB NOT NULL DEFAULT '[]',  -- [{ ticker, count }], top 3
+  refreshed_at         TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Profile and history lookups go by user
+CREATE INDEX IF NOT EXISTS idx_entries_user_id ON entries(user_id);
@@ -0,0 +1,17 @@
+-- Migration 016: Periodic equity snapshots per competition entry
+-- SAFE: New table, written by the snapshot job from now on
+
+CREATE TABLE IF NOT EXISTS equity_snapshots (
+  id              BIGSERIAL PRIMARY KEY,
+  entry_id        INTEGER NOT NULL REFERENCES entries(id),
+  competition_id  INTEGER NOT NULL REFERENCES competitions(id),
+  taken_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  equity          NUMERIC NOT NULL,   -- balance + unrealized P&L of open positions
+  realized_usd    NUMERIC NOT NULL,   -- closed trades + partial fills so far
+  unrealized_usd  NUMERIC NOT NULL,
+  open_positions  INTEGER NOT NULL DEFAULT 0
+);
+
+-- An entry's curve, and a competition's history at a point in time
+CREATE INDEX IF NOT EXISTS idx_equity_snapshots_entry ON equity_snapshots(entry_id, taken_at);
+CREATE INDEX IF NOT EXISTS idx_equity_snapshots_competition ON equity_snapshots(competition_id, taken_at);
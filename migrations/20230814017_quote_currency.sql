@@ -0,0 +1,4 @@
+-- Migration 017: Per-user default quote currency for prices and P&L
+-- SAFE: New column with a default matching today's behaviour
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quote_currency VARCHAR(8) NOT NULL DEFAULT 'usd';
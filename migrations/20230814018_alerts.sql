@@ -0,0 +1,22 @@
+-- Migration 018: Price alerts
+-- SAFE: New table, written by the alert command and evaluator job
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id              SERIAL PRIMARY KEY,
+  user_id         INTEGER NOT NULL REFERENCES users(id),
+  ticker          VARCHAR(32) NOT NULL,
+  coin_id         VARCHAR(128) NOT NULL,  -- resolved once at creation, so the evaluator batches by coin
+  kind            VARCHAR(10) NOT NULL,   -- above | below | move
+  target          NUMERIC NOT NULL,       -- price for above/below, signed % for move
+  window_minutes  INTEGER,                -- move only: how far back the % is measured
+  created_price   NUMERIC NOT NULL,
+  deliver         VARCHAR(10) NOT NULL DEFAULT 'channel',  -- channel | dm
+  channel_id      VARCHAR(32),
+  status          VARCHAR(12) NOT NULL DEFAULT 'active',   -- active | triggered | deleted
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  triggered_at    TIMESTAMP,
+  triggered_price NUMERIC
+);
+
+-- The evaluator's pass and the per-user cap both read active alerts only
+CREATE INDEX IF NOT EXISTS idx_alerts_active ON alerts(user_id) WHERE status = 'active';
@@ -0,0 +1,11 @@
+-- Migration 019: Personal watchlists
+-- SAFE: New table, written by the watch command
+
+CREATE TABLE IF NOT EXISTS watchlist_items (
+  id        SERIAL PRIMARY KEY,
+  user_id   INTEGER NOT NULL REFERENCES users(id),
+  ticker    VARCHAR(32) NOT NULL,
+  coin_id   VARCHAR(128) NOT NULL,  -- pinned when added, so resolver changes never swap the coin
+  added_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, ticker)
+);
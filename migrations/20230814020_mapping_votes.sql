@@ -0,0 +1,21 @@
+-- Migration 020: Community votes on ticker mappings
+-- SAFE: New table and a nullable column, written by the mapping command
+
+-- One vote per user per mapping target (ticker + coin): voting again replaces
+-- the vote, and a ticker remapped to another coin starts from a clean slate
+CREATE TABLE IF NOT EXISTS mapping_votes (
+  id            SERIAL PRIMARY KEY,
+  ticker        VARCHAR(64) NOT NULL,
+  coingecko_id  VARCHAR(128) NOT NULL,
+  user_id       INTEGER NOT NULL REFERENCES users(id),
+  vote          SMALLINT NOT NULL CHECK (vote IN (-1, 1)),
+  weight        NUMERIC(4,2) NOT NULL,   -- voter's weight when the vote was cast
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (ticker, coingecko_id, user_id)
+);
+
+-- Set while weighted disputes outnumber confirmations past the review threshold
+ALTER TABLE ticker_mappings ADD COLUMN IF NOT EXISTS review_flagged_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_ticker_mappings_review ON ticker_mappings(review_flagged_at) WHERE review_flagged_at IS NOT NULL;
@@ -0,0 +1,189 @@
+// src/alerts.js
+// Price alerts: "btc above 70000" or "eth moves -5% within 1h"
+// The evaluator runs every minute on the cg-batcher price path - every user's
+// alerts share one batched request per pass, one coin ID however many
+// people watch it - and each alert fires once, by DM or in its channel
+
+import cron from 'node-cron';
+import { EmbedBuilder } from 'discord.js';
+import { query } from './db.js';
+import { getPrices } from './cg-batcher.js';
+import { formatPrice, formatPct } from './util/format.js';
+
+// Active alerts per user - bounds how many coins one member adds to each pass
+export const MAX_ACTIVE_ALERTS = Number(process.env.ALERT_LIMIT_PER_USER) || 10;
+
+// Move windows, and how long price samples are kept for them
+const MIN_WINDOW_MINUTES = 5;
+const MAX_WINDOW_MINUTES = 24 * 60;
+const WINDOW_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// coinId -> [{ time, price }], oldest first, one per pass
+// In memory only: after a restart move alerts measure from their own
+// creation price until the window has filled again
+const samples = new Map();
+
+let running = false;
+
+/**
+ * "30m", "1h", "4h", "1d" -> minutes; NaN when unparseable or outside 5m..24h
+ */
+export function parseWindow(text) {
+  const match = String(text || '').trim().toLowerCase().match(/^(\d+)(m|h|d)$/);
+  const minutes = match ? Number(match[1]) * WINDOW_UNITS[match[2]] : NaN;
+  return minutes >= MIN_WINDOW_MINUTES && minutes <= MAX_WINDOW_MINUTES ? minutes : NaN;
+}
+
+export function formatWindow(minutes) {
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+/**
+ * "BTC above $70000.00" / "ETH -5.00% within 1h"
+ */
+export function describeAlert(alert) {
+  const ticker = alert.ticker.toUpperCase();
+  if (alert.kind === 'move') return `${ticker} ${formatPct(Number(alert.target))} within ${formatWindow(alert.window_minutes)}`;
+  return `${ticker} ${alert.kind} $${formatPrice(Number(alert.target))}`;
+}
+
+/**
+ * Insert an alert unless the user is at the cap (checked in the same statement)
+ * Returns the alert row, or null at the cap
+ */
+export async function createAlert({ userId, ticker, coinId, kind, target, windowMinutes, createdPrice, deliver, channelId }) {
+  const { rows } = await query(
+    `INSERT INTO alerts (user_id, ticker, coin_id, kind, target, window_minutes, created_price, deliver, channel_id)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9
+     WHERE (SELECT COUNT(*) FROM alerts WHERE user_id = $1 AND status = 'active') < $10
+     RETURNING *`,
+    [userId, ticker, coinId, kind, target, windowMinutes ?? null, createdPrice, deliver, channelId ?? null, MAX_ACTIVE_ALERTS]
+  );
+  return rows[0] || null;
+}
+
+export async function listAlerts(userId) {
+  const { rows } = await query(
+    `SELECT * FROM alerts WHERE user_id = $1 AND status = 'active' ORDER BY id`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Delete one of the user's active alerts, returns the row or null
+ */
+export async function deleteAlert(alertId, userId) {
+  const { rows } = await query(
+    `UPDATE alerts SET status = 'deleted' WHERE id = $1 AND user_id = $2 AND status = 'active' RETURNING *`,
+    [alertId, userId]
+  );
+  return rows[0] || null;
+}
+
+function recordSample(coinId, price, now) {
+  const list = samples.get(coinId) || [];
+  list.push({ time: now, price });
+  while (list.length && now - list[0].time > MAX_WINDOW_MINUTES * 60 * 1000) list.shift();
+  samples.set(coinId, list);
+}
+
+/**
+ * Whether `price` fires the alert; move alerts compare against the high (for
+ * drops) or low (for rises) of the window, so "-5% in 1h" means 5% off the
+ * 1h high rather than exactly 1h ago
+ * Returns { move } for move alerts, {} for price levels, or null
+ */
+export function checkAlert(alert, price, history = [], now = Date.now()) {
+  const target = Number(alert.target);
+  if (alert.kind === 'above') return price >= target ? {} : null;
+  if (alert.kind === 'below') return price <= target ? {} : null;
+
+  const since = now - alert.window_minutes * 60 * 1000;
+  const created = new Date(alert.created_at).getTime();
+  const window = history.filter(s => s.time >= since).map(s => s.price);
+  if (created >= since) window.push(Number(alert.created_price));
+  if (!window.length) return null;
+
+  const reference = target < 0 ? Math.max(...window) : Math.min(...window);
+  const move = (price / reference - 1) * 100;
+  return (target < 0 ? move <= target : move >= target) ? { move } : null;
+}
+
+function buildAlertEmbed(alert, price, hit) {
+  return new EmbedBuilder()
+    .setTitle(`🔔 ${describeAlert(alert)}`)
+    .setColor(alert.kind === 'below' || Number(alert.target) < 0 ? 0xff6600 : 0x00ff00)
+    .setDescription(`${alert.ticker.toUpperCase()} is at **$${formatPrice(price)}**${hit.move !== undefined ? ` (${formatPct(hit.move)} in ${formatWindow(alert.window_minutes)})` : ''}`)
+    .setFooter({ text: `Alert #${alert.id} • set at $${formatPrice(Number(alert.created_price))}` });
+}
+
+async function deliverAlert(client, alert, embed) {
+  if (!client) return;
+  try {
+    if (alert.deliver === 'channel' && alert.channel_id) {
+      const channel = await client.channels.fetch(alert.channel_id);
+      await channel.send({ content: `<@${alert.discord_id}>`, embeds: [embed] });
+    } else {
+      const user = await client.users.fetch(alert.discord_id);
+      await user.send({ embeds: [embed] });
+    }
+  } catch (err) {
+    console.error(`[ALERTS] Failed to deliver alert #${alert.id} (${alert.deliver}):`, err.message);
+  }
+}
+
+/**
+ * One evaluator pass over every active alert
+ */
+export async function runAlertEvaluator(client, now = Date.now()) {
+  const { rows: alerts } = await query(
+    `SELECT a.*, u.discord_id FROM alerts a JOIN users u ON u.id = a.user_id
+     WHERE a.status = 'active' ORDER BY a.id`
+  );
+  if (!alerts.length) {
+    samples.clear();
+    return;
+  }
+
+  const coinIds = [...new Set(alerts.map(a => a.coin_id))];
+  // Coins nobody alerts on any more stop being sampled - let their history go
+  for (const coinId of samples.keys()) {
+    if (!coinIds.includes(coinId)) samples.delete(coinId);
+  }
+  const quotes = await getPrices(coinIds);
+  const prices = new Map();
+  coinIds.forEach((coinId, idx) => {
+    if (quotes[idx]) prices.set(coinId, quotes[idx].price);
+  });
+
+  for (const alert of alerts) {
+    const price = prices.get(alert.coin_id);
+    if (!price) continue;
+    const hit = checkAlert(alert, price, samples.get(alert.coin_id), now);
+    if (!hit) continue;
+
+    // Guarded update: a delete or an overlapping pass wins cleanly
+    const { rowCount } = await query(
+      `UPDATE alerts SET status = 'triggered', triggered_at = NOW(), triggered_price = $1 WHERE id = $2 AND status = 'active'`,
+      [price, alert.id]
+    );
+    if (!rowCount) continue;
+    console.log(`[ALERTS] #${alert.id} ${describeAlert(alert)} fired at $${price}`);
+    await deliverAlert(client, alert, buildAlertEmbed(alert, price, hit));
+  }
+
+  // Sampled after checking, so a move is measured against earlier passes
+  for (const [coinId, price] of prices) recordSample(coinId, price, now);
+}
+
+export function scheduleAlertEvaluator(client, expr = '* * * * *') {
+  cron.schedule(expr, async () => {
+    if (running) return;
+    running = true;
+    try { await runAlertEvaluator(client); } catch (e) { console.error('[ALERTS]', e); } finally { running = false; }
+  }, { timezone: process.env.TZ || 'UTC' });
+  console.log(`Alert evaluator scheduled (max ${MAX_ACTIVE_ALERTS} active alerts per user)`);
+}
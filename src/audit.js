@@ -0,0 +1,253 @@
+// src/audit.js
+// Admin audit log: every administrative mutation records full before/after
+// row snapshots, which is also what makes it reversible
+
+import { query, withTransaction } from './db.js';
+import smartResolver from './smart-resolver-v2.js';
+import { refreshTraderProfileForEntry } from './profile.js';
+
+// Row-level targets the log knows how to snapshot and restore
+const TARGETS = {
+  trade: { table: 'trades', key: 'id' },
+  ticker_mapping: { table: 'ticker_mappings', key: 'ticker' },
+  competition: { table: 'competitions', key: 'id' },
+  season: { table: 'seasons', key: 'id' },
+  permission: { table: 'permissions', key: 'id' }
+};
+
+// Rows that point at a target and would block or lose data when it is
+// deleted. Snapshots carry them under `name`: 'link' keeps the IDs of rows
+// whose foreign key is pointed back on undo (an order that filled into a
+// trade), 'rows' keeps whole rows that are put back with the target
+const RELATED = {
+  trade: [
+    { name: '_fills', table: 'trade_fills', fk: 'trade_id', restore: 'rows' },
+    { name: '_orders', table: 'orders', fk: 'trade_id', restore: 'link' }
+  ]
+};
+
+// 'undo' itself is not reversible - undo the original change again instead
+const IRREVERSIBLE_ACTIONS = new Set(['undo']);
+
+// Cached summaries derived from a target row, rebuilt in the same transaction
+// whenever an admin change or undo touches that row
+const DERIVED = {
+  trade: (runQuery, row) => refreshTraderProfileForEntry(row.entry_id, runQuery)
+};
+
+async function refreshDerived(runQuery, targetType, ...rows) {
+  const refresh = DERIVED[targetType];
+  if (!refresh) return;
+  const row = rows.find(Boolean);
+  if (row) await refresh(runQuery, row);
+}
+
+function targetConfig(targetType) {
+  const config = TARGETS[targetType];
+  if (!config) throw new Error(`Unknown audit target type: ${targetType}`);
+  return config;
+}
+
+function relatedSnapshotSql(targetType, key) {
+  const related = RELATED[targetType] || [];
+  if (!related.length) return 'to_jsonb(t)';
+  const fields = related.map(r => r.restore === 'rows'
+    ? `'${r.name}', (SELECT jsonb_agg(to_jsonb(c) ORDER BY c.id) FROM ${r.table} c WHERE c.${r.fk} = t.${key})`
+    : `'${r.name}', (SELECT jsonb_agg(c.id ORDER BY c.id) FROM ${r.table} c WHERE c.${r.fk} = t.${key})`);
+  // Empty relations are left out, so rows without any compare like before
+  return `to_jsonb(t) || jsonb_strip_nulls(jsonb_build_object(${fields.join(', ')}))`;
+}
+
+/**
+ * Current row as JSONB (so snapshots compare exactly in SQL), or null
+ * Includes the target's RELATED rows when it has any
+ */
+export async function snapshotRow(runQuery, targetType, targetId) {
+  const { table, key } = targetConfig(targetType);
+  const { rows } = await runQuery(
+    `SELECT ${relatedSnapshotSql(targetType, key)} AS row FROM ${table} t WHERE ${key}::text = $1`,
+    [String(targetId)]
+  );
+  return rows[0]?.row ?? null;
+}
+
+async function insertEntry(runQuery, ctx, entry) {
+  const { rows } = await runQuery(
+    `INSERT INTO admin_audit_log
+       (guild_id, actor_id, actor_username, action, target_type, target_id, before_data, after_data, reason, undo_of)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      ctx.guildId || null, ctx.user.id, ctx.user.username,
+      entry.action, entry.targetType, String(entry.targetId),
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null,
+      entry.reason || null, entry.undoOf || null
+    ]
+  );
+  return rows[0].id;
+}
+
+/**
+ * Run `mutate(runQuery)` and log it in the same transaction
+ * The target row is snapshotted before and after; returns { auditId, before, after, result }
+ * `targetId` may be a function of the mutation result for rows that don't exist yet
+ */
+export async function auditedChange(ctx, { action, targetType, targetId, reason }, mutate) {
+  return withTransaction(async (runQuery) => {
+    const knownId = typeof targetId === 'function' ? null : targetId;
+    const before = knownId != null ? await snapshotRow(runQuery, targetType, knownId) : null;
+    const result = await mutate(runQuery);
+    const id = typeof targetId === 'function' ? targetId(result) : targetId;
+    const after = id != null ? await snapshotRow(runQuery, targetType, id) : null;
+
+    if (id == null) return { auditId: null, before, after, result };
+    await refreshDerived(runQuery, targetType, after, before);
+
+    const auditId = await insertEntry(runQuery, ctx, { action, targetType, targetId: id, before, after, reason });
+    console.log(`[AUDIT] #${auditId} ${ctx.user.id} ${action} ${targetType}:${id}`);
+    return { auditId, before, after, result };
+  });
+}
+
+// Grants and revokes are per guild, so an entry recorded in one guild is
+// out of reach from any other (DMs included)
+function inGuild(entry, guildId) {
+  return !entry.guild_id || entry.guild_id === guildId;
+}
+
+/**
+ * One entry, or null when it doesn't exist or belongs to another guild
+ */
+export async function getAuditEntry(id, guildId) {
+  const { rows } = await query('SELECT * FROM admin_audit_log WHERE id = $1', [id]);
+  return rows[0] && inGuild(rows[0], guildId) ? rows[0] : null;
+}
+
+export async function listAuditEntries({ guildId, action, targetType, targetId, limit = 10 } = {}) {
+  const params = [];
+  const where = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+
+  // Entries recorded outside a guild (DMs, owners) show up everywhere
+  add('(guild_id = ? OR guild_id IS NULL)', guildId ?? null);
+  if (action) add('action = ?', action);
+  if (targetType) add('target_type = ?', targetType);
+  if (targetId) add('target_id = ?', String(targetId));
+  params.push(Math.min(Math.max(limit, 1), 25));
+
+  const { rows } = await query(
+    `SELECT * FROM admin_audit_log
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Identifiers come from our own snapshots, but never interpolate anything odd
+// (related rows ride along under _names, which are not columns)
+function safeColumns(row) {
+  return Object.keys(row).filter(c => /^[a-z][a-z0-9_]*$/.test(c));
+}
+
+// Detach related rows before the target row changes or goes away
+async function detachRelated(runQuery, targetType, targetId) {
+  for (const r of RELATED[targetType] || []) {
+    const sql = r.restore === 'rows'
+      ? `DELETE FROM ${r.table} WHERE ${r.fk}::text = $1`
+      : `UPDATE ${r.table} SET ${r.fk} = NULL WHERE ${r.fk}::text = $1`;
+    await runQuery(sql, [String(targetId)]);
+  }
+}
+
+// Put related rows back as the snapshot had them
+async function reattachRelated(runQuery, targetType, targetId, snapshot) {
+  for (const r of RELATED[targetType] || []) {
+    const saved = snapshot[r.name];
+    if (!saved?.length) continue;
+    if (r.restore === 'rows') {
+      await runQuery(`INSERT INTO ${r.table} SELECT * FROM jsonb_populate_recordset(NULL::${r.table}, $1)`, [JSON.stringify(saved)]);
+    } else {
+      await runQuery(`UPDATE ${r.table} SET ${r.fk} = $1 WHERE id = ANY($2::int[])`, [targetId, saved]);
+    }
+  }
+}
+
+/**
+ * Put a row back to `snapshot` (null = the row should not exist), related rows included
+ */
+async function restoreRow(runQuery, targetType, targetId, snapshot) {
+  const { table, key } = targetConfig(targetType);
+  await detachRelated(runQuery, targetType, targetId);
+
+  if (!snapshot) {
+    await runQuery(`DELETE FROM ${table} WHERE ${key}::text = $1`, [String(targetId)]);
+    return;
+  }
+
+  const cols = safeColumns(snapshot);
+  const list = cols.join(', ');
+  const { rowCount } = await runQuery(
+    `UPDATE ${table} SET (${list}) = (SELECT ${list} FROM jsonb_populate_record(NULL::${table}, $1))
+     WHERE ${key}::text = $2`,
+    [JSON.stringify(snapshot), String(targetId)]
+  );
+  if (!rowCount) {
+    await runQuery(
+      `INSERT INTO ${table} (${list}) SELECT ${list} FROM jsonb_populate_record(NULL::${table}, $1)`,
+      [JSON.stringify(snapshot)]
+    );
+  }
+  await reattachRelated(runQuery, targetType, targetId, snapshot);
+}
+
+/**
+ * Reverse an audit entry by restoring its before snapshot
+ * Refuses when the row has changed since, so a later edit is never clobbered
+ * Returns { ok, message, auditId }
+ */
+export async function undoAuditEntry(ctx, id, reason) {
+  const result = await withTransaction(async (runQuery) => {
+    const { rows } = await runQuery('SELECT * FROM admin_audit_log WHERE id = $1 FOR UPDATE', [id]);
+    const entry = rows[0];
+    if (!entry || !inGuild(entry, ctx.guildId)) return { ok: false, message: `Audit entry #${id} not found.` };
+    if (entry.undone_at) return { ok: false, message: `Audit entry #${id} was already undone.` };
+    if (IRREVERSIBLE_ACTIONS.has(entry.action) || !TARGETS[entry.target_type]) {
+      return { ok: false, message: `\`${entry.action}\` entries can't be undone.` };
+    }
+
+    const current = await snapshotRow(runQuery, entry.target_type, entry.target_id);
+    const { rows: same } = await runQuery('SELECT $1::jsonb IS NOT DISTINCT FROM $2::jsonb AS same', [
+      current ? JSON.stringify(current) : null,
+      entry.after_data ? JSON.stringify(entry.after_data) : null
+    ]);
+    if (!same[0].same) {
+      return { ok: false, message: `${entry.target_type} ${entry.target_id} has changed since #${id}. Undo the later change first.` };
+    }
+
+    await restoreRow(runQuery, entry.target_type, entry.target_id, entry.before_data);
+    const restored = await snapshotRow(runQuery, entry.target_type, entry.target_id);
+    await refreshDerived(runQuery, entry.target_type, restored, current);
+
+    const auditId = await insertEntry(runQuery, ctx, {
+      action: 'undo',
+      targetType: entry.target_type,
+      targetId: entry.target_id,
+      before: current,
+      after: restored,
+      reason,
+      undoOf: entry.id
+    });
+    await runQuery('UPDATE admin_audit_log SET undone_at = NOW(), undone_by = $1 WHERE id = $2', [ctx.user.id, entry.id]);
+
+    return { ok: true, entry, auditId, message: `Undid #${id} (\`${entry.action}\` on ${entry.target_type} ${entry.target_id}).` };
+  });
+
+  if (result.ok) {
+    console.log(`[AUDIT] #${result.auditId} ${ctx.user.id} undo of #${id}`);
+    if (result.entry.target_type === 'ticker_mapping') smartResolver.invalidate(result.entry.target_id);
+  }
+  return result;
+}
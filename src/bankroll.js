@@ -0,0 +1,97 @@
+// src/bankroll.js
+// Virtual bankroll per competition entry: position sizing against the
+// entry's balance and portfolio equity (realized + unrealized)
+
+import { query } from './db.js';
+import { calcPnlPct } from './scoring.js';
+import { formatUsd } from './util/format.js';
+
+export const DEFAULT_POSITION_PCT = 10; // size when a trade doesn't give one
+
+/**
+ * Balance, committed capital and what's left to size new positions with
+ * balance = starting balance + realized dollar P&L
+ *   (closed trades' pnl_usd plus partial fills on still-open trades)
+ * committed = open position sizes still held + sizes reserved by pending orders
+ */
+export async function getBankroll(entryId, runQuery = query) {
+  const { rows } = await runQuery(
+    `SELECT e.starting_balance,
+       (SELECT COALESCE(SUM(pnl_usd), 0) FROM trades WHERE entry_id = e.id AND status = 'closed')
+         + (SELECT COALESCE(SUM(f.pnl_usd), 0) FROM trade_fills f JOIN trades t ON t.id = f.trade_id
+            WHERE t.entry_id = e.id AND t.status = 'open') AS realized,
+       (SELECT COALESCE(SUM(remaining_size_usd), 0) FROM trades WHERE entry_id = e.id AND status = 'open') AS open_size,
+       (SELECT COALESCE(SUM(size_usd), 0) FROM orders WHERE entry_id = e.id AND status = 'pending') AS reserved
+     FROM entries e WHERE e.id = $1`,
+    [entryId]
+  );
+  const r = rows[0];
+  const startingBalance = Number(r.starting_balance);
+  const realizedPnl = Number(r.realized);
+  const balance = startingBalance + realizedPnl;
+  const committed = Number(r.open_size) + Number(r.reserved);
+  return { startingBalance, realizedPnl, balance, committed, available: balance - committed };
+}
+
+/**
+ * Turn a requested size (percent of balance or dollars) into dollars
+ * Returns { sizeUsd } or { error }
+ */
+export function resolvePositionSize({ sizePct, sizeUsd }, bankroll) {
+  let size;
+  if (sizeUsd != null) {
+    if (!(sizeUsd > 0)) return { error: 'Position size must be a positive dollar amount.' };
+    size = sizeUsd;
+  } else {
+    const pct = sizePct ?? DEFAULT_POSITION_PCT;
+    if (!(pct > 0 && pct <= 100)) return { error: 'Position size must be between 0% and 100% of your bankroll.' };
+    size = bankroll.balance * pct / 100;
+  }
+
+  // Allow for rounding on "100%"
+  if (size > bankroll.available + 0.005) {
+    return { error: `Not enough free bankroll: ${formatUsd(bankroll.available)} available of ${formatUsd(bankroll.balance)}.` };
+  }
+  if (!(size > 0)) return { error: 'Your bankroll is empty - no room for another position.' };
+  return { sizeUsd: Math.min(size, bankroll.available) };
+}
+
+/**
+ * Dollar P&L of an open position at the current price
+ */
+export function unrealizedPnlUsd(trade, currentPrice) {
+  const pnlPct = calcPnlPct(trade.side, Number(trade.entry_price), currentPrice, trade.leverage);
+  return Number(trade.remaining_size_usd ?? trade.size_usd ?? 0) * pnlPct / 100;
+}
+
+/**
+ * Portfolio equity: balance plus unrealized P&L of priced open positions
+ * Unpriced positions count at cost (zero P&L)
+ */
+export function calcEquity(startingBalance, realizedPnl, openTrades, prices) {
+  const unrealized = openTrades.reduce((sum, t) => {
+    const price = prices[t.ticker];
+    return price ? sum + unrealizedPnlUsd(t, price) : sum;
+  }, 0);
+  const equity = startingBalance + realizedPnl + unrealized;
+  return { equity, unrealized, returnPct: startingBalance ? (equity - startingBalance) / startingBalance * 100 : 0 };
+}
+
+/**
+ * Starting balance and realized P&L for every entry in a competition
+ * Returns Map(entry_id -> { startingBalance, realizedPnl })
+ */
+export async function getEntryBalances(competitionId, runQuery = query) {
+  const { rows } = await runQuery(
+    `SELECT e.id AS entry_id, e.starting_balance,
+       COALESCE(SUM(t.pnl_usd) FILTER (WHERE t.status = 'closed'), 0)
+         + COALESCE(SUM(f.partial) FILTER (WHERE t.status = 'open'), 0) AS realized
+     FROM entries e
+     LEFT JOIN trades t ON t.entry_id = e.id
+     LEFT JOIN (SELECT trade_id, SUM(pnl_usd) AS partial FROM trade_fills GROUP BY trade_id) f ON f.trade_id = t.id
+     WHERE e.competition_id = $1
+     GROUP BY e.id`,
+    [competitionId]
+  );
+  return new Map(rows.map(r => [r.entry_id, { startingBalance: Number(r.starting_balance), realizedPnl: Number(r.realized) }]));
+}
@@ -9,12 +9,14 @@ const BATCH_WINDOW_MS = 50; // Wait 50ms to collect requests
 const MAX_BATCH_SIZE = 250; // CoinGecko supports up to 250 IDs per request
 const CACHE_TTL_MS = 30 * 1000; // Cache prices for 30 seconds
 
-// State management
-const priceCache = new Map(); // coinId -> {price, change24h, marketCap, timestamp}
-const pendingRequests = new Map(); // coinId -> Promise
-let batchQueue = new Set(); // coinIds waiting to be batched
+// State management - everything is keyed by `${coinId}:${currency}`
+const priceCache = new Map(); // key -> {price, change24h, marketCap, currency, timestamp}
+const pendingRequests = new Map(); // key -> Promise
+let batchQueue = new Set(); // keys waiting to be batched
 let batchTimer = null;
 
+const cacheKey = (coinId, currency) => `${coinId}:${currency}`;
+
 /**
  * Get CoinGecko API configuration
  */
@@ -45,18 +47,21 @@ function isCacheValid(cacheEntry) {
 
 /**
  * Execute a batch request to CoinGecko
+ * One request covers every coin and every currency queued in the window;
+ * all returned quotes are cached, so a second currency for the same coin
+ * is usually already there. Returns Map(key -> result | null | Error)
  */
-async function executeBatch(coinIds) {
+async function executeBatch(coinIds, currencies) {
   const config = getCoinGeckoConfig();
   const idsParam = coinIds.join(',');
   
-  console.log(`Batching price request for ${coinIds.length} coins: ${idsParam.substring(0, 100)}${idsParam.length > 100 ? '...' : ''}`);
+  console.log(`Batching price request for ${coinIds.length} coins in ${currencies.join(',')}: ${idsParam.substring(0, 100)}${idsParam.length > 100 ? '...' : ''}`);
   
   try {
     const { data } = await axios.get(`${config.baseURL}/simple/price`, {
       params: {
         ids: idsParam,
-        vs_currencies: 'usd',
+        vs_currencies: currencies.join(','),
         include_24hr_change: true,
         include_market_cap: true,
         precision: 'full'
@@ -70,21 +75,25 @@ async function executeBatch(coinIds) {
     
     // Process successful results
     for (const coinId of coinIds) {
-      if (data[coinId] && data[coinId].usd !== null && data[coinId].usd !== undefined) {
-        const result = {
-          price: Number(data[coinId].usd),
-          change24h: Number(data[coinId].usd_24h_change || 0),
-          marketCap: data[coinId].usd_market_cap ? Number(data[coinId].usd_market_cap) : null,
-          timestamp,
-          source: config.baseURL.includes('pro-api') ? 'coingecko-pro' : 'coingecko-free'
-        };
-        
-        // Cache the result
-        priceCache.set(coinId, result);
-        results.set(coinId, result);
-      } else {
-        // Mark as not found
-        results.set(coinId, null);
+      for (const currency of currencies) {
+        const quote = data[coinId];
+        if (quote && quote[currency] !== null && quote[currency] !== undefined) {
+          const result = {
+            price: Number(quote[currency]),
+            change24h: Number(quote[`${currency}_24h_change`] || 0),
+            marketCap: quote[`${currency}_market_cap`] ? Number(quote[`${currency}_market_cap`]) : null,
+            currency,
+            timestamp,
+            source: config.baseURL.includes('pro-api') ? 'coingecko-pro' : 'coingecko-free'
+          };
+          
+          // Cache the result
+          priceCache.set(cacheKey(coinId, currency), result);
+          results.set(cacheKey(coinId, currency), result);
+        } else {
+          // Mark as not found
+          results.set(cacheKey(coinId, currency), null);
+        }
       }
     }
     
@@ -97,7 +106,9 @@ async function executeBatch(coinIds) {
     // Return error for all requested coins
     const errorResults = new Map();
     for (const coinId of coinIds) {
-      errorResults.set(coinId, new Error(`API error: ${error.message}`));
+      for (const currency of currencies) {
+        errorResults.set(cacheKey(coinId, currency), new Error(`API error: ${error.message}`));
+      }
     }
     return errorResults;
   }
@@ -109,10 +120,13 @@ async function executeBatch(coinIds) {
 async function processBatch() {
   if (batchQueue.size === 0) return;
   
-  const coinsToFetch = Array.from(batchQueue);
+  const keys = Array.from(batchQueue);
   batchQueue.clear();
   batchTimer = null;
   
+  const coinsToFetch = [...new Set(keys.map(k => k.slice(0, k.lastIndexOf(':'))))];
+  const currencies = [...new Set(keys.map(k => k.slice(k.lastIndexOf(':') + 1)))];
+  
   // Split into chunks if too many coins
   const chunks = [];
   for (let i = 0; i < coinsToFetch.length; i += MAX_BATCH_SIZE) {
@@ -120,27 +134,27 @@ async function processBatch() {
   }
   
   // Execute all chunks in parallel
-  const chunkPromises = chunks.map(chunk => executeBatch(chunk));
+  const chunkPromises = chunks.map(chunk => executeBatch(chunk, currencies));
   const chunkResults = await Promise.all(chunkPromises);
   
   // Combine results from all chunks
   const allResults = new Map();
   for (const chunkResult of chunkResults) {
-    for (const [coinId, result] of chunkResult) {
-      allResults.set(coinId, result);
+    for (const [key, result] of chunkResult) {
+      allResults.set(key, result);
     }
   }
   
   // Resolve all pending promises
-  for (const [coinId, result] of allResults) {
-    const pendingPromise = pendingRequests.get(coinId);
+  for (const [key, result] of allResults) {
+    const pendingPromise = pendingRequests.get(key);
     if (pendingPromise) {
-      pendingRequests.delete(coinId);
+      pendingRequests.delete(key);
       
       if (result instanceof Error) {
         pendingPromise.reject(result);
       } else if (result === null) {
-        pendingPromise.reject(new Error(`Price not found for ${coinId}`));
+        pendingPromise.reject(new Error(`Price not found for ${key}`));
       } else {
         pendingPromise.resolve(result);
       }
@@ -149,25 +163,26 @@ async function processBatch() {
 }
 
 /**
- * Get price for a single coin ID
+ * Get price for a single coin ID, in USD unless a quote currency is given
  * Automatically batches requests and caches results
  */
-export async function getPrice(coinId) {
+export async function getPrice(coinId, currency = 'usd') {
   if (!coinId || typeof coinId !== 'string') {
     throw new Error('Invalid coin ID');
   }
+  const key = cacheKey(coinId, currency);
   
   // Check cache first
-  const cached = priceCache.get(coinId);
+  const cached = priceCache.get(key);
   if (isCacheValid(cached)) {
-    console.log(`Cache hit: ${coinId}`);
+    console.log(`Cache hit: ${key}`);
     return cached;
   }
   
   // Check if already pending
-  if (pendingRequests.has(coinId)) {
-    console.log(`Request pending: ${coinId}`);
-    return pendingRequests.get(coinId).promise;
+  if (pendingRequests.has(key)) {
+    console.log(`Request pending: ${key}`);
+    return pendingRequests.get(key).promise;
   }
   
   // Create new pending request
@@ -177,14 +192,14 @@ export async function getPrice(coinId) {
     rejectPromise = reject;
   });
   
-  pendingRequests.set(coinId, {
+  pendingRequests.set(key, {
     promise,
     resolve: resolvePromise,
     reject: rejectPromise
   });
   
   // Add to batch queue
-  batchQueue.add(coinId);
+  batchQueue.add(key);
   
   // Schedule batch processing if not already scheduled
   if (!batchTimer) {
@@ -195,10 +210,10 @@ export async function getPrice(coinId) {
 }
 
 /**
- * Get prices for multiple coin IDs
+ * Get prices for multiple coin IDs in one quote currency (default USD)
  * Returns array in same order as input, with null for failed requests
  */
-export async function getPrices(coinIds) {
+export async function getPrices(coinIds, currency = 'usd') {
   if (!Array.isArray(coinIds) || coinIds.length === 0) {
     return [];
   }
@@ -215,7 +230,7 @@ export async function getPrices(coinIds) {
   // Request all prices (will be automatically batched)
   const pricePromises = validCoinIds.map(async (coinId, index) => {
     try {
-      const price = await getPrice(coinId);
+      const price = await getPrice(coinId, currency);
       return { index: coinIds.indexOf(coinId), price };
     } catch (error) {
       console.error(`Failed to get price for ${coinId}:`, error.message);
@@ -0,0 +1,206 @@
+// src/charts.js
+// Server-side chart images: charts are drawn as SVG strings and rasterised
+// to PNG with resvg (no canvas, no GPU), ready to attach to an embed
+// Colours follow Discord's dark theme so the images sit flush in a channel
+
+import { Resvg } from '@resvg/resvg-js';
+import { formatPrice } from './util/format.js';
+import { currencySymbol } from './util/currency.js';
+
+const WIDTH = 800;
+const FONT = 'DejaVu Sans, Arial, sans-serif';
+const COLORS = {
+  background: '#2b2d31',
+  grid: '#3f4147',
+  axis: '#b5bac1',
+  text: '#f2f3f5',
+  up: '#23a55a',
+  down: '#f23f43',
+  baseline: '#80848e'
+};
+// One per race line, in rank order
+const SERIES_COLORS = ['#ffd700', '#5865f2', '#23a55a', '#eb459e', '#f0b232'];
+const MARGIN = { top: 56, right: 24, bottom: 44, left: 84 };
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+function text(x, y, content, { size = 13, anchor = 'start', color = COLORS.text, weight = 'normal' } = {}) {
+  return `<text x="${x}" y="${y}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+}
+
+function svgDocument(height, body, title) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}">`
+    + `<rect width="100%" height="100%" fill="${COLORS.background}"/>`
+    + text(MARGIN.left, 32, title, { size: 18, weight: 'bold' })
+    + body
+    + '</svg>';
+}
+
+export function renderPng(svg) {
+  const resvg = new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' } });
+  return resvg.render().asPng();
+}
+
+/**
+ * Round tick values covering [min, max], e.g. 9800, 9900 ... 10300
+ */
+export function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) * 0.01 || 1;
+    min -= pad;
+    max += pad;
+  }
+  const rough = (max - min) / (count - 1);
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(Number(v.toPrecision(12)));
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+function formatAxisValue(value, unit, symbol = '$') {
+  if (unit === 'price') return `${symbol}${value >= 1000 ? Math.round(value).toLocaleString('en-US') : formatPrice(value).replace(/\.?0+$/, '')}`;
+  if (unit === '$') {
+    const abs = Math.abs(value);
+    const body = abs >= 1e6 ? `${(abs / 1e6).toFixed(2)}M` : Math.round(abs).toLocaleString('en-US');
+    return `${value < 0 ? '-' : ''}$${body}`;
+  }
+  return `${value.toFixed(Math.abs(value) < 10 ? 1 : 0)}${unit}`;
+}
+
+function formatTimeLabel(date, spanMs) {
+  const iso = date.toISOString();
+  return spanMs <= 2 * 24 * 60 * 60 * 1000 ? iso.slice(11, 16) : iso.slice(5, 10);
+}
+
+/**
+ * Shared frame for time series: gridlines, y labels and time labels
+ * Returns { body, x(time), y(value) }
+ */
+function timeFrame(height, { start, end, min, max, unit, symbol }, top = MARGIN.top) {
+  const plotW = WIDTH - MARGIN.left - MARGIN.right;
+  const plotH = height - top - MARGIN.bottom;
+  const ticks = niceTicks(min, max);
+  const lo = ticks[0];
+  const hi = ticks[ticks.length - 1];
+  const span = Math.max(end - start, 1);
+
+  const x = time => MARGIN.left + (time - start) / span * plotW;
+  const y = value => top + (hi - value) / (hi - lo) * plotH;
+
+  let body = '';
+  for (const tick of ticks) {
+    body += `<line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="${COLORS.grid}"/>`;
+    body += text(MARGIN.left - 8, y(tick) + 4, formatAxisValue(tick, unit, symbol), { size: 12, anchor: 'end', color: COLORS.axis });
+  }
+  for (let i = 0; i <= 4; i++) {
+    const t = start + span * i / 4;
+    body += text(x(t), height - MARGIN.bottom + 20, formatTimeLabel(new Date(t), span), { size: 12, anchor: 'middle', color: COLORS.axis });
+  }
+  return { body, x, y };
+}
+
+/**
+ * Step path through [{ time, value }], held flat to `end`
+ * Equity only moves at fills and snapshots, so steps are the honest shape
+ */
+function stepPath(points, x, y, end) {
+  let d = `M${x(points[0].time).toFixed(1)},${y(points[0].value).toFixed(1)}`;
+  for (const p of points.slice(1)) d += `H${x(p.time).toFixed(1)}V${y(p.value).toFixed(1)}`;
+  return `${d}H${x(end).toFixed(1)}`;
+}
+
+/**
+ * Horizontal bars, best first - rows [{ label, value }]
+ */
+export function renderBarChart(rows, { title, unit = '%' }) {
+  const barH = 26;
+  const gap = 10;
+  const height = MARGIN.top + rows.length * (barH + gap) + MARGIN.bottom;
+  const plotW = WIDTH - MARGIN.left - MARGIN.right - 80; // room for value labels
+  const labelW = 140;
+
+  const values = rows.map(r => r.value);
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  const span = max - min || 1;
+  const x = value => MARGIN.left + labelW + (value - min) / span * (plotW - labelW);
+
+  let body = `<line x1="${x(0)}" x2="${x(0)}" y1="${MARGIN.top - 6}" y2="${height - MARGIN.bottom + 6}" stroke="${COLORS.baseline}"/>`;
+  rows.forEach((r, idx) => {
+    const top = MARGIN.top + idx * (barH + gap);
+    const left = Math.min(x(0), x(r.value));
+    const barW = Math.max(Math.abs(x(r.value) - x(0)), 1);
+    const color = r.value >= 0 ? COLORS.up : COLORS.down;
+    body += text(MARGIN.left + labelW - 12, top + barH / 2 + 5, `${idx + 1}. ${r.label}`.slice(0, 20), { anchor: 'end' });
+    body += `<rect x="${left}" y="${top}" width="${barW}" height="${barH}" rx="3" fill="${color}"/>`;
+    body += text(Math.max(x(0), x(r.value)) + 8, top + barH / 2 + 5, `${r.value >= 0 ? '+' : ''}${r.value.toFixed(2)}${unit}`, { size: 12, color: COLORS.axis });
+  });
+  return renderPng(svgDocument(height, body, title));
+}
+
+/**
+ * One equity curve against its starting balance - points [{ time, value }]
+ */
+export function renderEquityChart(points, { title, startingBalance, end = new Date() }) {
+  const height = 360;
+  const values = [startingBalance, ...points.map(p => p.value)];
+  const start = points[0].time.getTime();
+  const { body: frame, x, y } = timeFrame(height, {
+    start, end: Math.max(end.getTime(), start + 1), min: Math.min(...values), max: Math.max(...values), unit: '$'
+  });
+  const color = points[points.length - 1].value >= startingBalance ? COLORS.up : COLORS.down;
+
+  const body = frame
+    + `<line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(startingBalance)}" y2="${y(startingBalance)}" stroke="${COLORS.baseline}" stroke-dasharray="6 4"/>`
+    + `<path d="${stepPath(points, x, y, end.getTime())}" fill="none" stroke="${color}" stroke-width="2.5"/>`;
+  return renderPng(svgDocument(height, body, title));
+}
+
+/**
+ * Up to five equity lines over the same window - series [{ label, points }]
+ */
+export function renderRaceChart(series, { title, start, end = new Date() }) {
+  const height = 420;
+  const legendY = MARGIN.top;
+  const values = series.flatMap(s => s.points.map(p => p.value));
+  const { body: frame, x, y } = timeFrame(height, {
+    start: start.getTime(), end: Math.max(end.getTime(), start.getTime() + 1), min: Math.min(...values), max: Math.max(...values), unit: '$'
+  }, legendY + 24);
+
+  let body = frame;
+  series.slice(0, SERIES_COLORS.length).forEach((s, idx) => {
+    const color = SERIES_COLORS[idx];
+    body += `<path d="${stepPath(s.points, x, y, end.getTime())}" fill="none" stroke="${color}" stroke-width="2.5"/>`;
+    // Legend row under the title
+    const lx = MARGIN.left + idx * 136;
+    body += `<rect x="${lx}" y="${legendY - 10}" width="10" height="10" fill="${color}"/>`;
+    body += text(lx + 16, legendY, s.label.slice(0, 14), { size: 12 });
+  });
+  return renderPng(svgDocument(height, body, title));
+}
+
+/**
+ * Price line with a shaded area, green or red by direction over the window
+ * points [{ time, value }], oldest first, quoted in `currency`
+ */
+export function renderPriceChart(points, { title, currency = 'usd' }) {
+  const height = 360;
+  const values = points.map(p => p.value);
+  const start = points[0].time.getTime();
+  const end = points[points.length - 1].time.getTime();
+  const { body: frame, x, y } = timeFrame(height, { start, end, min: Math.min(...values), max: Math.max(...values), unit: 'price', symbol: currencySymbol(currency).trim() });
+  const color = values[values.length - 1] >= values[0] ? COLORS.up : COLORS.down;
+
+  const line = points.map((p, idx) => `${idx ? 'L' : 'M'}${x(p.time.getTime()).toFixed(1)},${y(p.value).toFixed(1)}`).join('');
+  const floor = (height - MARGIN.bottom).toFixed(1);
+  const area = `${line}L${x(end).toFixed(1)},${floor}L${x(start).toFixed(1)},${floor}Z`;
+
+  const body = frame
+    + `<path d="${area}" fill="${color}" fill-opacity="0.15"/>`
+    + `<path d="${line}" fill="none" stroke="${color}" stroke-width="2"/>`;
+  return renderPng(svgDocument(height, body, title));
+}
@@ -0,0 +1,130 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { fetchCoinData } from '../price-enhanced-smart.js';
+import { ensureUser } from '../competition.js';
+import { MAX_ACTIVE_ALERTS, parseWindow, describeAlert, createAlert, deleteAlert } from '../alerts.js';
+import { parsePair } from '../util/tickers.js';
+import { formatPrice } from '../util/format.js';
+
+const DELIVERY_CHOICES = [{ name: 'here (this channel)', value: 'channel' }, { name: 'DM', value: 'dm' }];
+
+export const data = new SlashCommandBuilder()
+  .setName('alert')
+  .setDescription('🔔 price alerts: /alert price btc above 70000, /alert move eth -5 1h')
+  .addSubcommand(s=>s.setName('price').setDescription('alert when a coin crosses a price')
+    .addStringOption(o=>o.setName('ticker').setDescription('coin, e.g. btc').setRequired(true))
+    .addStringOption(o=>o.setName('condition').setDescription('above or below').setRequired(true)
+      .addChoices({ name: 'above', value: 'above' }, { name: 'below', value: 'below' }))
+    .addNumberOption(o=>o.setName('price').setDescription('USD price').setRequired(true).setMinValue(0))
+    .addStringOption(o=>o.setName('deliver').setDescription('where to send it (default here)').setRequired(false).addChoices(...DELIVERY_CHOICES)))
+  .addSubcommand(s=>s.setName('move').setDescription('alert when a coin moves a % within a window')
+    .addStringOption(o=>o.setName('ticker').setDescription('coin, e.g. eth').setRequired(true))
+    .addNumberOption(o=>o.setName('percent').setDescription('-5 for a 5% drop, 5 for a 5% rise').setRequired(true).setMinValue(-99).setMaxValue(1000))
+    .addStringOption(o=>o.setName('window').setDescription('5m to 1d, e.g. 1h (default 1d)').setRequired(false))
+    .addStringOption(o=>o.setName('deliver').setDescription('where to send it (default here)').setRequired(false).addChoices(...DELIVERY_CHOICES)))
+  .addSubcommand(s=>s.setName('delete').setDescription('delete one of your alerts')
+    .addIntegerOption(o=>o.setName('id').setDescription('alert ID from /alerts').setRequired(true)));
+
+export const rateLimited = true;
+
+const DEFAULT_WINDOW = '1d';
+const CONDITIONS = { '>': 'above', '>=': 'above', above: 'above', '<': 'below', '<=': 'below', below: 'below' };
+const USAGE = 'Usage: `shumi alert btc > 70000`, `shumi alert eth -5% 1h`, `shumi alert delete 3` - add `dm` to get it by DM';
+
+// shumi alert btc > 70000 [dm]
+// shumi alert eth -5% [1h] [dm]
+// shumi alert delete 3
+export function parseArgs(args) {
+  if (args[0] === 'delete') return { subcommand: 'delete', id: parseInt(String(args[1] || '').replace(/^#/, ''), 10) };
+
+  const deliver = args.includes('dm') ? 'dm' : undefined;
+  const text = args.filter(a => a !== 'dm').join(' ');
+
+  const level = text.match(/^(\S+?)\s*(>=?|<=?|above|below)\s*\$?([\d,]*\.?\d+)$/);
+  if (level) return { subcommand: 'price', ticker: level[1], condition: CONDITIONS[level[2]], price: Number(level[3].replace(/,/g, '')), deliver };
+
+  const move = text.match(/^(\S+)\s+([+-]?\d+(?:\.\d+)?)%(?:\s+(\S+))?$/);
+  if (move) return { subcommand: 'move', ticker: move[1], percent: Number(move[2]), window: move[3], deliver };
+
+  return { subcommand: null };
+}
+
+/**
+ * Validate and price the coin, returns { error } or { ticker, coinId, price }
+ */
+async function priceCoin(rawTicker) {
+  const ticker = String(rawTicker || '').replace(/^\$/, '').toLowerCase();
+  if (!ticker) return { error: USAGE };
+  if (parsePair(ticker)) return { error: 'Alerts watch single coins, e.g. `shumi alert eth > 4000`.' };
+  try {
+    const coinData = await fetchCoinData(ticker);
+    if (!coinData.coinId) return { error: `Alerts aren't available for ${ticker.toUpperCase()}.` };
+    return { ticker, coinId: coinData.coinId, price: coinData.price };
+  } catch (err) {
+    return { error: `Couldn't set the alert: ${err.message}` };
+  }
+}
+
+async function create(ctx, fields) {
+  await ctx.defer('Setting alert...');
+  const coin = await priceCoin(ctx.options.ticker);
+  if (coin.error) {
+    await ctx.reply({ content: coin.error, ephemeral: true });
+    return;
+  }
+
+  // An alert that is already true would fire on the next pass
+  if (fields.kind === 'above' && coin.price >= fields.target || fields.kind === 'below' && coin.price <= fields.target) {
+    await ctx.reply({ content: `${coin.ticker.toUpperCase()} is already ${fields.kind} $${formatPrice(fields.target)} (now $${formatPrice(coin.price)}).`, ephemeral: true });
+    return;
+  }
+
+  // Alerts made in DMs can only go back to DMs
+  const deliver = ctx.guildId ? ctx.options.deliver || 'channel' : 'dm';
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  const alert = await createAlert({
+    userId, ticker: coin.ticker, coinId: coin.coinId, ...fields, createdPrice: coin.price, deliver, channelId: ctx.channelId
+  });
+  if (!alert) {
+    await ctx.reply({ content: `You already have ${MAX_ACTIVE_ALERTS} active alerts. Delete one first - see \`shumi alerts\`.`, ephemeral: true });
+    return;
+  }
+
+  const where = deliver === 'dm' ? "I'll DM you" : "I'll post here";
+  await ctx.reply(`🔔 Alert #${alert.id} set: **${describeAlert(alert)}** (now $${formatPrice(coin.price)}). ${where} when it fires.`);
+}
+
+export async function execute(ctx) {
+  const { subcommand } = ctx.options;
+
+  if (subcommand === 'delete') {
+    const { id } = ctx.options;
+    if (!Number.isInteger(id)) {
+      await ctx.reply({ content: 'Usage: `shumi alert delete 3` - see `shumi alerts` for IDs', ephemeral: true });
+      return;
+    }
+    const userId = await ensureUser(ctx.user.id, ctx.user.username);
+    const alert = await deleteAlert(id, userId);
+    await ctx.reply(alert ? `Deleted alert #${alert.id}: ${describeAlert(alert)}` : `No active alert #${id} of yours found. See \`shumi alerts\`.`);
+  } else if (subcommand === 'price') {
+    const { condition, price } = ctx.options;
+    if (!CONDITIONS[condition] || !(price > 0)) {
+      await ctx.reply({ content: USAGE, ephemeral: true });
+      return;
+    }
+    await create(ctx, { kind: CONDITIONS[condition], target: price });
+  } else if (subcommand === 'move') {
+    const { percent } = ctx.options;
+    const windowMinutes = parseWindow(ctx.options.window || DEFAULT_WINDOW);
+    if (!percent || !(percent > -100)) {
+      await ctx.reply({ content: `Move must be a non-zero %, e.g. \`-5%\` or \`+10%\`. ${USAGE}`, ephemeral: true });
+      return;
+    }
+    if (!windowMinutes) {
+      await ctx.reply({ content: `Window must be between 5m and 1d, e.g. \`30m\`, \`4h\` or \`1d\`.`, ephemeral: true });
+      return;
+    }
+    await create(ctx, { kind: 'move', target: percent, windowMinutes });
+  } else {
+    await ctx.reply({ content: USAGE, ephemeral: true });
+  }
+}
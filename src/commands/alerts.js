@@ -0,0 +1,32 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { ensureUser } from '../competition.js';
+import { MAX_ACTIVE_ALERTS, listAlerts, describeAlert } from '../alerts.js';
+import { formatPrice } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('alerts')
+  .setDescription('view your active price alerts');
+
+function formatAlertLine(alert) {
+  const where = alert.deliver === 'dm' ? 'DM' : `<#${alert.channel_id}>`;
+  return `#${alert.id} **${describeAlert(alert)}** • set at $${formatPrice(Number(alert.created_price))} • ${where}`;
+}
+
+// shumi alerts
+export async function execute(ctx) {
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  const alerts = await listAlerts(userId);
+
+  if (!alerts.length) {
+    await ctx.reply(`${ctx.user.username}'s alerts: None. Set one with \`shumi alert btc > 70000\` or \`shumi alert eth -5% 1h\`.`);
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🔔 ${ctx.user.username}'s Alerts`)
+    .setColor(0x0099ff)
+    .setDescription(alerts.map(formatAlertLine).join('\n').slice(0, 4000))
+    .setFooter({ text: `${alerts.length}/${MAX_ACTIVE_ALERTS} active • each fires once • shumi alert delete <id>` });
+
+  await ctx.reply({ embeds: [embed] });
+}
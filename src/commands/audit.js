@@ -0,0 +1,99 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { requirePermission } from '../permissions.js';
+import { getAuditEntry, listAuditEntries, undoAuditEntry } from '../audit.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('audit')
+  .setDescription('📝 Browse and undo admin changes (admin only)')
+  .addSubcommand(s=>s.setName('list').setDescription('Recent admin changes')
+    .addStringOption(o=>o.setName('action').setDescription('Filter by action, e.g. trade.fix').setRequired(false))
+    .addStringOption(o=>o.setName('target').setDescription('Filter by target ID (trade ID, ticker...)').setRequired(false))
+    .addIntegerOption(o=>o.setName('limit').setDescription('How many (max 25)').setRequired(false).setMinValue(1).setMaxValue(25)))
+  .addSubcommand(s=>s.setName('show').setDescription('Show one entry with before/after')
+    .addIntegerOption(o=>o.setName('id').setDescription('Audit entry ID').setRequired(true)))
+  .addSubcommand(s=>s.setName('undo').setDescription('Reverse an admin change')
+    .addIntegerOption(o=>o.setName('id').setDescription('Audit entry ID').setRequired(true))
+    .addStringOption(o=>o.setName('reason').setDescription('Why it is being undone').setRequired(false)));
+
+// shumi audit [list [action] [target]] | shumi audit show 12 | shumi audit undo 12 [reason...]
+export function parseArgs(args) {
+  const subcommand = args[0] || 'list';
+  if (subcommand === 'show' || subcommand === 'undo') {
+    return { subcommand, id: parseInt(args[1], 10), reason: args.slice(2).join(' ') || undefined };
+  }
+  return { subcommand, action: args[1], target: args[2] };
+}
+
+const MAX_JSON = 900;
+
+function formatJson(value) {
+  if (!value) return '_none_';
+  const json = JSON.stringify(value, null, 1);
+  return `\`\`\`json\n${json.length > MAX_JSON ? json.slice(0, MAX_JSON) + '\n…' : json}\n\`\`\``;
+}
+
+function formatLine(e) {
+  const when = new Date(e.created_at).toISOString().slice(0, 16).replace('T', ' ');
+  const undone = e.undone_at ? ' ~~undone~~' : '';
+  const reason = e.reason ? ` - ${e.reason}` : '';
+  return `**#${e.id}** \`${e.action}\` ${e.target_type} ${e.target_id} by ${e.actor_username || e.actor_id} (${when})${undone}${reason}`;
+}
+
+async function showList(ctx) {
+  const { action, target, limit } = ctx.options;
+  const entries = await listAuditEntries({ guildId: ctx.guildId, action, targetId: target, limit: limit || 10 });
+
+  const embed = new EmbedBuilder()
+    .setTitle('📝 Admin Audit Log')
+    .setColor(0x5865f2)
+    .setDescription(entries.length ? entries.map(formatLine).join('\n').slice(0, 4000) : 'No matching entries.')
+    .setFooter({ text: 'shumi audit show <id> for details • shumi audit undo <id> to reverse' });
+
+  await ctx.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function showEntry(ctx, id) {
+  const entry = await getAuditEntry(id, ctx.guildId);
+  if (!entry) {
+    await ctx.reply({ content: `Audit entry #${id} not found.`, ephemeral: true });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 Audit #${entry.id}`)
+    .setColor(entry.undone_at ? 0x808080 : 0x5865f2)
+    .setDescription(formatLine(entry).slice(0, 4000))
+    .addFields(
+      { name: 'Before', value: formatJson(entry.before_data) },
+      { name: 'After', value: formatJson(entry.after_data) }
+    );
+  if (entry.undo_of) embed.addFields({ name: 'Undo of', value: `#${entry.undo_of}`, inline: true });
+  if (entry.undone_at) embed.addFields({ name: 'Undone by', value: `<@${entry.undone_by}>`, inline: true });
+
+  await ctx.reply({ embeds: [embed], ephemeral: true });
+}
+
+export async function execute(ctx) {
+  if (!(await requirePermission(ctx, 'admin'))) return;
+
+  const { subcommand, id, reason } = ctx.options;
+
+  if (subcommand === 'list') {
+    await showList(ctx);
+    return;
+  }
+
+  if ((subcommand === 'show' || subcommand === 'undo') && !Number.isInteger(id)) {
+    await ctx.reply({ content: `Usage: \`shumi audit ${subcommand} <id>\``, ephemeral: true });
+    return;
+  }
+
+  if (subcommand === 'show') {
+    await showEntry(ctx, id);
+  } else if (subcommand === 'undo') {
+    const result = await undoAuditEntry(ctx, id, reason);
+    await ctx.reply(result.ok ? `↩️ ${result.message} Logged as #${result.auditId}.` : `❌ ${result.message}`);
+  } else {
+    await ctx.reply({ content: 'Usage: `shumi audit list [action] [target]`, `shumi audit show <id>`, `shumi audit undo <id> [reason]`', ephemeral: true });
+  }
+}
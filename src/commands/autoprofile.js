@@ -1,9 +1,5 @@
 import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
-import pg from 'pg';
-
-const { Pool } = pg;
-const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-const query = (text, params) => pool.query(text, params);
+import { query } from '../db.js';
 
 export const data = new SlashCommandBuilder()
   .setName('autoprofile')
@@ -12,16 +8,22 @@ export const data = new SlashCommandBuilder()
     .addChoices({name:'on', value:'on'}, {name:'off', value:'off'}))
   .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
 
-export async function execute(interaction) {
-  const enabled = interaction.options.getString('state') === 'on';
+// Only registered when SHUMI_AUTOPROFILE=on
+export const enabled = () => (process.env.SHUMI_AUTOPROFILE || 'off') === 'on';
+
+// Slash only - text users cannot be checked against Manage Channels here
+export const slashOnly = true;
+
+export async function execute(ctx) {
+  const enabled = ctx.options.state === 'on';
   await query(`
     INSERT INTO channel_settings (channel_id, autoprofile_enabled)
     VALUES ($1, $2)
     ON CONFLICT (channel_id) DO UPDATE SET autoprofile_enabled=EXCLUDED.autoprofile_enabled, updated_at=NOW()
-  `, [interaction.channelId, enabled]);
+  `, [ctx.channelId, enabled]);
   
-  await interaction.reply({ 
-    content: `Auto-profile **${enabled ? 'enabled' : 'disabled'}** for <#${interaction.channelId}>.`, 
+  await ctx.reply({ 
+    content: `Auto-profile **${enabled ? 'enabled' : 'disabled'}** for <#${ctx.channelId}>.`, 
     ephemeral: true 
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,34 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { ensureUser } from '../competition.js';
+import { cancelOrder } from '../orders.js';
+import { formatTickerPrice } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('cancel')
+  .setDescription('cancel a pending limit order')
+  .addIntegerOption(o=>o.setName('id').setDescription('order ID from /orders').setRequired(true));
+
+export const rateLimited = true;
+
+// shumi cancel 12 (also accepts #12)
+export function parseArgs(args) {
+  return { id: parseInt(String(args[0] || '').replace(/^#/, ''), 10) };
+}
+
+export async function execute(ctx) {
+  const { id } = ctx.options;
+  if (!Number.isInteger(id)) {
+    await ctx.reply({ content: 'Usage: `shumi cancel 12` - see `shumi orders` for IDs', ephemeral: true });
+    return;
+  }
+
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  const order = await cancelOrder(id, userId);
+
+  if (!order) {
+    await ctx.reply(`No pending order #${id} of yours found. See \`shumi orders\`.`);
+    return;
+  }
+
+  await ctx.reply(`Cancelled order #${order.id}: ${order.side} ${order.ticker.toUpperCase()} @ ${formatTickerPrice(order.ticker, Number(order.limit_price))}`);
+}
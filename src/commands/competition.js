@@ -0,0 +1,128 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { requirePermission } from '../permissions.js';
+import { auditedChange } from '../audit.js';
+import {
+  createCompetition, findCompetition, listOpenCompetitions, competitionStatus,
+  parseDuration, parseStartTime, slugify, formatCountdown
+} from '../competition.js';
+import { getScoringStrategy, isValidScoringMode, listScoringModes } from '../scoring.js';
+import { formatUsd } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('competition')
+  .setDescription('🏆 Custom competitions: sprints, marathons, weekend specials')
+  .addSubcommand(s=>s.setName('create').setDescription('Create a competition (competition managers)')
+    .addStringOption(o=>o.setName('name').setDescription('Name people join with, e.g. weekend-special').setRequired(true))
+    .addStringOption(o=>o.setName('duration').setDescription('How long it runs: 12h, 1d, 2w, 1mo').setRequired(true))
+    .addStringOption(o=>o.setName('start').setDescription('Start time (UTC), e.g. 2026-10-24 or 2026-10-24T18:00 - default now').setRequired(false))
+    .addStringOption(o=>o.setName('scoring').setDescription('Scoring mode (default portfolio)').setRequired(false))
+    .addNumberOption(o=>o.setName('max_leverage').setDescription('Leverage cap, 1 disables leverage (default 1)').setRequired(false).setMinValue(1).setMaxValue(100))
+    .addNumberOption(o=>o.setName('starting_balance').setDescription('Virtual bankroll per entry (default 10000)').setRequired(false).setMinValue(1)))
+  .addSubcommand(s=>s.setName('list').setDescription('Running and upcoming competitions'));
+
+const MIN_DURATION_MS = 60 * 60 * 1000;
+const SLUG = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+// Text-only keyword options after "create <name> <duration>"
+const CREATE_KEYWORDS = { start: 'start', scoring: 'scoring', leverage: 'max_leverage', balance: 'starting_balance' };
+
+// shumi competition create <name> <duration> [start 2026-10-24T18:00] [scoring best_n] [leverage 5] [balance 5000]
+// shumi competition list
+export function parseArgs(args) {
+  const subcommand = args[0] || 'list';
+  if (subcommand !== 'create') return { subcommand };
+
+  const options = { subcommand, name: args[1], duration: args[2] };
+  for (let i = 3; i < args.length; i += 2) {
+    const key = CREATE_KEYWORDS[args[i]];
+    if (!key) continue;
+    options[key] = key === 'start' || key === 'scoring' ? args[i + 1] : Number(args[i + 1]);
+  }
+  return options;
+}
+
+/**
+ * Validate create options, returns { error } or the createCompetition fields
+ */
+function buildCompetition(options) {
+  const name = slugify(options.name);
+  if (!SLUG.test(name)) return { error: 'Name must be 2-32 letters, numbers or dashes, e.g. `weekend-special`.' };
+  if (name.startsWith('week-')) return { error: 'Names starting with `week-` are reserved for the weekly competition.' };
+
+  const durationMs = parseDuration(options.duration);
+  if (!(durationMs >= MIN_DURATION_MS)) return { error: 'Duration must be at least 1h, e.g. `12h`, `3d`, `2w` or `1mo`.' };
+
+  const startAt = parseStartTime(options.start);
+  if (!startAt) return { error: 'Start must be `now`, a date like `2026-10-24` or `2026-10-24T18:00` (UTC).' };
+  const endAt = new Date(startAt.getTime() + durationMs);
+  if (endAt <= new Date()) return { error: 'That competition would already be over.' };
+
+  if (options.scoring && !isValidScoringMode(options.scoring)) {
+    return { error: `Unknown scoring mode "${options.scoring}". Available: ${listScoringModes().join(', ')}` };
+  }
+  const maxLeverage = options.max_leverage ?? 1;
+  if (!(maxLeverage >= 1 && maxLeverage <= 100)) return { error: 'Max leverage must be between 1 (disabled) and 100.' };
+  const startingBalance = options.starting_balance ?? 10000;
+  if (!(startingBalance > 0)) return { error: 'Starting balance must be a positive amount.' };
+
+  return { name, startAt: startAt.toISOString(), endAt: endAt.toISOString(), scoringMode: options.scoring, maxLeverage, startingBalance };
+}
+
+function describeRules(c) {
+  const leverage = c.max_leverage > 1 ? `up to ${c.max_leverage}x` : 'off';
+  return `🎯 ${getScoringStrategy(c.scoring_mode).label} • 💰 ${formatUsd(c.starting_balance)} • Leverage ${leverage}`;
+}
+
+function formatCompetitionLine(c) {
+  const when = competitionStatus(c) === 'upcoming'
+    ? `starts ${formatCountdown(c.start_at)}`
+    : `ends ${formatCountdown(c.end_at)}`;
+  return `**${c.name}** (\`${c.slug}\`) - ${when}\n${describeRules(c)}`;
+}
+
+async function create(ctx) {
+  if (!(await requirePermission(ctx, 'competition-manager'))) return;
+
+  const fields = buildCompetition(ctx.options);
+  if (fields.error) {
+    await ctx.reply({ content: `${fields.error}\nUsage: \`shumi competition create <name> <duration> [start 2026-10-24T18:00] [scoring mode] [leverage 5] [balance 5000]\``, ephemeral: true });
+    return;
+  }
+  if (await findCompetition(fields.name)) {
+    await ctx.reply({ content: `A competition named \`${fields.name}\` already exists.`, ephemeral: true });
+    return;
+  }
+
+  const { auditId, result: id } = await auditedChange(ctx, { action: 'competition.create', targetType: 'competition', targetId: id => id }, runQuery =>
+    createCompetition({ ...fields, createdBy: ctx.user.id }, runQuery)
+  );
+  const competition = await findCompetition(fields.name);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏆 ${competition.name} created`)
+    .setColor(0xffd700)
+    .setDescription(`${formatCompetitionLine(competition)}\n\nJoin with \`shumi join ${competition.slug}\`, trade with \`shumi enter btc long in ${competition.slug}\``)
+    .setFooter({ text: `Competition #${id} • audit #${auditId}` });
+  await ctx.reply({ embeds: [embed] });
+}
+
+async function list(ctx) {
+  const competitions = await listOpenCompetitions();
+  const embed = new EmbedBuilder()
+    .setTitle('🏆 Competitions')
+    .setColor(0xffd700)
+    .setDescription(competitions.length ? competitions.map(formatCompetitionLine).join('\n\n').slice(0, 4000) : 'No running or upcoming competitions.')
+    .setFooter({ text: 'shumi join <name> • end enter, exit, positions, orders with "in <name>"' });
+  await ctx.reply({ embeds: [embed] });
+}
+
+export async function execute(ctx) {
+  const { subcommand } = ctx.options;
+  if (subcommand === 'create') {
+    await create(ctx);
+  } else if (subcommand === 'list') {
+    await list(ctx);
+  } else {
+    await ctx.reply({ content: 'Usage: `shumi competition list` or `shumi competition create <name> <duration>`', ephemeral: true });
+  }
+}
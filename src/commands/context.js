@@ -0,0 +1,110 @@
+// src/commands/context.js
+// Transport-neutral command context
+// A "shumi ..." text message and a slash interaction both become the same
+// ctx object, so every command module runs one code path for both
+
+const EPHEMERAL = 64; // MessageFlags.Ephemeral
+
+// Slash option types that carry nested options
+const SUB_COMMAND = 1;
+const SUB_COMMAND_GROUP = 2;
+
+/**
+ * Flatten interaction.options.data into a plain { name: value } object
+ * Subcommands become options.subcommand / options.subcommandGroup
+ */
+function flattenOptions(data = [], out = {}) {
+  for (const opt of data) {
+    if (opt.type === SUB_COMMAND_GROUP) {
+      out.subcommandGroup = opt.name;
+      flattenOptions(opt.options, out);
+    } else if (opt.type === SUB_COMMAND) {
+      out.subcommand = opt.name;
+      flattenOptions(opt.options, out);
+    } else {
+      out[opt.name] = opt.value;
+    }
+  }
+  return out;
+}
+
+function toPayload(payload) {
+  return typeof payload === 'string' ? { content: payload } : { ...payload };
+}
+
+/**
+ * Build a ctx for a "shumi <command> <args...>" message
+ */
+export function fromMessage(message, command, args) {
+  let pending = null;
+
+  return {
+    transport: 'text',
+    commandName: command.name,
+    args,
+    options: command.parseArgs ? command.parseArgs(args) : {},
+    user: { id: message.author.id, username: message.author.username },
+    member: message.member,
+    guild: message.guild,
+    guildId: message.guildId,
+    channelId: message.channelId,
+    channel: message.channel,
+    client: message.client,
+    mentions: message.mentions,
+
+    // Text has no defer - post a placeholder we later edit in place
+    async defer(placeholder = 'Working on it...') {
+      if (!pending) pending = await message.reply(placeholder);
+    },
+
+    async reply(payload) {
+      const { ephemeral, ...body } = toPayload(payload);
+      if (pending) {
+        return pending.edit({ content: body.content ?? null, embeds: body.embeds ?? [], components: body.components ?? [], files: body.files });
+      }
+      pending = await message.reply(body);
+      return pending;
+    }
+  };
+}
+
+/**
+ * Build a ctx for a chat input interaction
+ */
+export function fromInteraction(interaction, command) {
+  const raw = flattenOptions(interaction.options.data);
+
+  return {
+    transport: 'slash',
+    commandName: interaction.commandName,
+    args: [],
+    options: command.parseOptions ? command.parseOptions(raw) : raw,
+    user: { id: interaction.user.id, username: interaction.user.username },
+    member: interaction.member,
+    guild: interaction.guild,
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    channel: interaction.channel,
+    client: interaction.client,
+    interaction,
+
+    async defer() {
+      try {
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.deferReply();
+        }
+      } catch (err) {
+        console.log('[SLASH] defer skipped:', err.message);
+      }
+    },
+
+    async reply(payload) {
+      const { ephemeral, ...body } = toPayload(payload);
+      if (interaction.deferred || interaction.replied) {
+        return interaction.editReply(body);
+      }
+      await interaction.reply({ ...body, ...(ephemeral ? { flags: EPHEMERAL } : {}) });
+      return interaction.fetchReply();
+    }
+  };
+}
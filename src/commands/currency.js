@@ -0,0 +1,33 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { getQuoteCurrency, setQuoteCurrency } from '../competition.js';
+import { QUOTE_CURRENCIES, parseCurrency, currencySymbol } from '../util/currency.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('currency')
+  .setDescription('your default quote currency for prices and P&L')
+  .addStringOption(o=>o.setName('code').setDescription('currency to use from now on (leave empty to see yours)').setRequired(false)
+    .addChoices(...Object.keys(QUOTE_CURRENCIES).map(code => ({ name: code.toUpperCase(), value: code }))));
+
+const AVAILABLE = Object.keys(QUOTE_CURRENCIES).map(c => c.toUpperCase()).join(', ');
+
+// shumi currency [eur]
+export function parseArgs(args) {
+  return { code: args[0] };
+}
+
+export async function execute(ctx) {
+  if (!ctx.options.code) {
+    const current = await getQuoteCurrency(ctx.user.id);
+    await ctx.reply({ content: `Your quote currency is **${current.toUpperCase()}** (${currencySymbol(current).trim()}). Change it with \`shumi currency eur\`. Available: ${AVAILABLE}`, ephemeral: true });
+    return;
+  }
+  
+  const currency = parseCurrency(ctx.options.code);
+  if (!currency) {
+    await ctx.reply({ content: `Unknown currency "${ctx.options.code}". Available: ${AVAILABLE}`, ephemeral: true });
+    return;
+  }
+  
+  await setQuoteCurrency(ctx.user.id, ctx.user.username, currency);
+  await ctx.reply({ content: `Prices and P&L will now be quoted in **${currency.toUpperCase()}**. Trades still settle in virtual USD.`, ephemeral: true });
+}
@@ -0,0 +1,213 @@
+// Text-only admin command: shumi debug <subcommand> ...
+import { query } from '../db.js';
+import { normalizeTicker } from '../util/tickers.js';
+import { ensureCurrentWeek } from '../competition.js';
+import { requirePermission } from '../permissions.js';
+import { auditedChange } from '../audit.js';
+import { repriceTrade, exitPriceFixError } from '../trades.js';
+import smartResolver from '../smart-resolver-v2.js';
+import { getScoringStrategy, isValidScoringMode, listScoringModes } from '../scoring.js';
+
+export const name = 'debug';
+
+function undoHint(auditId) {
+  return `📝 Logged as audit #${auditId} - undo with \`shumi audit undo ${auditId}\``;
+}
+
+async function addTickerMapping(ctx, ticker, coingeckoId, reason) {
+  console.log(`[ADMIN] Adding ticker mapping: ${ticker} → ${coingeckoId}`);
+  
+  try {
+    // Check if mapping already exists
+    const existing = await query('SELECT * FROM ticker_mappings WHERE ticker = $1', [ticker]);
+    
+    if (existing.rows.length > 0) {
+      console.log(`[ADMIN] Ticker ${ticker} already exists: ${existing.rows[0].coingecko_id}`);
+      await ctx.reply(`⚠️ Ticker **${ticker.toUpperCase()}** already mapped to **${existing.rows[0].coingecko_id}**\nConfidence: ${existing.rows[0].confidence_score}, Banned: ${existing.rows[0].is_banned}`);
+      return;
+    }
+    
+    const { auditId } = await auditedChange(ctx, { action: 'mapping.add', targetType: 'ticker_mapping', targetId: ticker, reason }, async runQuery => {
+      await runQuery(`
+        INSERT INTO ticker_mappings (ticker, coingecko_id, confidence_score, hit_count, is_banned, source, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      `, [ticker, coingeckoId, 95, 1, false, 'admin']);
+      
+      // Clear any failed resolution entries
+      await runQuery('DELETE FROM failed_resolutions WHERE ticker = $1', [ticker]);
+    });
+    smartResolver.invalidate(ticker);
+    
+    console.log(`[ADMIN] Successfully added ticker mapping: ${ticker} → ${coingeckoId}`);
+    await ctx.reply(`✅ Added ticker mapping:\n**${ticker.toUpperCase()}** → **${coingeckoId}**\nConfidence: 95, Source: admin\n${undoHint(auditId)}`);
+  } catch (err) {
+    console.log(`[ADMIN] Error adding ticker mapping:`, err);
+    await ctx.reply(`❌ Failed to add ticker mapping: ${err.message}`);
+  }
+}
+
+export async function execute(ctx) {
+  if (!(await requirePermission(ctx, 'admin'))) return;
+  
+  const args = ctx.args;
+  const subcommand = args[0];
+  console.log(`[DEBUG] Command received. Subcommand: "${subcommand}", Args:`, args);
+  
+  if (!subcommand) {
+    await ctx.reply('Debug commands: `shumi debug [hype|lmeow|fartcoin|lido|ldo]`, `shumi debug fix [id] [price] [reason]`, `shumi debug delete [id] [reason]`, `shumi debug addticker [ticker] [coingecko_id]`, `shumi debug scoring [mode]`, `shumi debug leverage [max]`');
+    return;
+  }
+  
+  if (subcommand === 'hype' || subcommand === 'lmeow' || subcommand === 'fartcoin' || subcommand === 'lido' || subcommand === 'ldo') {
+    // Special case: if someone types "shumi debug lmeow velodrome velodrome-finance", add ticker mapping
+    if (subcommand === 'lmeow' && args[1] && args[2]) {
+      await addTickerMapping(ctx, args[1].toLowerCase(), args[2].toLowerCase(), args.slice(3).join(' '));
+      return;
+    }
+    
+    // Normal debug command behavior
+    const ticker = normalizeTicker(subcommand);
+    console.log(`[DEBUG ticker] raw:${subcommand} → normalized:${ticker}`);
+    const { rows } = await query(
+      "SELECT id, ticker, entry_price, exit_price, pnl_pct, entry_time, exit_time, status FROM trades WHERE ticker=$1 ORDER BY id DESC LIMIT 3",
+      [ticker]
+    );
+    if (!rows.length) {
+      await ctx.reply(`No ${ticker.toUpperCase()} trades found`);
+      return;
+    }
+    const debug = rows.map(r => `ID:${r.id} ${r.ticker} ${r.status} entry:$${r.entry_price} exit:$${r.exit_price || 'N/A'} pnl:${r.pnl_pct || 'N/A'}%`).join('\n');
+    await ctx.reply(`\`\`\`${debug}\`\`\``);
+  } else if (subcommand === 'fix' && args[1] && args[2]) {
+    // Fix any trade PnL: shumi debug fix TRADE_ID CORRECT_ENTRY_PRICE
+    const tradeId = args[1];
+    const correctEntryPrice = Number(args[2]);
+    
+    if (isNaN(correctEntryPrice) || correctEntryPrice <= 0) {
+      await ctx.reply('Invalid entry price. Use: shumi debug fix TRADE_ID PRICE');
+      return;
+    }
+    
+    // Get the trade details
+    const { rows } = await query("SELECT * FROM trades WHERE id=$1", [tradeId]);
+    if (!rows.length) {
+      await ctx.reply('Trade not found');
+      return;
+    }
+    
+    const trade = rows[0];
+    const oldEntryPrice = Number(trade.entry_price);
+    const oldPnl = Number(trade.pnl_pct);
+    
+    // Re-price the trade and its fills
+    const { auditId, result } = await auditedChange(ctx, { action: 'trade.fix', targetType: 'trade', targetId: trade.id, reason: args.slice(3).join(' ') }, runQuery =>
+      repriceTrade(trade.id, { entryPrice: correctEntryPrice }, runQuery)
+    );
+    
+    const pnlLine = result.pnlPct == null ? 'PnL: still open' : `PnL: ${oldPnl.toFixed(2)}% → ${result.pnlPct.toFixed(2)}%`;
+    await ctx.reply(`Fixed ${trade.ticker.toUpperCase()} trade ${tradeId}:\nEntry: $${oldEntryPrice} → $${correctEntryPrice}\n${pnlLine}\n${undoHint(auditId)}`);
+  } else if (subcommand === 'fixfull' && args[1] && args[2] && args[3]) {
+    // Fix both entry and exit prices: shumi debug fixfull TRADE_ID ENTRY_PRICE EXIT_PRICE
+    const tradeId = args[1];
+    const correctEntryPrice = Number(args[2]);
+    const correctExitPrice = Number(args[3]);
+    
+    if (isNaN(correctEntryPrice) || correctEntryPrice <= 0 || isNaN(correctExitPrice) || correctExitPrice <= 0) {
+      await ctx.reply('Invalid prices. Use: shumi debug fixfull TRADE_ID ENTRY_PRICE EXIT_PRICE');
+      return;
+    }
+    
+    // Get the trade details
+    const { rows } = await query("SELECT * FROM trades WHERE id=$1", [tradeId]);
+    if (!rows.length) {
+      await ctx.reply('Trade not found');
+      return;
+    }
+    
+    const trade = rows[0];
+    const oldEntryPrice = Number(trade.entry_price);
+    const oldExitPrice = Number(trade.exit_price);
+    const oldPnl = Number(trade.pnl_pct);
+    
+    const exitError = await exitPriceFixError(trade);
+    if (exitError) {
+      await ctx.reply(`${exitError} Use \`shumi debug fix ${tradeId} PRICE\` to correct the entry only.`);
+      return;
+    }
+    
+    // Re-price the trade and its fill
+    const { auditId, result } = await auditedChange(ctx, { action: 'trade.fixfull', targetType: 'trade', targetId: trade.id, reason: args.slice(4).join(' ') }, runQuery =>
+      repriceTrade(trade.id, { entryPrice: correctEntryPrice, exitPrice: correctExitPrice }, runQuery)
+    );
+    
+    await ctx.reply(`Fixed ${trade.ticker.toUpperCase()} trade ${tradeId}:\nEntry: $${oldEntryPrice} → $${correctEntryPrice}\nExit: $${oldExitPrice} → $${correctExitPrice}\nPnL: ${oldPnl.toFixed(2)}% → ${result.pnlPct.toFixed(2)}%\n${undoHint(auditId)}`);
+  } else if (subcommand === 'delete' && args[1]) {
+    // Delete a trade entirely: shumi debug delete TRADE_ID
+    const tradeId = args[1];
+    
+    // Get the trade details first
+    const { rows } = await query("SELECT * FROM trades WHERE id=$1", [tradeId]);
+    if (!rows.length) {
+      await ctx.reply('Trade not found');
+      return;
+    }
+    
+    const trade = rows[0];
+    
+    // Delete the trade - the audit snapshot keeps the row with its fills, so an
+    // undo brings back partial exits (and their realized P&L) too
+    const { auditId } = await auditedChange(ctx, { action: 'trade.delete', targetType: 'trade', targetId: trade.id, reason: args.slice(2).join(' ') }, async runQuery => {
+      await runQuery("DELETE FROM trade_fills WHERE trade_id=$1", [trade.id]);
+      // A limit order that filled into this trade keeps its row, minus the link
+      await runQuery("UPDATE orders SET trade_id=NULL WHERE trade_id=$1", [trade.id]);
+      await runQuery("DELETE FROM trades WHERE id=$1", [trade.id]);
+    });
+    
+    await ctx.reply(`🗑️ Deleted ${trade.ticker.toUpperCase()} trade ${tradeId}:\nEntry: $${trade.entry_price}, Exit: $${trade.exit_price || 'N/A'}, PnL: ${Number(trade.pnl_pct || 0).toFixed(2)}%\n\n${undoHint(auditId)}`);
+  } else if (subcommand === 'addticker' && args[1] && args[2]) {
+    // Add ticker mapping: shumi debug addticker TICKER COINGECKO_ID [reason...]
+    await addTickerMapping(ctx, args[1].toLowerCase(), args[2].toLowerCase(), args.slice(3).join(' '));
+  } else if (subcommand === 'scoring') {
+    // Show or change this week's scoring mode: shumi debug scoring [mode]
+    const { competition_id, scoring_mode } = await ensureCurrentWeek();
+    const mode = args[1];
+    
+    if (!mode) {
+      await ctx.reply(`This week's scoring mode: **${getScoringStrategy(scoring_mode).label}** (\`${scoring_mode}\`)\nAvailable: ${listScoringModes().map(m => `\`${m}\``).join(', ')} (best_n also accepts best_5 etc.)`);
+      return;
+    }
+    
+    if (!isValidScoringMode(mode)) {
+      await ctx.reply(`Unknown scoring mode "${mode}". Available: ${listScoringModes().join(', ')}`);
+      return;
+    }
+    
+    const { auditId } = await auditedChange(ctx, { action: 'competition.scoring', targetType: 'competition', targetId: competition_id, reason: args.slice(2).join(' ') }, runQuery =>
+      runQuery('UPDATE competitions SET scoring_mode=$1 WHERE id=$2', [mode, competition_id])
+    );
+    await ctx.reply(`Scoring mode for this week: \`${scoring_mode}\` → \`${mode}\` (${getScoringStrategy(mode).label})\n${undoHint(auditId)}`);
+  } else if (subcommand === 'leverage') {
+    // Show or change this week's leverage cap: shumi debug leverage [max] (1 disables leverage)
+    const { competition_id, max_leverage } = await ensureCurrentWeek();
+    const describe = max => max > 1 ? `up to ${max}x` : 'disabled';
+    
+    if (!args[1]) {
+      await ctx.reply(`Leverage this week: **${describe(max_leverage)}**. Change with \`shumi debug leverage [max]\` (1 disables).`);
+      return;
+    }
+    
+    const max = parseFloat(String(args[1]).replace(/x$/, ''));
+    if (!(max >= 1 && max <= 100)) {
+      await ctx.reply('Max leverage must be between 1 (disabled) and 100.');
+      return;
+    }
+    
+    const { auditId } = await auditedChange(ctx, { action: 'competition.leverage', targetType: 'competition', targetId: competition_id, reason: args.slice(2).join(' ') }, runQuery =>
+      runQuery('UPDATE competitions SET max_leverage=$1 WHERE id=$2', [max, competition_id])
+    );
+    await ctx.reply(`Leverage for this week: ${describe(max_leverage)} → **${describe(max)}** (open positions keep their leverage)\n${undoHint(auditId)}`);
+  } else {
+    console.log(`[DEBUG] Unknown subcommand: "${subcommand}"`);
+    await ctx.reply(`Unknown debug subcommand: "${subcommand}". Try: hype, lmeow, fartcoin, lido, ldo, fix, fixfull, delete, addticker, scoring, leverage`);
+  }
+}
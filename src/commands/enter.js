@@ -0,0 +1,209 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { fetchCoinData } from '../price-enhanced-smart.js';
+import { query } from '../db.js';
+import { requireCompetition, splitCompetitionArg, ensureUser, upsertEntry } from '../competition.js';
+import { openTrade, validateTriggers, calcLiquidationPrice } from '../trades.js';
+import { placeOrder, findPendingOrder } from '../orders.js';
+import { getBankroll, resolvePositionSize } from '../bankroll.js';
+import { formatTickerPrice, formatUsd } from '../util/format.js';
+import { parsePair } from '../util/tickers.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('enter')
+  .setDescription('enter a trade: /enter btc long, /enter sol long 25% 5x, /enter eth long $500 @ 2500')
+  .addStringOption(o=>o.setName('command').setDescription('ticker, side, size, leverage, optional @ limit, sl/tp and "in <competition>"').setRequired(true));
+
+export const rateLimited = true;
+
+const ENTRY_KEYWORDS = { sl: 'stopLoss', tp: 'takeProfit', '@': 'limitPrice' };
+
+const SIZE_PCT = /^\d+(\.\d+)?%$/;
+const SIZE_USD = /^\$?\d[\d,]*(\.\d+)?$/;
+const LEVERAGE = /^(\d+(\.\d+)?)x$/;
+
+function parsePriceArg(value) {
+  if (value === undefined) return NaN;
+  return Number(String(value).replace(/[$,]/g, ''));
+}
+
+const isSizeArg = a => SIZE_PCT.test(a) || SIZE_USD.test(a);
+
+/**
+ * Shared by `enter` and `trade enter`:
+ *   <ticker> [side] [SIZE% | $SIZE] [LEVx] [@ PRICE] [sl PRICE] [tp PRICE] [comment...]
+ * Side may be omitted (defaults to long); leftover words come back as `rest`
+ */
+export function parseEntryArgs(args) {
+  // "@2500" is the same as "@ 2500"
+  const [ticker, ...tail] = args.flatMap(a => /^@./.test(a) ? ['@', a.slice(1)] : [a]);
+  const options = { ticker, side: 'long', rest: [] };
+  
+  let i = 0;
+  if (tail[0] && !ENTRY_KEYWORDS[tail[0]] && !isSizeArg(tail[0]) && !LEVERAGE.test(tail[0])) options.side = tail[i++];
+  
+  while (i < tail.length) {
+    const key = ENTRY_KEYWORDS[tail[i]];
+    if (key) {
+      options[key] = parsePriceArg(tail[i + 1]);
+      i += 2;
+    } else if (options.leverage === undefined && LEVERAGE.test(tail[i])) {
+      options.leverage = parseFloat(tail[i++]);
+    } else if (options.sizePct === undefined && options.sizeUsd === undefined && isSizeArg(tail[i])) {
+      const arg = tail[i++];
+      if (arg.endsWith('%')) options.sizePct = parseFloat(arg);
+      else options.sizeUsd = parsePriceArg(arg);
+    } else {
+      options.rest.push(tail[i++]);
+    }
+  }
+  return options;
+}
+
+// shumi enter btc long [25% | $500] [5x] [@ 62000] [sl 60000] [tp 75000] [in <competition>]
+export function parseArgs(args) {
+  const { args: entryArgs, competition } = splitCompetitionArg(args);
+  const { rest, ...options } = parseEntryArgs(entryArgs);
+  return { ...options, competition };
+}
+
+// /enter command:"btc long"
+export function parseOptions(options) {
+  return parseArgs(String(options.command || '').trim().split(/\s+/).filter(Boolean));
+}
+
+function formatLeverage(leverage) {
+  return leverage > 1 ? ` • ${leverage}x` : '';
+}
+
+async function placeLimitOrder(ctx, { entryId, ticker, side, limitPrice, marketPrice, sizeUsd, leverage, stopLoss, takeProfit, comment, expiresAt }) {
+  const pending = await findPendingOrder(entryId, ticker);
+  if (pending) {
+    await ctx.reply(`You already have a pending ${pending.side} order on ${ticker.toUpperCase()} (#${pending.id}). Cancel it first with \`shumi cancel ${pending.id}\`.`);
+    return;
+  }
+  
+  const order = await placeOrder({ entryId, ticker, side, limitPrice, marketPrice, sizeUsd, leverage, stopLoss, takeProfit, comment, channelId: ctx.channelId, expiresAt });
+  const direction = order.trigger_direction === 'above' ? 'rises to' : 'drops to';
+  
+  const embed = new EmbedBuilder()
+    .setTitle('Limit Order Placed')
+    .setColor(0x0099ff)
+    .setDescription(`Fills when ${ticker.toUpperCase()} ${direction} ${formatTickerPrice(ticker, limitPrice)} (now ${formatTickerPrice(ticker, marketPrice)})`)
+    .addFields(
+      { name:'Ticker', value:ticker.toUpperCase(), inline:true },
+      { name:'Side', value:`${side === 'long' ? '📈' : '📉'} ${side.toUpperCase()}`, inline:true },
+      { name:'Limit Price', value:formatTickerPrice(ticker, limitPrice), inline:true },
+      { name:'Size', value:`${formatUsd(sizeUsd)}${formatLeverage(leverage)}`, inline:true },
+      { name:'Order ID', value:`#${order.id}`, inline:true }
+    )
+    .setFooter({ text: `${ctx.user.username} • Expires at competition end • shumi cancel ${order.id}` });
+  if (stopLoss != null) embed.addFields({ name:'Stop-Loss', value:formatTickerPrice(ticker, stopLoss), inline:true });
+  if (takeProfit != null) embed.addFields({ name:'Take-Profit', value:formatTickerPrice(ticker, takeProfit), inline:true });
+  await ctx.reply({ embeds:[embed] });
+}
+
+/**
+ * Open a position for the ctx user - shared by `enter` and `/trade action:enter`
+ */
+export async function enterTrade(ctx, { ticker, side = 'long', comment = '', stopLoss, takeProfit, limitPrice, sizePct, sizeUsd, leverage = 1, competition: competitionName }) {
+  if (!ticker) {
+    await ctx.reply({ content: 'Usage: `shumi enter btc long` or `/enter btc long`', ephemeral: true });
+    return;
+  }
+  // sol:eth and SOL/ETH are both stored as the pair sol/eth
+  ticker = parsePair(ticker)?.ticker ?? ticker.toLowerCase();
+  
+  if (!['long', 'short'].includes(side)) {
+    await ctx.reply({ content: `Side must be "long" or "short". Usage: \`shumi enter ${ticker} long\``, ephemeral: true });
+    return;
+  }
+  
+  if (limitPrice !== undefined && limitPrice !== null && !(limitPrice > 0)) {
+    await ctx.reply({ content: `Limit price must be a positive number. Usage: \`shumi enter ${ticker} ${side} @ 2500\``, ephemeral: true });
+    return;
+  }
+  
+  if (!(leverage >= 1)) {
+    await ctx.reply({ content: `Leverage must be at least 1x. Usage: \`shumi enter ${ticker} ${side} 5x\``, ephemeral: true });
+    return;
+  }
+  
+  const competition = await requireCompetition(ctx, competitionName, { active: true });
+  if (!competition) return;
+  const { competition_id, end_at, max_leverage } = competition;
+  if (leverage > max_leverage) {
+    await ctx.reply(max_leverage > 1
+      ? `Max leverage in ${competition.name} is ${max_leverage}x.`
+      : `Leverage is disabled in ${competition.name}.`);
+    return;
+  }
+  
+  await ctx.defer(`Entering ${side} position on ${ticker.toUpperCase()}...`);
+  
+  let price;
+  try {
+    const coinData = await fetchCoinData(ticker);
+    price = coinData.price;
+    console.log(`Price fetched: ${ticker} = $${price}`);
+  } catch (err) {
+    await ctx.reply(`Failed to enter trade: ${err.message}`);
+    return;
+  }
+  
+  // Limit orders fill at the limit, so triggers are checked against it
+  const triggerError = validateTriggers(side, limitPrice ?? price, stopLoss, takeProfit, leverage, ticker);
+  if (triggerError) {
+    await ctx.reply(`${triggerError} Usage: \`shumi enter ${ticker} ${side} sl PRICE tp PRICE\``);
+    return;
+  }
+  
+  const nowIso = new Date().toISOString();
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  const entryId = await upsertEntry(competition_id, userId);
+  
+  const existingTrade = await query(
+    'SELECT id, side FROM trades WHERE entry_id=$1 AND ticker=$2 AND status=\'open\'',
+    [entryId, ticker]
+  );
+  if (existingTrade.rows.length > 0) {
+    await ctx.reply(`You already have an open ${existingTrade.rows[0].side} position on ${ticker.toUpperCase()}. Close it first with \`shumi exit ${ticker}\` or \`/exit ${ticker}\`.`);
+    return;
+  }
+  
+  const bankroll = await getBankroll(entryId);
+  const size = resolvePositionSize({ sizePct, sizeUsd }, bankroll);
+  if (size.error) {
+    await ctx.reply(`${size.error} Size a trade with \`shumi enter ${ticker} ${side} 25%\` or \`$500\`.`);
+    return;
+  }
+  
+  if (limitPrice != null) {
+    await placeLimitOrder(ctx, { entryId, ticker, side, limitPrice, marketPrice: price, sizeUsd: size.sizeUsd, leverage, stopLoss, takeProfit, comment, expiresAt: end_at });
+    return;
+  }
+  
+  const tradeId = await openTrade({ entryId, ticker, side, price, sizeUsd: size.sizeUsd, leverage, entryTime: nowIso, comment, stopLoss, takeProfit, channelId: ctx.channelId });
+  
+  const sideEmoji = side === 'long' ? '📈' : '📉';
+  const sideColor = side === 'long' ? 0x00ff00 : 0xff6600;
+  
+  const embed = new EmbedBuilder()
+    .setTitle('Trade Entered')
+    .setColor(sideColor)
+    .addFields(
+      { name:'Ticker', value:ticker.toUpperCase(), inline:true },
+      { name:'Side', value:`${sideEmoji} ${side.toUpperCase()}`, inline:true },
+      { name:'Entry Price', value:formatTickerPrice(ticker, price), inline:true },
+      { name:'Size', value:`${formatUsd(size.sizeUsd)} (${(size.sizeUsd / bankroll.balance * 100).toFixed(1)}%)${formatLeverage(leverage)}`, inline:true },
+      { name:'Trade ID', value:`#${tradeId}`, inline:true }
+    )
+    .setFooter({ text: `${ctx.user.username} • ${competition.name} • ${nowIso}` });
+  if (leverage > 1) embed.addFields({ name:'Liquidation', value:formatTickerPrice(ticker, calcLiquidationPrice(side, price, leverage)), inline:true });
+  if (stopLoss != null) embed.addFields({ name:'Stop-Loss', value:formatTickerPrice(ticker, stopLoss), inline:true });
+  if (takeProfit != null) embed.addFields({ name:'Take-Profit', value:formatTickerPrice(ticker, takeProfit), inline:true });
+  await ctx.reply({ embeds:[embed] });
+}
+
+export async function execute(ctx) {
+  await enterTrade(ctx, ctx.options);
+}
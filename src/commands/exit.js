@@ -0,0 +1,121 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { fetchCoinData } from '../price-enhanced-smart.js';
+import { query } from '../db.js';
+import { requireCompetition, splitCompetitionArg, ensureUser, upsertEntry } from '../competition.js';
+import { reduceTrade } from '../trades.js';
+import { formatTickerPrice, formatPct, formatUsd } from '../util/format.js';
+import { parsePair } from '../util/tickers.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('exit')
+  .setDescription('exit a trade: /exit btc, /exit doge')
+  .addStringOption(o=>o.setName('ticker').setDescription('ticker to exit').setRequired(true))
+  .addNumberOption(o=>o.setName('percent').setDescription('close only this % of the position (default 100)').setRequired(false).setMinValue(1).setMaxValue(100))
+  .addStringOption(o=>o.setName('competition').setDescription('competition name (default: this week)').setRequired(false));
+
+export const rateLimited = true;
+
+/**
+ * "50%" / "50" -> 50, undefined when absent, NaN when unusable
+ */
+export function parsePercent(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)%?$/);
+  return match ? Number(match[1]) : NaN;
+}
+
+// shumi exit btc [50%] [in <competition>]
+export function parseArgs(args) {
+  const { args: rest, competition } = splitCompetitionArg(args);
+  return { ticker: rest[0], percent: parsePercent(rest[1]), competition };
+}
+
+/**
+ * Close all or `percent` of the ctx user's open position - shared by `exit`
+ * and `/trade action:exit`
+ */
+export async function exitTrade(ctx, { ticker, percent, competition: competitionName }) {
+  if (!ticker) {
+    await ctx.reply({ content: 'Usage: `shumi exit btc [50%]` or `/exit btc`', ephemeral: true });
+    return;
+  }
+  if (percent !== undefined && !(percent > 0 && percent <= 100)) {
+    await ctx.reply({ content: 'Exit percent must be between 0 and 100, e.g. `shumi exit btc 50%`.', ephemeral: true });
+    return;
+  }
+  ticker = parsePair(ticker)?.ticker ?? ticker.toLowerCase();
+  
+  await ctx.defer(`Exiting position on ${ticker.toUpperCase()}...`);
+  
+  const competition = await requireCompetition(ctx, competitionName, { active: true });
+  if (!competition) return;
+  const { competition_id } = competition;
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  const entryId = await upsertEntry(competition_id, userId);
+  
+  const { rows } = await query(
+    `SELECT id, entry_price, entry_time, side, size_usd, remaining_size_usd FROM trades
+     WHERE entry_id=$1 AND ticker=$2 AND status='open'
+     ORDER BY id DESC LIMIT 1`, [entryId, ticker]
+  );
+  if (!rows.length) {
+    await ctx.reply(`No open trade found for ${ticker.toUpperCase()}.`);
+    return;
+  }
+  const t = rows[0];
+  
+  let price;
+  try {
+    const coinData = await fetchCoinData(ticker);
+    price = coinData.price;
+  } catch (err) {
+    await ctx.reply(`Failed to exit trade: ${err.message}`);
+    return;
+  }
+  
+  const fill = await reduceTrade(t, price, { percent: percent ?? 100, reason: 'manual' });
+  if (!fill) {
+    // A stop-loss/take-profit or settlement got there first
+    await ctx.reply(`Your ${ticker.toUpperCase()} trade was already closed. Check \`shumi positions\`.`);
+    return;
+  }
+  
+  const side = t.side || 'long';
+  const sideEmoji = side === 'long' ? '📈' : '📉';
+  const embed = new EmbedBuilder()
+    .addFields(
+      { name:'Ticker', value:ticker.toUpperCase(), inline:true },
+      { name:'Side', value:`${sideEmoji} ${side.toUpperCase()}`, inline:true },
+      { name:'Exit Price', value:formatTickerPrice(ticker, price), inline:true }
+    )
+    .setFooter({ text: `${ctx.user.username} • Trade #${t.id}` });
+  
+  if (fill.closed) {
+    const { pnlPct, pnlUsd, durationBonusPct, finalScore, avgExitPrice } = fill;
+    embed
+      .setTitle('Trade Closed')
+      .setColor(pnlPct >= 0 ? 0x00ff00 : 0xff0000)
+      .addFields(
+        { name:'P&L', value:`${formatPct(pnlPct)} (${formatUsd(pnlUsd, { signed: true })})`, inline:true },
+        { name:'Final Score', value:`${formatPct(finalScore)} (+${durationBonusPct.toFixed(2)}% duration)`, inline:true }
+      );
+    // Earlier partial exits make the trade's exit price a blend
+    if (Math.abs(avgExitPrice - price) > 1e-12) {
+      embed.addFields({ name:'Avg Exit Price', value:formatTickerPrice(ticker, avgExitPrice), inline:true });
+    }
+  } else {
+    embed
+      .setTitle('Trade Partially Closed')
+      .setColor(fill.fillPnlPct >= 0 ? 0x00ff00 : 0xff0000)
+      .addFields(
+        { name:'Closed', value:`${formatUsd(fill.fillSize)} (${percent}%)`, inline:true },
+        { name:'Realized P&L', value:`${formatPct(fill.fillPnlPct)} (${formatUsd(fill.fillPnlUsd, { signed: true })})`, inline:true },
+        { name:'Remaining', value:`${formatUsd(fill.remainingSize)} still open`, inline:true }
+      );
+  }
+  await ctx.reply({ embeds:[embed] });
+}
+
+export async function execute(ctx) {
+  await exitTrade(ctx, ctx.options);
+}
@@ -0,0 +1,78 @@
+// Text-only: shumi help
+export const name = 'help';
+
+export async function execute(ctx) {
+  const helpText = `**🍄 Shumi Trading Bot - Core Commands**
+
+**Pro Tip:** Use cashtags like \`$BTC $ETH $SOL\` for faster, more reliable results!
+
+**Competition:**
+\`shumi join\` - Join this week's trading competition
+\`shumi leaderboard\` - View weekly rankings
+\`shumi leaderboard week 42 [2026]\` - A past week's final standings, \`shumi leaderboard alltime\` for the all-time table
+\`shumi leaderboard [...] by sharpe\` - Rank by a risk metric: sharpe, sortino, drawdown, calmar
+\`shumi leaderboard [...] chart\` - Standings bar chart and a top 5 equity race
+\`shumi history [@user]\` - Every competition entered: final rank, trades, win rate, best/worst trade
+\`shumi profile [@user]\` - Lifetime stats: win rate, avg winner/loser, profit factor, streaks, favourite tickers, medals, Sharpe/Sortino/drawdown, equity chart
+\`shumi season\` - Season table: settled weeks award F1-style points (25-18-15-12-10-8-6-4-2-1)
+\`shumi competition list\` - Running and upcoming custom competitions (sprints, weekend specials...)
+\`shumi join weekend-special\` - Join one; add \`in weekend-special\` to \`enter\`, \`exit\`, \`positions\` and \`orders\` to trade in it
+\`shumi competition create sprint 1d\` - Create one: \`[start 2026-10-24T18:00] [scoring mode] [leverage 5] [balance 5000]\` (competition managers)
+
+**Trading:**
+\`shumi enter btc long\` - Enter a long position  
+\`shumi enter doge short\` - Enter a short position
+\`shumi enter sol long 25%\` - Size a trade: % of your bankroll or a dollar amount (\`$500\`), default 10%
+\`shumi enter btc long sl 60000 tp 75000\` - Auto-close at a stop-loss / take-profit price
+\`shumi enter btc long 5x\` - Leverage multiplies P&L on your margin; liquidated at -100% (when enabled for the week)
+\`shumi enter eth long @ 2500\` - Limit order: enters when the market reaches 2500 (expires at week end)
+\`shumi enter eth/btc long\` - Trade a ratio: prices, stops and P&L follow ETH against BTC
+\`shumi orders\` - View your pending orders, \`shumi cancel [id]\` to cancel one
+\`shumi exit btc\` - Close your position
+\`shumi exit btc 50%\` - Close half, the rest stays open
+\`shumi positions\` - View your open positions with live P&L
+\`shumi positions all\` - View everyone's positions
+
+**Prices:**
+\`shumi price $BTC $ETH $SOL\` - Get current prices (up to 6 coins)
+\`shumi price btc eth doge\` - Plain text also works
+\`shumi price btc chart 7d\` - Price chart of the first coin: 1h, 2h, 3h, 4h, 1d, 3d, 1w
+\`shumi price btc in eur\` - Quote in another currency (eur, gbp, jpy, btc, eth, ...)
+\`shumi price eth/btc\` - Cross pair ratio with its 24h change (also \`sol:eth\`)
+\`shumi price sd\` - Tickers shared by several coins show a menu to pick the one you meant
+\`shumi mapping vote sd\` - See which coin a ticker maps to and vote 👍/👎 (\`mapping reviews\` lists disputed ones for resolver editors)
+\`shumi currency eur\` - Set your default quote currency for prices and P&L
+\`shumi watch add btc eth pepe\` - Build a watchlist (\`watch remove\`, \`watch list\`), then \`shumi wl\` prices all of it
+\`shumi alert btc > 70000\` - Alert when a coin crosses a price (\`<\` for below, add \`dm\` for a DM)
+\`shumi alert eth -5% 1h\` - Alert on a % move within 5m to 1d (default 1d)
+\`shumi alerts\` - Your active alerts, \`shumi alert delete [id]\` to remove one
+
+**Slash Commands:**
+\`/enter\` \`/exit\` \`/trade\` \`/positions\` \`/leaderboard\` \`/price\` \`/join\` \`/competition\` \`/season\` \`/history\` \`/profile\` \`/currency\` \`/alert\` \`/alerts\` \`/watch\` \`/wl\` \`/mapping\` work exactly like their text versions
+
+**Other:**
+\`shumi ping\` - Test if bot is responsive
+\`shumi help\` - Show this help message
+\`shumi perms list\` - Show who can run admin commands (\`admin\`, \`resolver-editor\`, \`competition-manager\`)
+\`shumi audit\` - Browse admin changes, \`shumi audit undo [id]\` to reverse one (admin)
+
+**Rules:**
+• One position per ticker (no averaging)
+• Shorts profit when prices fall
+• Rate limit: 5 actions per 30 seconds
+• Competition resets weekly (Monday 00:00 UTC)
+• Open positions are auto-closed at the reset and final ranks are frozen
+
+**Scoring System:**
+• **Bankroll:** Every entry starts the week with $10,000 virtual; trades are sized against it
+• **P&L:** Basic profit/loss from entry to current price, in % and virtual dollars
+• **Equity:** Bankroll plus open P&L - shown in positions and the leaderboard
+• **Duration Bonus:** +1% per day held (max 7% for full week)
+• **Final Score:** P&L + Duration Bonus, locked in when the trade closes
+• **Rankings:** Closed trades, ranked by this week's scoring mode - portfolio return by default
+• **Asterisk (*):** Indicates duration bonus applied
+
+**Supported symbols:** All coins available on CoinGecko (thousands of tokens)`;
+
+  await ctx.reply(helpText);
+}
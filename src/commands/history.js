@@ -0,0 +1,75 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { query } from '../db.js';
+import { getUserHistory } from '../history.js';
+import { getScoringStrategy, formatScore } from '../scoring.js';
+import { formatPct, formatUsd } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('history')
+  .setDescription('every competition you (or someone else) entered, with final ranks')
+  .addUserOption(o=>o.setName('user').setDescription('whose history (default: yours)').setRequired(false));
+
+export const rateLimited = true;
+
+const MAX_LINES = 12;
+
+// shumi history [@user]
+export function parseArgs(args) {
+  const mention = (args[0] || '').match(/^<@!?(\d+)>$/) || (args[0] || '').match(/^(\d{15,})$/);
+  return { user: mention ? mention[1] : undefined };
+}
+
+function formatRank(row) {
+  if (!row.settled_at) return '⏳ in progress';
+  if (row.final_rank == null) return 'unranked';
+  const medal = ['🥇', '🥈', '🥉'][row.final_rank - 1] || '';
+  return `${medal}#${row.final_rank}/${row.participants}`;
+}
+
+function formatTrade(trade) {
+  return trade ? `${formatPct(Number(trade.pnl_pct))} ${trade.ticker.toUpperCase()}` : '-';
+}
+
+/**
+ * Week 42 🥇#1/12 • 8 trades, 62% won • best +12.30% BTC • worst -4.10% DOGE • score +5.20%
+ */
+function formatHistoryLine(row) {
+  const head = `**${row.name}** ${formatRank(row)}`;
+  if (!row.trade_count) return `${head} • no closed trades`;
+  
+  const winRate = Math.round(row.winning_trades / row.trade_count * 100);
+  const score = row.final_score != null
+    ? ` • score ${formatScore(row.final_score, getScoringStrategy(row.scoring_mode).unit)}`
+    : '';
+  return `${head} • ${row.trade_count} trade${row.trade_count === 1 ? '' : 's'}, ${winRate}% won • best ${formatTrade(row.best)} • worst ${formatTrade(row.worst)} • ${formatUsd(row.pnl_usd, { signed: true })}${score}`;
+}
+
+export async function execute(ctx) {
+  const discordId = ctx.options.user || ctx.user.id;
+  const { rows } = await query('SELECT id, discord_username FROM users WHERE discord_id = $1', [discordId]);
+  const user = rows[0];
+  const username = user?.discord_username || (discordId === ctx.user.id ? ctx.user.username : `<@${discordId}>`);
+  
+  const history = user ? await getUserHistory(user.id) : [];
+  if (!history.length) {
+    await ctx.reply(`${username} hasn't entered any competitions yet.`);
+    return;
+  }
+  
+  const settled = history.filter(h => h.settled_at && h.final_rank != null);
+  const wins = settled.filter(h => h.final_rank === 1).length;
+  const trades = history.reduce((sum, h) => sum + h.trade_count, 0);
+  const winningTrades = history.reduce((sum, h) => sum + h.winning_trades, 0);
+  const totalPnl = history.reduce((sum, h) => sum + Number(h.pnl_usd), 0);
+  const summary = `${history.length} competitions • 🏆 ${wins} won • ${trades} trades, ${trades ? Math.round(winningTrades / trades * 100) : 0}% won • ${formatUsd(totalPnl, { signed: true })} total`;
+  
+  const lines = history.slice(0, MAX_LINES).map(formatHistoryLine);
+  if (history.length > MAX_LINES) lines.push(`…and ${history.length - MAX_LINES} older`);
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`📜 ${username}'s Competition History`)
+    .setColor(0x5865f2)
+    .setDescription(`${summary}\n\n${lines.join('\n')}`.slice(0, 4000))
+    .setFooter({ text: 'Ranks and scores are frozen at settlement • shumi leaderboard week <n> for a past week' });
+  await ctx.reply({ embeds: [embed] });
+}
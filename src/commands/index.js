@@ -0,0 +1,66 @@
+// src/commands/index.js
+// Command registry - one module per command, each exporting:
+//   data         SlashCommandBuilder (omit for text-only commands, then export `name`)
+//   execute(ctx) handler, ctx comes from ./context.js
+//   parseArgs    optional: text args -> options object
+//   parseOptions optional: slash options -> options object
+//   rateLimited  optional: counts toward the 5 actions / 30s limit
+//   slashOnly    optional: not reachable through the "shumi" prefix
+//   enabled      optional: () => boolean, command is skipped when false
+
+import * as alert from './alert.js';
+import * as alerts from './alerts.js';
+import * as audit from './audit.js';
+import * as autoprofile from './autoprofile.js';
+import * as cancel from './cancel.js';
+import * as competition from './competition.js';
+import * as debug from './debug.js';
+import * as enter from './enter.js';
+import * as exit from './exit.js';
+import * as help from './help.js';
+import * as history from './history.js';
+import * as profile from './profile.js';
+import * as currency from './currency.js';
+import * as join from './join.js';
+import * as leaderboard from './leaderboard.js';
+import * as mapping from './mapping.js';
+import * as perms from './perms.js';
+import * as orders from './orders.js';
+import * as ping from './ping.js';
+import * as positions from './positions.js';
+import * as price from './price.js';
+import * as resolverBan from './resolver-ban.js';
+import * as resolverRelearn from './resolver-relearn.js';
+import * as resolverStats from './resolver-stats.js';
+import * as season from './season.js';
+import * as status from './status.js';
+import * as trade from './trade.js';
+import * as watch from './watch.js';
+import * as whoami from './whoami.js';
+import * as wl from './wl.js';
+
+const modules = [
+  ping, join, competition, season, enter, exit, trade, orders, cancel, leaderboard, history, profile, positions, price, currency, alert, alerts, watch, wl,
+  mapping, resolverStats, resolverRelearn, resolverBan, autoprofile,
+  perms, audit, status, help, whoami, debug
+];
+
+export const commands = new Map(
+  modules
+    .filter(m => !m.enabled || m.enabled())
+    .map(m => [m.data?.name ?? m.name, { ...m, name: m.data?.name ?? m.name }])
+);
+
+export function getSlashCommandData() {
+  return [...commands.values()].filter(c => c.data).map(c => c.data.toJSON());
+}
+
+export function getTextCommand(name) {
+  const command = commands.get(name);
+  return command && !command.slashOnly ? command : null;
+}
+
+export function getSlashCommand(name) {
+  const command = commands.get(name);
+  return command && command.data ? command : null;
+}
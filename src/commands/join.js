@@ -0,0 +1,48 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { query } from '../db.js';
+import { requireCompetition, competitionStatus, ensureUser, upsertEntry } from '../competition.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('join')
+  .setDescription('join the current week, or a named competition')
+  .addStringOption(o=>o.setName('competition').setDescription('competition name (default: this week)').setRequired(false));
+
+export const rateLimited = true;
+
+// shumi join [name]
+export function parseArgs(args) {
+  return { competition: args[0] };
+}
+
+export async function execute(ctx) {
+  try {
+    const competition = await requireCompetition(ctx, ctx.options.competition);
+    if (!competition) return;
+    // Upcoming competitions can be joined ahead of the start
+    if (competitionStatus(competition) === 'ended') {
+      await ctx.reply(`${competition.name} has already ended.`);
+      return;
+    }
+    
+    const { competition_id } = competition;
+    const label = competition.kind === 'weekly' ? 'this week\'s competition' : competition.name;
+    const userId = await ensureUser(ctx.user.id, ctx.user.username);
+    
+    // Check if already joined
+    const existingEntry = await query(
+      'SELECT id FROM entries WHERE competition_id=$1 AND user_id=$2',
+      [competition_id, userId]
+    );
+    
+    if (existingEntry.rows.length > 0) {
+      await ctx.reply(`You're already in ${label}!`);
+      return;
+    }
+    
+    await upsertEntry(competition_id, userId);
+    await ctx.reply(`Joined ${label}!`);
+  } catch (err) {
+    console.error('Join command error:', err);
+    await ctx.reply(`Failed to join competition: ${err.message}`);
+  }
+}
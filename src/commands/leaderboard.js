@@ -0,0 +1,266 @@
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import { query } from '../db.js';
+import { requireCompetition, findWeeklyCompetition, getIsoWeekYear, formatCountdown } from '../competition.js';
+import { getFinalStandings, getAllTimeStandings } from '../history.js';
+import { getTickerPrices } from '../ticker-prices.js';
+import { calcPnlPct, calcDurationBonus, getStandings, getScoringStrategy, formatScore } from '../scoring.js';
+import { getEntryBalances, calcEquity } from '../bankroll.js';
+import { METRIC_SORTS, getCompetitionMetrics, getAllLifetimeMetrics, getCompetitionCurves, curvePoints, sortByMetric, formatMetrics } from '../metrics.js';
+import { renderBarChart, renderRaceChart } from '../charts.js';
+import { formatPct, formatUsd } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setDescription('weekly top 10, a past week, a named competition or all-time')
+  .addStringOption(o=>o.setName('competition').setDescription('competition name (default: this week)').setRequired(false))
+  .addIntegerOption(o=>o.setName('week').setDescription('past ISO week number').setRequired(false).setMinValue(1).setMaxValue(53))
+  .addIntegerOption(o=>o.setName('year').setDescription('year of that week (default: this year)').setRequired(false).setMinValue(2023))
+  .addBooleanOption(o=>o.setName('all_time').setDescription('all-time table across every competition').setRequired(false))
+  .addStringOption(o=>o.setName('sort').setDescription('rank by a risk metric instead of score').setRequired(false)
+    .addChoices(...Object.entries(METRIC_SORTS).map(([value, m]) => ({ name: m.label, value }))))
+  .addBooleanOption(o=>o.setName('chart').setDescription('bar chart of the standings plus a top 5 equity race').setRequired(false));
+
+const MAX_DESCRIPTION = 4000; // Discord embed description limit is 4096
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// shumi leaderboard [competition] | shumi leaderboard week 42 [2026] | shumi leaderboard alltime
+// any of them + "by sharpe|sortino|drawdown|calmar" and/or "chart"
+export function parseArgs(rawArgs) {
+  const chart = rawArgs.includes('chart') || undefined;
+  const byAt = rawArgs.findIndex(a => a === 'by' || a === 'sort');
+  const sort = byAt >= 0 ? rawArgs[byAt + 1] : undefined;
+  const args = (byAt >= 0 ? [...rawArgs.slice(0, byAt), ...rawArgs.slice(byAt + 2)] : rawArgs).filter(a => a !== 'chart');
+  
+  if (['alltime', 'all-time', 'all'].includes(args[0])) return { allTime: true, sort, chart };
+  if (args[0] === 'week') return { week: parseInt(args[1], 10), year: args[2] ? parseInt(args[2], 10) : undefined, sort, chart };
+  return { competition: args[0], sort, chart };
+}
+
+export function parseOptions({ all_time, ...options }) {
+  return { ...options, allTime: all_time };
+}
+
+async function showAllTime(ctx) {
+  const rows = await getAllTimeStandings(15);
+  const lines = rows.map((r, idx) => {
+    const winRate = r.trade_count ? Math.round(r.winning_trades / r.trade_count * 100) : 0;
+    const wins = r.wins ? ` • 🏆 ${r.wins}` : '';
+    return `${MEDALS[idx] || `${idx + 1}.`} **${r.discord_username}** ${formatUsd(r.total_pnl_usd, { signed: true })} • ${r.trade_count} trades, ${winRate}% won • ${r.competitions} comps${wins}`;
+  });
+  
+  const embed = new EmbedBuilder()
+    .setTitle('All-Time Leaderboard')
+    .setColor(0xffd700)
+    .setDescription(lines.length ? lines.join('\n') : 'No closed trades yet.')
+    .setFooter({ text: 'Ranked by total virtual $ P&L across every competition • 🏆 = competitions won' });
+  await ctx.reply({ embeds: [embed] });
+}
+
+/**
+ * Chart view of a competition: scores as bars, top 5 equity curves as a race
+ */
+async function showCharts(ctx, competition) {
+  const strategy = getScoringStrategy(competition.scoring_mode);
+  const ranked = competition.settled_at
+    ? (await getFinalStandings(competition.competition_id))
+      .filter(r => r.trade_count > 0)
+      .map(r => ({ label: r.discord_username, value: Number(r.final_score) }))
+    : (await getStandings({ id: competition.competition_id, scoring_mode: competition.scoring_mode }))
+      .filter(r => r.tradeCount > 0)
+      .map(r => ({ label: r.discord_username, value: r.score }));
+  if (!ranked.length) {
+    await ctx.reply(`No closed trades in ${competition.name} yet - nothing to chart.`);
+    return;
+  }
+  
+  const files = [new AttachmentBuilder(renderBarChart(ranked.slice(0, 10), { title: `${competition.name} - ${strategy.label}`, unit: strategy.unit }), { name: 'leaderboard.png' })];
+  const embeds = [new EmbedBuilder().setTitle(`${competition.name} Competition`).setColor(0xffd700).setImage('attachment://leaderboard.png')];
+  
+  // Race between the current top 5, by where their curves end
+  const end = new Date(Math.min(Date.now(), new Date(competition.end_at).getTime()));
+  const curves = await getCompetitionCurves(competition.competition_id);
+  const lastValue = c => c.curve.points.length ? c.curve.points[c.curve.points.length - 1].equity : c.curve.startingBalance;
+  const top = curves.sort((a, b) => lastValue(b) - lastValue(a)).slice(0, 5);
+  if (top.length) {
+    const series = top.map(c => ({ label: c.entry.discord_username, points: curvePoints(c.curve) }));
+    const start = new Date(Math.min(...top.map(c => c.curve.startAt.getTime())));
+    files.push(new AttachmentBuilder(renderRaceChart(series, { title: `${competition.name} - Top 5 Equity`, start, end }), { name: 'race.png' }));
+    embeds.push(new EmbedBuilder().setColor(0xffd700).setImage('attachment://race.png').setFooter({ text: 'Equity from fills and snapshots • scores rank closed trades' }));
+  }
+  await ctx.reply({ embeds, files });
+}
+
+/**
+ * Traders ranked by a risk metric rather than the scoring mode
+ */
+async function showMetricLeaderboard(ctx, title, rows, sortKey) {
+  const sorted = sortByMetric(rows, sortKey).slice(0, 10);
+  const lines = sorted.map((r, idx) =>
+    `${MEDALS[idx] || `${idx + 1}.`} **${r.discord_username}** ${formatPct(r.metrics.totalReturnPct)}\n${formatMetrics(r.metrics)}`
+  );
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`${title} by ${METRIC_SORTS[sortKey].label}`)
+    .setColor(0xffd700)
+    .setDescription(lines.length ? lines.join('\n').slice(0, MAX_DESCRIPTION) : 'Nobody has traded yet.')
+    .setFooter({ text: 'Equity curves from fills and snapshots • Sharpe/Sortino on daily returns, annualised • - = not enough data' });
+  await ctx.reply({ embeds: [embed] });
+}
+
+/**
+ * A settled competition: the ranks frozen at settlement, no live prices
+ */
+async function showFinalStandings(ctx, competition) {
+  const strategy = getScoringStrategy(competition.scoring_mode);
+  const rows = await getFinalStandings(competition.competition_id);
+  const lines = rows.filter(r => r.trade_count > 0).slice(0, 10).map((r, idx) =>
+    `${MEDALS[idx] || `${idx + 1}.`} **${r.discord_username}** ${formatScore(r.final_score, strategy.unit)} • ${r.trade_count} trade${r.trade_count === 1 ? '' : 's'}${r.final_equity != null ? ` • ${formatUsd(r.final_equity)}` : ''}`
+  );
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`${competition.name} Final Standings`)
+    .setColor(0xffd700)
+    .setDescription(`🏁 Ended ${new Date(competition.end_at).toISOString().slice(0, 10)}\n🎯 Scoring: ${strategy.label}\n\n${lines.length ? lines.join('\n') : 'Nobody traded.'}`)
+    .setFooter({ text: `${rows.length} participants • Frozen at settlement` });
+  await ctx.reply({ embeds: [embed] });
+}
+
+/**
+ * Which competition the options point at, replying when there is none
+ */
+async function resolveTarget(ctx) {
+  const { week, year, competition } = ctx.options;
+  if (week === undefined) return requireCompetition(ctx, competition);
+  
+  if (!Number.isInteger(week) || week < 1 || week > 53) {
+    await ctx.reply({ content: 'Usage: `shumi leaderboard week 42 [2026]`', ephemeral: true });
+    return null;
+  }
+  const found = await findWeeklyCompetition(week, year ?? getIsoWeekYear(new Date()));
+  if (!found) await ctx.reply(`No competition was run in week ${week} of ${year ?? getIsoWeekYear(new Date())}.`);
+  return found;
+}
+
+export async function execute(ctx) {
+  await ctx.defer('Loading leaderboard...');
+  
+  try {
+    const { sort } = ctx.options;
+    if (sort && !METRIC_SORTS[sort]) {
+      await ctx.reply({ content: `Unknown sort "${sort}". Available: ${Object.keys(METRIC_SORTS).join(', ')}`, ephemeral: true });
+      return;
+    }
+    
+    if (ctx.options.allTime) {
+      if (ctx.options.chart) await ctx.reply({ content: 'Charts are per competition - try `shumi leaderboard chart` or `shumi leaderboard week 42 chart`.', ephemeral: true });
+      else if (sort) await showMetricLeaderboard(ctx, 'All-Time Leaderboard', await getAllLifetimeMetrics(), sort);
+      else await showAllTime(ctx);
+      return;
+    }
+    
+    const competition = await resolveTarget(ctx);
+    if (!competition) return;
+    if (ctx.options.chart) {
+      await showCharts(ctx, competition);
+      return;
+    }
+    if (sort) {
+      await showMetricLeaderboard(ctx, competition.name, await getCompetitionMetrics(competition.competition_id), sort);
+      return;
+    }
+    if (competition.settled_at) {
+      await showFinalStandings(ctx, competition);
+      return;
+    }
+    const { competition_id, scoring_mode } = competition;
+    const strategy = getScoringStrategy(scoring_mode);
+    
+    // Rank closed trades with the competition's scoring mode
+    const standings = await getStandings({ id: competition_id, scoring_mode });
+    const closedRows = standings.filter(r => r.tradeCount > 0).slice(0, 10);
+    
+    // Get all open positions with details for P&L calculation
+    const { rows: openPositions } = await query(
+      `SELECT t.ticker, t.entry_price, t.side, t.entry_time, t.size_usd, t.remaining_size_usd, t.leverage, t.entry_id, u.discord_username, e.user_id
+       FROM trades t 
+       JOIN entries e ON e.id = t.entry_id
+       JOIN users u ON u.id = e.user_id
+       WHERE e.competition_id=$1 AND t.status='open'
+       ORDER BY e.joined_at, t.id`,
+      [competition_id]
+    );
+    
+    if (!closedRows.length && !openPositions.length) {
+      await ctx.reply(competition.kind === 'weekly'
+        ? 'No participants yet this week. Use `shumi join` to get started!'
+        : `No participants yet in ${competition.name}. Use \`shumi join ${competition.slug}\` to get started!`);
+      return;
+    }
+    
+    const prices = await getTickerPrices(openPositions.map(p => p.ticker));
+    const balances = await getEntryBalances(competition_id);
+    
+    // Group live positions per user: scored lines when priced, a count otherwise
+    const users = new Map();
+    for (const pos of openPositions) {
+      if (!users.has(pos.discord_username)) {
+        users.set(pos.discord_username, { entryId: pos.entry_id, positions: [], lines: [], unpriced: 0 });
+      }
+      const u = users.get(pos.discord_username);
+      u.positions.push(pos);
+      const currentPrice = prices[pos.ticker];
+      if (!currentPrice) {
+        u.unpriced++;
+        continue;
+      }
+      
+      const pnlPct = calcPnlPct(pos.side, Number(pos.entry_price), currentPrice, pos.leverage);
+      // Calculate duration bonus (1% per day, max 7%)
+      const durationBonus = strategy.usesDurationBonus ? calcDurationBonus(pos.entry_time) : 0;
+      const finalScore = pnlPct + durationBonus;
+      
+      const sideSymbol = (pos.side === 'short') ? 'S' : 'L';
+      const bonusIndicator = durationBonus > 0 ? ' *' : '';
+      u.lines.push(`${sideSymbol} ${pos.ticker.toUpperCase()} ${formatPct(finalScore)}${bonusIndicator}`);
+    }
+    
+    let description = '';
+    
+    if (closedRows.length > 0) {
+      const closedLines = closedRows.map((r, idx) =>
+        `${idx+1}. **${r.discord_username}** ${formatScore(r.score, strategy.unit)} • ${formatUsd(r.equity)}`
+      );
+      description += `**Leaderboard:**\n${closedLines.join('\n')}\n\n`;
+    }
+    
+    if (users.size > 0) {
+      const liveLines = [...users.entries()].map(([username, u], idx) => {
+        if (u.lines.length > 0) {
+          const b = balances.get(u.entryId);
+          const { equity, returnPct } = calcEquity(b.startingBalance, b.realizedPnl, u.positions, prices);
+          const loading = u.unpriced ? ` (+${u.unpriced} loading)` : '';
+          return `${idx+1}. **${username}**: ${u.lines.join(' | ')} | Equity: ${formatUsd(equity)} (${formatPct(returnPct)})${loading}`;
+        }
+        return `${idx+1}. **${username}**: ${u.unpriced} position${u.unpriced > 1 ? 's' : ''} (prices loading...)`;
+      });
+      description += `**Live Positions:**\n${liveLines.join('\n')}`;
+    }
+    
+    if (description.length > MAX_DESCRIPTION) {
+      description = `${description.slice(0, MAX_DESCRIPTION)}\n…`;
+    }
+    
+    const embed = new EmbedBuilder()
+      .setTitle(`${competition.name} Competition`)
+      .setColor(0xffd700)
+      .setDescription(`⏰ Ends: ${formatCountdown(competition.end_at)}\n🎯 Scoring: ${strategy.label}\n\n${description}`)
+      .setFooter({ text: strategy.usesDurationBonus
+        ? 'Close trades to appear in rankings • * = duration bonus applied'
+        : 'Close trades to appear in rankings • Live P&L in shumi positions' });
+    
+    await ctx.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error('Leaderboard error:', err);
+    await ctx.reply('Failed to load leaderboard.');
+  }
+}
@@ -0,0 +1,157 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } from 'discord.js';
+import smartResolver from '../smart-resolver-v2.js';
+import { ensureUser } from '../competition.js';
+import { requirePermission } from '../permissions.js';
+import { REVIEW_DISPUTE_WEIGHT, voteWeight, getMappingSummary, castVote, listFlaggedMappings } from '../mapping-votes.js';
+import { parsePair } from '../util/tickers.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('mapping')
+  .setDescription('🗳️ Confirm or dispute which coin a ticker resolves to')
+  .addSubcommand(s=>s.setName('vote').setDescription('show a ticker\'s coin and vote 👍 or 👎')
+    .addStringOption(o=>o.setName('ticker').setDescription('ticker, e.g. sd').setRequired(true)))
+  .addSubcommand(s=>s.setName('reviews').setDescription('mappings flagged by disputes (resolver editors)'));
+
+export const rateLimited = true;
+
+// Buttons stay live this long after the last vote
+const IDLE_MS = 10 * 60 * 1000;
+
+// shumi mapping vote sd
+// shumi mapping reviews
+export function parseArgs(args) {
+  return { subcommand: args[0], ticker: args[1] };
+}
+
+function formatWeight(value) {
+  return String(Number(Number(value).toFixed(2)));
+}
+
+function buildMappingEmbed(ticker, summary) {
+  const { mapping } = summary;
+  const embed = new EmbedBuilder()
+    .setTitle(`🗳️ ${ticker.toUpperCase()} → ${mapping.coingecko_id}`)
+    .setURL(`https://www.coingecko.com/en/coins/${mapping.coingecko_id}`)
+    .setColor(mapping.review_flagged_at ? 0xff6600 : 0x5865f2)
+    .setDescription(`Is **${mapping.coingecko_id}** the coin people mean by ${ticker.toUpperCase()}?`)
+    .addFields(
+      { name: 'Source', value: mapping.source, inline: true },
+      { name: 'Confidence', value: `${mapping.confidence_score}/100`, inline: true },
+      { name: 'Votes', value: `👍 ${formatWeight(summary.up)} • 👎 ${formatWeight(summary.down)} (${summary.voters} voters)`, inline: true }
+    )
+    .setFooter({ text: 'One vote per person, weighted by account • votes can be changed' });
+  if (mapping.review_flagged_at) embed.addFields({ name: '⚠️ Under review', value: 'Disputed - resolver editors have been asked to check it.' });
+  return embed;
+}
+
+function voteButtons() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('mapvote_up').setLabel('👍 Right coin').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId('mapvote_down').setLabel('👎 Wrong coin').setStyle(ButtonStyle.Danger)
+  );
+}
+
+async function notifyReview(client, ticker, summary) {
+  const channelId = process.env.MAPPING_REVIEW_CHANNEL_ID;
+  console.log(`[MAPPING] ${ticker} → ${summary.mapping.coingecko_id} flagged for review (👎 ${summary.down} vs 👍 ${summary.up})`);
+  if (!client || !channelId) return;
+  try {
+    const channel = await client.channels.fetch(channelId);
+    await channel.send({
+      content: `⚠️ **${ticker.toUpperCase()}** → ${summary.mapping.coingecko_id} is disputed. Check it, then \`/resolver-relearn\` or \`/resolver-ban\` if it's wrong.`,
+      embeds: [buildMappingEmbed(ticker, summary)]
+    });
+  } catch (err) {
+    console.error(`[MAPPING] Failed to post review to ${channelId}:`, err.message);
+  }
+}
+
+/**
+ * One button press - anyone in the channel can vote, each with their own weight
+ */
+async function handleVote(i, ticker, coinId) {
+  const voter = { user: { id: i.user.id, username: i.user.username }, guildId: i.guildId, member: i.member };
+  const vote = i.customId === 'mapvote_up' ? 1 : -1;
+  const weight = await voteWeight(voter);
+  const userId = await ensureUser(i.user.id, i.user.username);
+
+  const result = await castVote({ ticker, coinId, userId, vote, weight });
+  if (result.stale) {
+    await i.reply({ content: `${ticker.toUpperCase()} no longer maps to ${coinId}. Run \`shumi mapping vote ${ticker}\` again.`, flags: 64 });
+    return;
+  }
+  if (result.unchanged) {
+    await i.reply({ content: `You already voted ${vote > 0 ? '👍' : '👎'} on ${ticker.toUpperCase()} → ${coinId}.`, flags: 64 });
+    return;
+  }
+
+  smartResolver.invalidate(ticker);
+  await i.update({ embeds: [buildMappingEmbed(ticker, result)] });
+  await i.followUp({ content: `Vote counted ${vote > 0 ? '👍' : '👎'} (weight ${formatWeight(weight)}).`, flags: 64 });
+  if (result.flagged) await notifyReview(i.client, ticker, result);
+}
+
+async function showVote(ctx) {
+  const ticker = smartResolver.normalizeTicker(String(ctx.options.ticker || ''));
+  if (!ticker) {
+    await ctx.reply({ content: 'Usage: `shumi mapping vote sd`', ephemeral: true });
+    return;
+  }
+  if (parsePair(ctx.options.ticker)) {
+    await ctx.reply({ content: 'Votes cover single tickers, e.g. `shumi mapping vote eth`.', ephemeral: true });
+    return;
+  }
+
+  // Resolving first stores a mapping for tickers nobody has looked up yet,
+  // which can mean a CoinGecko search
+  await ctx.defer(`Looking up ${ticker.toUpperCase()}...`);
+  const coinId = await smartResolver.resolve(ticker);
+  const summary = coinId && await getMappingSummary(ticker);
+  if (!summary) {
+    await ctx.reply({ content: `${ticker.toUpperCase()} isn't mapped to a coin, so there's nothing to vote on.`, ephemeral: true });
+    return;
+  }
+
+  const message = await ctx.reply({ embeds: [buildMappingEmbed(ticker, summary)], components: [voteButtons()] });
+  if (!message?.createMessageComponentCollector) return;
+
+  const collector = message.createMessageComponentCollector({ componentType: ComponentType.Button, idle: IDLE_MS });
+  collector.on('collect', async (i) => {
+    try {
+      await handleVote(i, ticker, summary.mapping.coingecko_id);
+    } catch (err) {
+      console.error('[MAPPING]', err.message);
+    }
+  });
+  collector.on('end', () => {
+    message.edit({ components: [] }).catch(() => {});
+  });
+}
+
+async function showReviews(ctx) {
+  if (!(await requirePermission(ctx, 'resolver-editor'))) return;
+
+  const flagged = await listFlaggedMappings();
+  if (!flagged.length) {
+    await ctx.reply({ content: 'No disputed mappings right now.', ephemeral: true });
+    return;
+  }
+
+  const lines = flagged.map(m => {
+    const since = new Date(m.review_flagged_at).toISOString().slice(0, 10);
+    return `**${m.ticker.toUpperCase()}** → ${m.coingecko_id} • ${m.source}, confidence ${m.confidence_score} • 👍 ${formatWeight(m.up)} 👎 ${formatWeight(m.down)} • since ${since}`;
+  });
+  const embed = new EmbedBuilder()
+    .setTitle('⚠️ Disputed Mappings')
+    .setColor(0xff6600)
+    .setDescription(lines.join('\n').slice(0, 4000))
+    .setFooter({ text: `Flagged at ${REVIEW_DISPUTE_WEIGHT}+ weighted 👎 outnumbering 👍 • fix with /resolver-relearn or /resolver-ban` });
+  await ctx.reply({ embeds: [embed], ephemeral: true });
+}
+
+export async function execute(ctx) {
+  const { subcommand } = ctx.options;
+  if (subcommand === 'vote') await showVote(ctx);
+  else if (subcommand === 'reviews') await showReviews(ctx);
+  else await ctx.reply({ content: 'Usage: `shumi mapping vote sd`, `shumi mapping reviews`', ephemeral: true });
+}
@@ -0,0 +1,63 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { requireCompetition, splitCompetitionArg, ensureUser } from '../competition.js';
+import { listPendingOrders } from '../orders.js';
+import { formatTickerPrice, formatUsd } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('orders')
+  .setDescription('view pending limit orders')
+  .addStringOption(o=>o.setName('target').setDescription('user or all').setRequired(false))
+  .addStringOption(o=>o.setName('competition').setDescription('competition name (default: this week)').setRequired(false));
+
+export const rateLimited = true;
+
+// shumi orders [all] [in <competition>]
+export function parseArgs(args) {
+  const { args: rest, competition } = splitCompetitionArg(args);
+  return { target: rest[0] || null, competition };
+}
+
+function formatOrderLine(order) {
+  const sideSymbol = order.side === 'long' ? 'L' : 'S';
+  const arrow = order.trigger_direction === 'above' ? '↑' : '↓';
+  const triggers = [
+    order.stop_loss != null ? `SL ${formatTickerPrice(order.ticker, Number(order.stop_loss))}` : null,
+    order.take_profit != null ? `TP ${formatTickerPrice(order.ticker, Number(order.take_profit))}` : null
+  ].filter(Boolean);
+  return `#${order.id} ${sideSymbol} **${order.ticker.toUpperCase()}** ${formatUsd(order.size_usd)}${Number(order.leverage) > 1 ? ` ${Number(order.leverage)}x` : ''} @ ${formatTickerPrice(order.ticker, Number(order.limit_price))} ${arrow}${triggers.length ? ` (${triggers.join(' / ')})` : ''}`;
+}
+
+export async function execute(ctx) {
+  const competition = await requireCompetition(ctx, ctx.options.competition);
+  if (!competition) return;
+  const { competition_id } = competition;
+  const all = ctx.options.target === 'all';
+  const userId = all ? null : await ensureUser(ctx.user.id, ctx.user.username);
+  const orders = await listPendingOrders(competition_id, userId);
+
+  if (!orders.length) {
+    await ctx.reply(all ? `No pending orders in ${competition.kind === 'weekly' ? 'this week' : competition.name}.` : `${ctx.user.username}'s pending orders: None`);
+    return;
+  }
+
+  let description;
+  if (all) {
+    const byUser = {};
+    for (const order of orders) {
+      (byUser[order.discord_username] ||= []).push(formatOrderLine(order));
+    }
+    description = Object.entries(byUser)
+      .map(([username, lines]) => `**${username}:**\n${lines.join('\n')}`)
+      .join('\n\n');
+  } else {
+    description = orders.map(formatOrderLine).join('\n');
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(all ? 'Everyone\'s Pending Orders' : `${ctx.user.username}'s Pending Orders`)
+    .setColor(0x0099ff)
+    .setDescription(description.slice(0, 4000))
+    .setFooter({ text: `${orders.length} pending • ↑ fills on a rise, ↓ on a drop • shumi cancel <id>` });
+
+  await ctx.reply({ embeds: [embed] });
+}
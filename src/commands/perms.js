@@ -0,0 +1,111 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import {
+  PERMISSIONS, isValidPermission, requirePermission,
+  grantPermission, revokePermission, findPermissionId, listPermissions
+} from '../permissions.js';
+import { auditedChange } from '../audit.js';
+
+const permissionChoices = PERMISSIONS.map(p => ({ name: p, value: p }));
+
+function addTargetOptions(sub) {
+  return sub
+    .addStringOption(o=>o.setName('permission').setDescription('Permission to change').setRequired(true).addChoices(...permissionChoices))
+    .addUserOption(o=>o.setName('user').setDescription('User to change').setRequired(false))
+    .addRoleOption(o=>o.setName('role').setDescription('Role to change').setRequired(false));
+}
+
+export const data = new SlashCommandBuilder()
+  .setName('perms')
+  .setDescription('🔐 Manage bot permissions (admin only)')
+  .addSubcommand(s=>addTargetOptions(s.setName('grant').setDescription('Grant a permission to a user or role')))
+  .addSubcommand(s=>addTargetOptions(s.setName('revoke').setDescription('Revoke a permission from a user or role')))
+  .addSubcommand(s=>s.setName('list').setDescription('List permission grants in this server'));
+
+// shumi perms grant admin @user | shumi perms revoke resolver-editor @role | shumi perms list
+export function parseArgs(args) {
+  const target = args[2] || '';
+  const role = target.match(/^<@&(\d+)>$/);
+  const user = target.match(/^<@!?(\d+)>$/) || target.match(/^(\d+)$/);
+  return {
+    subcommand: args[0],
+    permission: args[1],
+    user: user ? user[1] : undefined,
+    role: role ? role[1] : undefined
+  };
+}
+
+function formatSubject(type, id) {
+  return type === 'role' ? `<@&${id}>` : `<@${id}>`;
+}
+
+async function showList(ctx) {
+  const grants = await listPermissions(ctx.guildId);
+  const lines = grants.map(g => `\`${g.permission}\` → ${formatSubject(g.subject_type, g.subject_id)}`);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🔐 Permissions')
+    .setColor(0x5865f2)
+    .setDescription(lines.length ? lines.join('\n').slice(0, 4000) : 'No grants yet. Only bot owners have `admin` here.')
+    .setFooter({ text: `Available: ${PERMISSIONS.join(', ')} • admin implies all` });
+
+  await ctx.reply({ embeds: [embed], ephemeral: true });
+}
+
+export async function execute(ctx) {
+  if (!ctx.guildId) {
+    await ctx.reply('Permissions are per server - run this in a server channel.');
+    return;
+  }
+  if (!(await requirePermission(ctx, 'admin'))) return;
+
+  const { subcommand, permission, user, role } = ctx.options;
+
+  if (subcommand === 'list') {
+    await showList(ctx);
+    return;
+  }
+
+  if (subcommand !== 'grant' && subcommand !== 'revoke') {
+    await ctx.reply({ content: 'Usage: `shumi perms grant admin @user`, `shumi perms revoke resolver-editor @role`, `shumi perms list`', ephemeral: true });
+    return;
+  }
+
+  if (!isValidPermission(permission)) {
+    await ctx.reply({ content: `Unknown permission. Available: ${PERMISSIONS.map(p => `\`${p}\``).join(', ')}`, ephemeral: true });
+    return;
+  }
+
+  if (!user && !role) {
+    await ctx.reply({ content: 'Mention a user or a role.', ephemeral: true });
+    return;
+  }
+
+  const subjectType = role ? 'role' : 'user';
+  const subjectId = role || user;
+  const subject = formatSubject(subjectType, subjectId);
+
+  if (subcommand === 'grant') {
+    const { result: grantId } = await auditedChange(
+      ctx,
+      { action: 'perms.grant', targetType: 'permission', targetId: id => id },
+      runQuery => grantPermission(ctx.guildId, subjectType, subjectId, permission, ctx.user.id, runQuery)
+    );
+    console.log(`[PERMS] ${ctx.user.id} granted ${permission} to ${subjectType}:${subjectId} in ${ctx.guildId}`);
+    await ctx.reply({
+      content: grantId ? `✅ Granted \`${permission}\` to ${subject}` : `${subject} already has \`${permission}\``,
+      allowedMentions: { parse: [] }
+    });
+  } else {
+    const grantId = await findPermissionId(ctx.guildId, subjectType, subjectId, permission);
+    if (grantId) {
+      await auditedChange(ctx, { action: 'perms.revoke', targetType: 'permission', targetId: grantId }, runQuery =>
+        revokePermission(grantId, runQuery)
+      );
+      console.log(`[PERMS] ${ctx.user.id} revoked ${permission} from ${subjectType}:${subjectId} in ${ctx.guildId}`);
+    }
+    await ctx.reply({
+      content: grantId ? `✅ Revoked \`${permission}\` from ${subject}` : `${subject} doesn't have \`${permission}\``,
+      allowedMentions: { parse: [] }
+    });
+  }
+}
@@ -0,0 +1,11 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('ping')
+  .setDescription('test if bot is alive');
+
+export async function execute(ctx) {
+  await ctx.reply(ctx.transport === 'text'
+    ? 'Pong! Shumi bot is alive and responding.'
+    : 'Pong! Bot is alive and responding.');
+}
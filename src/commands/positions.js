@@ -0,0 +1,191 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { query } from '../db.js';
+import { requireCompetition, splitCompetitionArg, ensureUser, getQuoteCurrency } from '../competition.js';
+import { getUsdRate } from '../exchange-rates.js';
+import { getTickerPrices } from '../ticker-prices.js';
+import { calcPnlPct } from '../scoring.js';
+import { getEntryBalances, calcEquity, unrealizedPnlUsd } from '../bankroll.js';
+import { formatTickerPrice, formatPct, formatUsd, formatConverted } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('positions')
+  .setDescription('view open positions')
+  .addStringOption(o=>o.setName('target').setDescription('user or all').setRequired(false))
+  .addStringOption(o=>o.setName('competition').setDescription('competition name (default: this week)').setRequired(false));
+
+export const rateLimited = true;
+
+const MAX_DESCRIPTION = 4000; // Discord embed description limit is 4096
+
+// Dollar P&L already banked by partial exits of an open trade
+const REALIZED_SQL = '(SELECT COALESCE(SUM(f.pnl_usd), 0) FROM trade_fills f WHERE f.trade_id = t.id) AS realized_usd';
+
+// shumi positions [all] [in <competition>]
+export function parseArgs(args) {
+  const { args: rest, competition } = splitCompetitionArg(args);
+  return { target: rest[0] || null, competition };
+}
+
+function formatTriggers(trade) {
+  const parts = [];
+  if (trade.liquidation_price != null) parts.push(`${Number(trade.leverage)}x, liq ${formatTickerPrice(trade.ticker, Number(trade.liquidation_price))}`);
+  if (trade.stop_loss != null) parts.push(`SL ${formatTickerPrice(trade.ticker, Number(trade.stop_loss))}`);
+  if (trade.take_profit != null) parts.push(`TP ${formatTickerPrice(trade.ticker, Number(trade.take_profit))}`);
+  return parts.length ? ` (${parts.join(' / ')})` : '';
+}
+
+/**
+ * " ≈ €9,412.50" when the viewer quotes in another currency, else ''
+ * fx = { currency, rate } or null
+ */
+function converted(amountUsd, fx) {
+  return fx ? ` ${formatConverted(amountUsd, fx.currency, fx.rate)}` : '';
+}
+
+/**
+ * The viewer's quote currency and its USD rate, or null for USD
+ * (or when the rate is unavailable - plain dollars beat a failed reply)
+ */
+async function getViewerFx(discordId) {
+  const currency = await getQuoteCurrency(discordId);
+  if (currency === 'usd') return null;
+  try {
+    return { currency, rate: await getUsdRate(currency) };
+  } catch (err) {
+    console.log(`[POSITIONS] No ${currency} rate:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * One line per position with live P&L, or ⏳ when no price is available
+ */
+function formatPositionLine(trade, currentPrice, fx = null) {
+  const side = trade.side || 'long';
+  const sideSymbol = side === 'long' ? 'L' : 'S';
+  const entryPrice = Number(trade.entry_price);
+  const triggers = formatTriggers(trade);
+  
+  // After partial exits: what's still held of the original size, plus what was banked
+  const original = Number(trade.size_usd || 0);
+  const remaining = Number(trade.remaining_size_usd ?? original);
+  const realized = Number(trade.realized_usd || 0);
+  const size = remaining < original
+    ? `${formatUsd(remaining)}/${formatUsd(original)} (banked ${formatUsd(realized, { signed: true })})`
+    : formatUsd(original);
+  
+  if (!currentPrice) {
+    return `${sideSymbol} **${trade.ticker.toUpperCase()}** ${formatTickerPrice(trade.ticker, entryPrice)} • ${size} ⏳${triggers}`;
+  }
+  
+  let pnlPct = calcPnlPct(side, entryPrice, currentPrice, trade.leverage);
+  
+  // Cap extreme P&L values (likely data errors)
+  if (Math.abs(pnlPct) > 1000) {
+    console.log(`[P&L DEBUG] ${trade.ticker}: entry=$${entryPrice} current=$${currentPrice} pnl=${pnlPct.toFixed(2)}%`);
+    pnlPct = pnlPct > 0 ? 999.99 : -999.99;
+  }
+  
+  const pnlColor = pnlPct >= 0 ? '🟢' : '🔴';
+  const pnlUsdValue = unrealizedPnlUsd(trade, currentPrice);
+  const pnlUsd = `${formatUsd(pnlUsdValue, { signed: true })}${converted(pnlUsdValue, fx)}`;
+  return `${sideSymbol} **${trade.ticker.toUpperCase()}** ${formatTickerPrice(trade.ticker, entryPrice)} • ${size} ${pnlColor}${formatPct(pnlPct)} (${pnlUsd})${triggers}`;
+}
+
+/**
+ * "💰 $10,250.00 (+2.50%)" - live equity for one entry's open trades
+ */
+function formatEquity(balances, trades, prices, fx = null) {
+  if (!balances) return '';
+  const { equity, returnPct } = calcEquity(balances.startingBalance, balances.realizedPnl, trades, prices);
+  return `💰 ${formatUsd(equity)} (${formatPct(returnPct)})${converted(equity, fx)}`;
+}
+
+function truncate(text) {
+  return text.length > MAX_DESCRIPTION ? `${text.slice(0, MAX_DESCRIPTION)}\n…` : text;
+}
+
+export async function execute(ctx) {
+  await ctx.defer('Loading positions...');
+  
+  try {
+    const competition = await requireCompetition(ctx, ctx.options.competition);
+    if (!competition) return;
+    const { competition_id } = competition;
+    const scope = competition.kind === 'weekly' ? '' : ` • ${competition.name}`;
+    
+    if (ctx.options.target !== 'all') {
+      const userId = await ensureUser(ctx.user.id, ctx.user.username);
+      const { rows } = await query(
+        `SELECT t.*, ${REALIZED_SQL} FROM trades t JOIN entries e ON e.id = t.entry_id
+         WHERE e.competition_id=$1 AND e.user_id=$2 AND t.status='open'
+         ORDER BY t.id DESC`,
+        [competition_id, userId]
+      );
+      
+      if (!rows.length) {
+        await ctx.reply(`${ctx.user.username}'s positions: None`);
+        return;
+      }
+      
+      const prices = await getTickerPrices(rows.map(r => r.ticker));
+      const balances = await getEntryBalances(competition_id);
+      const fx = await getViewerFx(ctx.user.id);
+      const equityLine = formatEquity(balances.get(rows[0].entry_id), rows, prices, fx);
+      
+      const embed = new EmbedBuilder()
+        .setTitle(`${ctx.user.username}'s Open Positions${scope}`)
+        .setColor(0x0099ff)
+        .setDescription(truncate(`Equity: ${equityLine}\n\n${rows.map(r => formatPositionLine(r, prices[r.ticker], fx)).join('\n')}`))
+        .setFooter({ text: `Total: ${rows.length} open positions • Live P&L • Equity = bankroll + open P&L${fx ? ` • ≈ ${fx.currency.toUpperCase()} at today's rate` : ''}` });
+      
+      await ctx.reply({ embeds: [embed] });
+      return;
+    }
+    
+    // "positions all" - show everyone's positions
+    const { rows: allTrades } = await query(`
+      SELECT t.*, ${REALIZED_SQL}, u.discord_username, e.user_id 
+      FROM trades t 
+      JOIN entries e ON e.id = t.entry_id 
+      JOIN users u ON u.id = e.user_id 
+      WHERE e.competition_id = $1 AND t.status = 'open' 
+      ORDER BY u.discord_username, t.id DESC
+    `, [competition_id]);
+    
+    if (!allTrades.length) {
+      await ctx.reply(`No open positions found for anyone in ${competition.kind === 'weekly' ? 'this week' : competition.name}.`);
+      return;
+    }
+    
+    const prices = await getTickerPrices(allTrades.map(t => t.ticker));
+    const balances = await getEntryBalances(competition_id);
+    const fx = await getViewerFx(ctx.user.id);
+    
+    const userPositions = {};
+    for (const trade of allTrades) {
+      if (!userPositions[trade.discord_username]) {
+        userPositions[trade.discord_username] = { entryId: trade.entry_id, trades: [] };
+      }
+      userPositions[trade.discord_username].trades.push(trade);
+    }
+    
+    const allPositionsText = Object.entries(userPositions)
+      .map(([username, { entryId, trades }]) => {
+        const lines = trades.map(t => formatPositionLine(t, prices[t.ticker], fx));
+        return `**${username}** ${formatEquity(balances.get(entryId), trades, prices, fx)}\n${lines.join('\n')}`;
+      })
+      .join('\n\n');
+    
+    const embed = new EmbedBuilder()
+      .setTitle(`Everyone's Open Positions${scope}`)
+      .setColor(0x0099ff)
+      .setDescription(truncate(allPositionsText))
+      .setFooter({ text: `Total: ${allTrades.length} open positions • Live P&L${fx ? ` • ≈ ${fx.currency.toUpperCase()} at today's rate` : ''}` });
+    
+    await ctx.reply({ embeds: [embed] });
+  } catch (err) {
+    console.error('Positions error:', err);
+    await ctx.reply('Error loading positions. Try again later.');
+  }
+}
@@ -0,0 +1,144 @@
+import { SlashCommandBuilder, AttachmentBuilder } from 'discord.js';
+import { fetchCoinData } from '../price-enhanced-smart.js';
+import { CHART_TIMEFRAME_NAMES, parseTimeframe, getPriceHistory, getPairHistory } from '../price-history.js';
+import { renderPriceChart } from '../charts.js';
+import { getQuoteCurrency } from '../competition.js';
+import { QUOTE_CURRENCIES, parseCurrency } from '../util/currency.js';
+import { parsePair } from '../util/tickers.js';
+import { ambiguousTickers, describeChoices, choiceRows, collectChoices } from '../disambiguation.js';
+import { formatCoinLine, formatPriceError, formatPct } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('price')
+  .setDescription('get current prices')
+  .addStringOption(o=>o.setName('tickers').setDescription('space-separated tickers (max 6)').setRequired(true))
+  .addStringOption(o=>o.setName('chart').setDescription('price chart of the first ticker over this timeframe').setRequired(false)
+    .addChoices(...CHART_TIMEFRAME_NAMES.map(tf => ({ name: tf, value: tf }))))
+  .addStringOption(o=>o.setName('currency').setDescription('quote currency (default: yours, see /currency)').setRequired(false)
+    .addChoices(...Object.keys(QUOTE_CURRENCIES).map(code => ({ name: code.toUpperCase(), value: code }))));
+
+export const rateLimited = true;
+
+const MAX_TICKERS = 6;
+const DEFAULT_TIMEFRAME = '1d';
+
+// shumi price btc eth sol
+// shumi price eth/btc sol:eth (cross pairs, quoted in the second coin)
+// shumi price btc chart [7d]
+// either + "in eur"
+export function parseArgs(rawArgs) {
+  const inAt = rawArgs.indexOf('in');
+  const currency = inAt >= 0 ? rawArgs[inAt + 1] : undefined;
+  const args = inAt >= 0 ? [...rawArgs.slice(0, inAt), ...rawArgs.slice(inAt + 2)] : rawArgs;
+  
+  const at = args.indexOf('chart');
+  if (at < 0) return { tickers: args.join(' '), currency };
+  
+  const timeframe = args[at + 1] && parseTimeframe(args[at + 1]) ? args[at + 1] : undefined;
+  const rest = [...args.slice(0, at), ...args.slice(at + (timeframe ? 2 : 1))];
+  return { tickers: rest.join(' '), chart: timeframe || DEFAULT_TIMEFRAME, currency };
+}
+
+/**
+ * History behind a chart: the coin in `currency`, or a pair in its own quote
+ * (fiat quotes are a plain vs_currency, crypto quotes a ratio of two histories)
+ */
+function loadHistory(coinData, timeframe, currency) {
+  if (coinData.quoteCoinId) return getPairHistory(coinData.coinId, coinData.quoteCoinId, timeframe);
+  return getPriceHistory(coinData.coinId, timeframe, coinData.isPair ? coinData.currency : currency);
+}
+
+/**
+ * Chart attachment for one coin or pair, or null (with a reason) when history is unavailable
+ */
+async function buildChart(ticker, coinData, timeframe, currency) {
+  try {
+    const points = await loadHistory(coinData, timeframe, currency);
+    const change = (points[points.length - 1].value / points[0].value - 1) * 100;
+    const pair = coinData.isPair ? coinData.symbol : `${(coinData.symbol || ticker).toUpperCase()}/${currency.toUpperCase()}`;
+    const title = `${pair} • ${timeframe} • ${formatPct(change)}`;
+    const png = renderPriceChart(points, { title, currency: coinData.isPair ? coinData.currency : currency });
+    return { file: new AttachmentBuilder(png, { name: `${ticker.replace(/\W/g, '-')}-${timeframe}.png` }) };
+  } catch (err) {
+    console.log(`[PRICE] Chart failed for ${ticker} (${timeframe}):`, err.message);
+    return { error: `Couldn't load ${timeframe} history for ${ticker.toUpperCase()} right now.` };
+  }
+}
+
+export async function execute(ctx) {
+  const requested = String(ctx.options.tickers || '')
+    .split(/\s+/)
+    .map(t => t.replace(/^\$/, ''))
+    .filter(Boolean);
+  const tickers = requested.slice(0, MAX_TICKERS);
+  
+  if (!tickers.length) {
+    await ctx.reply({ content: 'Usage: `shumi price btc eth sol` (up to 6 coins), `shumi price eth/btc`, `shumi price btc chart 7d`', ephemeral: true });
+    return;
+  }
+  const timeframe = ctx.options.chart ? parseTimeframe(ctx.options.chart) : null;
+  if (ctx.options.chart && !timeframe) {
+    await ctx.reply({ content: `Chart timeframe must be one of ${CHART_TIMEFRAME_NAMES.join(', ')}.`, ephemeral: true });
+    return;
+  }
+  const currency = ctx.options.currency ? parseCurrency(ctx.options.currency) : await getQuoteCurrency(ctx.user.id);
+  if (!currency) {
+    await ctx.reply({ content: `Unknown currency "${ctx.options.currency}". Available: ${Object.keys(QUOTE_CURRENCIES).join(', ')}`, ephemeral: true });
+    return;
+  }
+  
+  await ctx.defer('Fetching prices...');
+  
+  // fetchCoinData brings name, 24h change and market cap, and has its own
+  // cache and rate limiting, so tickers are fetched one after another
+  const results = [];
+  const coinIds = {};
+  let first = null;
+  for (const ticker of tickers) {
+    try {
+      const coinData = await fetchCoinData(ticker, { currency });
+      results.push(formatCoinLine(ticker, coinData));
+      coinIds[ticker] = coinData.coinId;
+      first ??= { ticker, coinData };
+    } catch (err) {
+      results.push(formatPriceError(ticker, err));
+    }
+  }
+  
+  const notes = [];
+  if (requested.length > MAX_TICKERS) {
+    notes.push(`Showing the first ${MAX_TICKERS}. For longer lists: \`shumi watch add ${requested.slice(MAX_TICKERS).join(' ')}\`, then \`shumi wl\``);
+  }
+  
+  // Tickers shared by several coins get a "did you mean" menu under the reply
+  let choices = ambiguousTickers(tickers.filter(t => !parsePair(t)), coinIds);
+  const content = () => [...results, ...notes, ...choices.map(describeChoices)].join('\n');
+  const onPick = async (ticker, coinId) => {
+    choices = choices.filter(c => c.ticker !== ticker);
+    try {
+      results[tickers.indexOf(ticker)] = formatCoinLine(ticker, await fetchCoinData(ticker, { currency }));
+    } catch (err) {
+      results[tickers.indexOf(ticker)] = formatPriceError(ticker, err);
+    }
+    return content();
+  };
+  
+  // Charts cover the first coin that priced - one history request per reply
+  if (timeframe && first) {
+    const chart = await buildChart(first.ticker, first.coinData, timeframe, currency);
+    if (chart.file) {
+      const message = await ctx.reply({ content: content(), files: [chart.file], components: choiceRows(choices) });
+      collectChoices(ctx, message, choices, onPick);
+      return;
+    }
+    notes.push(chart.error);
+  }
+  
+  // Clean user-facing output (no technical details)
+  if (!choices.length) {
+    await ctx.reply(content());
+    return;
+  }
+  const message = await ctx.reply({ content: content(), components: choiceRows(choices) });
+  collectChoices(ctx, message, choices, onPick);
+}
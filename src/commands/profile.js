@@ -0,0 +1,124 @@
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import { query } from '../db.js';
+import { getTraderProfile } from '../profile.js';
+import { getLifetimeMetrics, getEntryMetrics, getEntryCurve, curvePoints, formatMetrics } from '../metrics.js';
+import { renderEquityChart } from '../charts.js';
+import { formatPct, formatUsd } from '../util/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('profile')
+  .setDescription('lifetime trading stats: win rate, profit factor, streaks, medals')
+  .addUserOption(o=>o.setName('user').setDescription('whose profile (default: yours)').setRequired(false));
+
+export const rateLimited = true;
+
+// shumi profile [@user]
+export function parseArgs(args) {
+  const mention = (args[0] || '').match(/^<@!?(\d+)>$/) || (args[0] || '').match(/^(\d{15,})$/);
+  return { user: mention ? mention[1] : undefined };
+}
+
+/**
+ * 93784 -> "1d 2h", 2700 -> "45m"
+ */
+export function formatHoldTime(seconds) {
+  if (seconds == null) return '-';
+  const minutes = Math.round(seconds / 60);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days) return `${days}d ${hours}h`;
+  return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Gross profit over gross loss; ∞ when nothing has lost yet
+ */
+function formatProfitFactor(p) {
+  const profit = Number(p.gross_profit_usd);
+  const loss = Number(p.gross_loss_usd);
+  if (loss > 0) return (profit / loss).toFixed(2);
+  return profit > 0 ? '∞' : '-';
+}
+
+function formatMedals(p) {
+  const medals = [['🏆', p.season_titles], ['🥇', p.gold], ['🥈', p.silver], ['🥉', p.bronze]]
+    .filter(([, n]) => n > 0)
+    .map(([icon, n]) => `${icon} ${n}`);
+  return medals.length ? medals.join('  ') : 'none yet';
+}
+
+function buildProfileEmbed(username, p, risk) {
+  const total = p.total_trades;
+  const longShare = total ? Math.round(p.long_trades / total * 100) : 0;
+  const favourites = p.favourite_tickers.map(f => `${f.ticker.toUpperCase()} (${f.count})`).join(', ') || '-';
+  const pct = value => value != null ? formatPct(Number(value)) : '-';
+
+  return new EmbedBuilder()
+    .setTitle(`📇 ${username}'s Trader Profile`)
+    .setColor(0x5865f2)
+    .setDescription(`${formatUsd(p.total_pnl_usd, { signed: true })} all-time across ${p.competitions} competition${p.competitions === 1 ? '' : 's'}`)
+    .addFields(
+      { name:'Trades', value:String(total), inline:true },
+      { name:'Win Rate', value:`${total ? Math.round(p.winning_trades / total * 100) : 0}% (${p.winning_trades}W / ${p.losing_trades}L)`, inline:true },
+      { name:'Profit Factor', value:formatProfitFactor(p), inline:true },
+      { name:'Avg Winner', value:pct(p.avg_winner_pct), inline:true },
+      { name:'Avg Loser', value:pct(p.avg_loser_pct), inline:true },
+      { name:'Best / Worst', value:`${pct(p.best_trade_pct)} / ${pct(p.worst_trade_pct)}`, inline:true },
+      { name:'Longest Streak', value:`${p.longest_win_streak} win${p.longest_win_streak === 1 ? '' : 's'} • ${p.longest_loss_streak} loss${p.longest_loss_streak === 1 ? '' : 'es'}`, inline:true },
+      { name:'Long / Short', value:`${p.long_trades} / ${p.short_trades} (${longShare}% long)`, inline:true },
+      { name:'Avg Hold', value:formatHoldTime(p.avg_hold_seconds == null ? null : Number(p.avg_hold_seconds)), inline:true },
+      { name:'Favourite Tickers', value:favourites, inline:false },
+      { name:'Medals', value:formatMedals(p), inline:false },
+      { name:'Risk (lifetime)', value:formatMetrics(risk.lifetime), inline:false },
+      ...(risk.latest ? [{ name:`Risk (${risk.latest.name})`, value:formatMetrics(risk.latest.metrics), inline:false }] : [])
+    )
+    .setFooter({ text: 'Closed trades across every competition • shumi history for week by week' });
+}
+
+/**
+ * Lifetime metrics plus those (and the equity curve) of the most recent
+ * competition the user traded in
+ */
+async function getRisk(userId) {
+  const { rows } = await query(
+    `SELECT e.id, c.name, c.end_at FROM entries e JOIN competitions c ON c.id = e.competition_id
+     WHERE e.user_id = $1 AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)
+     ORDER BY c.start_at DESC LIMIT 1`,
+    [userId]
+  );
+  const lifetime = await getLifetimeMetrics(userId);
+  const latest = rows[0]
+    ? { name: rows[0].name, end: rows[0].end_at, metrics: await getEntryMetrics(rows[0].id), curve: await getEntryCurve(rows[0].id) }
+    : null;
+  return { lifetime, latest };
+}
+
+function renderLatestCurve(username, latest) {
+  const end = new Date(Math.min(Date.now(), new Date(latest.end).getTime()));
+  return renderEquityChart(curvePoints(latest.curve), {
+    title: `${username} - ${latest.name} equity`, startingBalance: latest.curve.startingBalance, end
+  });
+}
+
+export async function execute(ctx) {
+  await ctx.defer('Loading profile...');
+  const discordId = ctx.options.user || ctx.user.id;
+  const { rows } = await query('SELECT id, discord_username FROM users WHERE discord_id = $1', [discordId]);
+  const user = rows[0];
+  const username = user?.discord_username || (discordId === ctx.user.id ? ctx.user.username : `<@${discordId}>`);
+
+  const profile = user ? await getTraderProfile(user.id) : null;
+  if (!profile?.total_trades && !profile?.competitions) {
+    await ctx.reply(`${username} hasn't closed any trades yet.`);
+    return;
+  }
+
+  const risk = await getRisk(user.id);
+  const embed = buildProfileEmbed(username, profile, risk);
+  if (!risk.latest?.curve) {
+    await ctx.reply({ embeds: [embed] });
+    return;
+  }
+  embed.setImage('attachment://equity.png');
+  await ctx.reply({ embeds: [embed], files: [new AttachmentBuilder(renderLatestCurve(username, risk.latest), { name: 'equity.png' })] });
+}
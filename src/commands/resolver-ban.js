@@ -0,0 +1,44 @@
+import { SlashCommandBuilder } from 'discord.js';
+import smartResolver from '../smart-resolver-v2.js';
+import { requirePermission } from '../permissions.js';
+import { auditedChange } from '../audit.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('resolver-ban')
+  .setDescription('🚫 Ban a ticker from learning (resolver editors)')
+  .addStringOption(o=>o.setName('ticker').setDescription('Ticker to ban').setRequired(true))
+  .addStringOption(o=>o.setName('reason').setDescription('Ban reason').setRequired(false));
+
+// shumi resolver-ban sd [reason]
+export function parseArgs(args) {
+  return { ticker: args[0], reason: args.slice(1).join(' ') || undefined };
+}
+
+export async function execute(ctx) {
+  if (!(await requirePermission(ctx, 'resolver-editor'))) return;
+  
+  const ticker = ctx.options.ticker;
+  const reason = ctx.options.reason || 'admin_banned';
+  if (!ticker) {
+    await ctx.reply({ content: 'Usage: `/resolver-ban ticker:sd reason:wrong_coin`', ephemeral: true });
+    return;
+  }
+  
+  await ctx.defer(`Banning ${ticker.toUpperCase()}...`);
+  console.log(`[ADMIN] Banning ticker: ${ticker} (${reason})`);
+  
+  const normalized = smartResolver.normalizeTicker(ticker);
+  const { result: success, auditId } = normalized
+    ? await auditedChange(ctx, { action: 'mapping.ban', targetType: 'ticker_mapping', targetId: normalized, reason }, (runQuery) =>
+        smartResolver.forceBan(ticker, reason, runQuery)
+      )
+    : { result: false };
+  // Again once committed, in case a lookup cached the old row meanwhile
+  if (normalized) smartResolver.invalidate(normalized);
+  
+  if (success) {
+    await ctx.reply(`🚫 Successfully banned: **${ticker.toUpperCase()}** (${reason})\n📝 Audit #${auditId}`);
+  } else {
+    await ctx.reply(`❌ Failed to ban **${ticker.toUpperCase()}** - invalid ticker`);
+  }
+}
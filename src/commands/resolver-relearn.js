@@ -0,0 +1,47 @@
+import { SlashCommandBuilder } from 'discord.js';
+import smartResolver from '../smart-resolver-v2.js';
+import { requirePermission } from '../permissions.js';
+import { auditedChange } from '../audit.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('resolver-relearn')
+  .setDescription('🔄 Force relearn a ticker mapping (resolver editors)')
+  .addStringOption(o=>o.setName('ticker').setDescription('Ticker to relearn').setRequired(true));
+
+// shumi resolver-relearn sd
+export function parseArgs(args) {
+  return { ticker: args[0] };
+}
+
+export async function execute(ctx) {
+  if (!(await requirePermission(ctx, 'resolver-editor'))) return;
+
+  const ticker = ctx.options.ticker;
+  if (!ticker) {
+    await ctx.reply({ content: 'Usage: `/resolver-relearn ticker:sd`', ephemeral: true });
+    return;
+  }
+  
+  await ctx.defer(`Relearning ${ticker.toUpperCase()}...`);
+  console.log(`[ADMIN] Force relearning ticker: ${ticker}`);
+  
+  const normalized = smartResolver.normalizeTicker(ticker);
+  // Look the coin up before the transaction opens, so it isn't held across the API call
+  const found = normalized && await smartResolver.lookupFromAPI(normalized).catch(err => {
+    console.log(`[ADMIN] Relearn lookup failed for ${normalized}: ${err.message}`);
+    return null;
+  });
+  const { result, auditId } = found
+    ? await auditedChange(ctx, { action: 'mapping.relearn', targetType: 'ticker_mapping', targetId: normalized }, (runQuery) =>
+        smartResolver.forceRelearn(normalized, found, runQuery)
+      )
+    : { result: null };
+  // Again once committed, in case a lookup cached the old row meanwhile
+  if (found) smartResolver.invalidate(normalized);
+  
+  if (result) {
+    await ctx.reply(`✅ Successfully relearned: **${ticker.toUpperCase()}** → **${result}**\n📝 Audit #${auditId}`);
+  } else {
+    await ctx.reply(`❌ Failed to relearn **${ticker.toUpperCase()}** - ticker may not exist on CoinGecko`);
+  }
+}
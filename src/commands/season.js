@@ -0,0 +1,115 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { requirePermission } from '../permissions.js';
+import { auditedChange } from '../audit.js';
+import { parseDuration, parseStartTime, slugify, formatCountdown } from '../competition.js';
+import {
+  SEASON_POINTS, findSeason, getCurrentSeason, listSeasons, findOverlappingSeason,
+  createSeason, getSeasonStandings
+} from '../seasons.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('season')
+  .setDescription('🏁 Season standings across weekly competitions')
+  .addSubcommand(s=>s.setName('standings').setDescription('Season points table')
+    .addStringOption(o=>o.setName('name').setDescription('Season name (default: current season)').setRequired(false)))
+  .addSubcommand(s=>s.setName('list').setDescription('Recent seasons and their champions'))
+  .addSubcommand(s=>s.setName('create').setDescription('Create a season (competition managers)')
+    .addStringOption(o=>o.setName('name').setDescription('Season name, e.g. season-1').setRequired(true))
+    .addStringOption(o=>o.setName('duration').setDescription('How long it runs, e.g. 8w or 3mo').setRequired(true))
+    .addStringOption(o=>o.setName('start').setDescription('Start (UTC), e.g. 2026-11-02 - default now').setRequired(false)));
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+const SLUG = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+// shumi season [standings [name]] | shumi season list | shumi season create <name> <duration> [start 2026-11-02]
+export function parseArgs(args) {
+  const subcommand = args[0] || 'standings';
+  if (subcommand === 'create') {
+    const startIdx = args.indexOf('start');
+    return { subcommand, name: args[1], duration: args[2], start: startIdx > 2 ? args[startIdx + 1] : undefined };
+  }
+  return { subcommand, name: args[1] };
+}
+
+function formatDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+async function showStandings(ctx) {
+  const season = ctx.options.name ? await findSeason(ctx.options.name) : await getCurrentSeason();
+  if (!season) {
+    await ctx.reply(ctx.options.name
+      ? `No season named "${ctx.options.name}". See \`shumi season list\`.`
+      : 'No season has started yet.');
+    return;
+  }
+
+  const { standings, settled, total } = await getSeasonStandings(season.id);
+  const lines = standings.slice(0, 15).map((s, idx) => {
+    const place = MEDALS[idx] || `${idx + 1}.`;
+    const wins = s.wins ? `, ${s.wins} win${s.wins === 1 ? '' : 's'}` : '';
+    return `${place} **${s.discord_username}** ${s.points} pts (${s.weeks} week${s.weeks === 1 ? '' : 's'}${wins})`;
+  });
+
+  const status = season.completed_at
+    ? '🏆 Season complete'
+    : new Date(season.end_at) > new Date() ? `⏰ Ends ${formatCountdown(season.end_at)}` : '⏳ Waiting for the last week to settle';
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏁 ${season.name} Standings`)
+    .setColor(0xffd700)
+    .setDescription(`${formatDate(season.start_at)} → ${formatDate(season.end_at)} • ${status}\n\n${lines.length ? lines.join('\n') : 'No settled weeks yet.'}`)
+    .setFooter({ text: `${settled}/${total} weeks settled • Points by weekly rank: ${SEASON_POINTS.join('-')}` });
+  await ctx.reply({ embeds: [embed] });
+}
+
+async function showList(ctx) {
+  const seasons = await listSeasons();
+  const lines = seasons.map(s => {
+    const champion = s.completed_at ? (s.champion_username ? ` • 🏆 ${s.champion_username}` : ' • complete') : '';
+    return `**${s.name}** (\`${s.slug}\`) ${formatDate(s.start_at)} → ${formatDate(s.end_at)}${champion}`;
+  });
+  await ctx.reply(lines.length ? lines.join('\n') : 'No seasons yet. Create one with `shumi season create <name> <duration>`.');
+}
+
+async function create(ctx) {
+  if (!(await requirePermission(ctx, 'competition-manager'))) return;
+
+  const usage = 'Usage: `shumi season create <name> <duration> [start 2026-11-02]`';
+  const name = slugify(ctx.options.name);
+  const durationMs = parseDuration(ctx.options.duration);
+  const startAt = parseStartTime(ctx.options.start);
+  if (!SLUG.test(name) || !(durationMs > 0) || !startAt) {
+    await ctx.reply({ content: `Season needs a name (2-32 letters, numbers or dashes), a duration like \`8w\` and an optional start date.\n${usage}`, ephemeral: true });
+    return;
+  }
+  const endAt = new Date(startAt.getTime() + durationMs);
+
+  if (await findSeason(name)) {
+    await ctx.reply({ content: `A season named \`${name}\` already exists.`, ephemeral: true });
+    return;
+  }
+  const overlap = await findOverlappingSeason(startAt.toISOString(), endAt.toISOString());
+  if (overlap) {
+    await ctx.reply({ content: `That overlaps ${overlap.name} (${formatDate(overlap.start_at)} → ${formatDate(overlap.end_at)}). Seasons can't overlap.`, ephemeral: true });
+    return;
+  }
+
+  const { auditId } = await auditedChange(ctx, { action: 'season.create', targetType: 'season', targetId: id => id }, runQuery =>
+    createSeason({ name, startAt: startAt.toISOString(), endAt: endAt.toISOString(), createdBy: ctx.user.id }, runQuery)
+  );
+  await ctx.reply(`🏁 Season **${name}** created: ${formatDate(startAt)} → ${formatDate(endAt)}. Weekly competitions starting in that window count toward it.\n📝 Logged as audit #${auditId}`);
+}
+
+export async function execute(ctx) {
+  const { subcommand } = ctx.options;
+  if (subcommand === 'standings') {
+    await showStandings(ctx);
+  } else if (subcommand === 'list') {
+    await showList(ctx);
+  } else if (subcommand === 'create') {
+    await create(ctx);
+  } else {
+    await ctx.reply({ content: 'Usage: `shumi season [standings] [name]`, `shumi season list`, `shumi season create <name> <duration>`', ephemeral: true });
+  }
+}
@@ -0,0 +1,22 @@
+// Text-only: shumi status
+import { version, startedAt } from '../version.js';
+
+export const name = 'status';
+
+export async function execute(ctx) {
+  const uptime = Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000);
+  const uptimeHours = Math.floor(uptime / 3600);
+  const uptimeMinutes = Math.floor((uptime % 3600) / 60);
+  
+  const statusText = `**🤖 Shumi Bot Status**
+
+**Version:** \`${version}\`
+**Started:** ${new Date(startedAt).toLocaleString()}
+**Uptime:** ${uptimeHours}h ${uptimeMinutes}m
+**Process:** Single instance (advisory lock active)
+**Status:** All systems operational
+
+**Health:** All systems operational 🟢`;
+
+  await ctx.reply(statusText);
+}
@@ -0,0 +1,59 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { enterTrade, parseEntryArgs } from './enter.js';
+import { exitTrade, parsePercent } from './exit.js';
+import { splitCompetitionArg } from '../competition.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('trade')
+  .setDescription('enter or exit a trade (advanced)')
+  .addStringOption(o=>o.setName('action').setDescription('enter or exit').setRequired(true).addChoices(
+    { name:'enter', value:'enter' }, { name:'exit', value:'exit' }
+  ))
+  .addStringOption(o=>o.setName('ticker').setDescription('ticker like btc, eth, mog').setRequired(true))
+  .addStringOption(o=>o.setName('side').setDescription('long or short').setRequired(false).addChoices(
+    { name:'long', value:'long' }, { name:'short', value:'short' }
+  ))
+  .addStringOption(o=>o.setName('comment').setDescription('optional note'))
+  .addStringOption(o=>o.setName('size').setDescription('enter: 25% of bankroll or a dollar amount like 500 • exit: % of the position to close').setRequired(false))
+  .addNumberOption(o=>o.setName('leverage').setDescription('multiply P&L on your margin (capped per competition)').setRequired(false).setMinValue(1))
+  .addNumberOption(o=>o.setName('limit_price').setDescription('enter only when the market reaches this price').setRequired(false))
+  .addNumberOption(o=>o.setName('stop_loss').setDescription('auto-close at this price to cap the loss').setRequired(false))
+  .addNumberOption(o=>o.setName('take_profit').setDescription('auto-close at this price to lock in profit').setRequired(false))
+  .addStringOption(o=>o.setName('competition').setDescription('competition name (default: this week)').setRequired(false));
+
+export const rateLimited = true;
+
+// shumi trade enter btc long [25%] [5x] [@ 62000] [sl 60000] [tp 75000] [comment...] [in <competition>]
+// shumi trade exit btc [50%] [in <competition>]
+export function parseArgs(rawArgs) {
+  const { args, competition } = splitCompetitionArg(rawArgs);
+  if (args[0] === 'exit') return { action: 'exit', ticker: args[1], percent: parsePercent(args[2]), competition };
+  if (args[0] !== 'enter') return { action: args[0], ticker: args[1], competition };
+  const { rest, ...entry } = parseEntryArgs(args.slice(1));
+  return { action: 'enter', ...entry, comment: rest.join(' '), competition };
+}
+
+// Slash option names -> enterTrade's names
+export function parseOptions(options) {
+  const { stop_loss, take_profit, limit_price, size, ...rest } = options;
+  if (rest.action === 'exit') return { ...rest, percent: parsePercent(size) };
+  let sizePct, sizeUsd;
+  if (size) {
+    ({ sizePct, sizeUsd } = parseEntryArgs([rest.ticker, String(size).trim()]));
+    // Unparseable size: surface the sizing error instead of silently using the default
+    if (sizePct === undefined && sizeUsd === undefined) sizeUsd = NaN;
+  }
+  return { ...rest, stopLoss: stop_loss, takeProfit: take_profit, limitPrice: limit_price, sizePct, sizeUsd };
+}
+
+export async function execute(ctx) {
+  const { action, ticker, side, comment, stopLoss, takeProfit, limitPrice, sizePct, sizeUsd, leverage, percent, competition } = ctx.options;
+  
+  if (action === 'enter') {
+    await enterTrade(ctx, { ticker, side: side || 'long', comment: comment || '', stopLoss, takeProfit, limitPrice, sizePct, sizeUsd, leverage: leverage ?? 1, competition });
+  } else if (action === 'exit') {
+    await exitTrade(ctx, { ticker, percent, competition });
+  } else {
+    await ctx.reply({ content: 'Usage: `shumi trade enter btc long` or `shumi trade exit btc`', ephemeral: true });
+  }
+}
@@ -0,0 +1,79 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { ensureUser } from '../competition.js';
+import { MAX_WATCHLIST_ITEMS, getWatchlist, addToWatchlist, removeFromWatchlist } from '../watchlists.js';
+import { parsePair } from '../util/tickers.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('watch')
+  .setDescription('👀 your watchlist: add, remove or list coins (price them all with /wl)')
+  .addSubcommand(s=>s.setName('add').setDescription('add coins to your watchlist')
+    .addStringOption(o=>o.setName('tickers').setDescription('space-separated tickers').setRequired(true)))
+  .addSubcommand(s=>s.setName('remove').setDescription('remove coins from your watchlist')
+    .addStringOption(o=>o.setName('tickers').setDescription('space-separated tickers').setRequired(true)))
+  .addSubcommand(s=>s.setName('list').setDescription('show what you watch'));
+
+export const rateLimited = true;
+
+const SUBCOMMANDS = ['add', 'remove', 'list'];
+
+// shumi watch add btc eth pepe
+// shumi watch remove pepe
+// shumi watch [list]
+export function parseArgs(args) {
+  const subcommand = SUBCOMMANDS.includes(args[0]) ? args[0] : args.length ? null : 'list';
+  return { subcommand, tickers: args.slice(1).join(' ') };
+}
+
+function splitTickers(text) {
+  return [...new Set(String(text || '').toLowerCase().split(/[\s,]+/).map(t => t.replace(/^\$/, '')).filter(Boolean))];
+}
+
+async function add(ctx, userId, tickers) {
+  const pairs = tickers.filter(t => parsePair(t));
+  // New tickers resolve one by one and may go out to CoinGecko
+  await ctx.defer('Adding...');
+  const { added, existing, unresolved, full } = await addToWatchlist(userId, tickers.filter(t => !parsePair(t)));
+
+  const lines = [];
+  if (added.length) lines.push(`👀 Watching ${added.map(a => `**${a.ticker.toUpperCase()}** (\`${a.coinId}\`)`).join(', ')}`);
+  if (existing.length) lines.push(`Already watching: ${existing.map(t => t.toUpperCase()).join(', ')}`);
+  if (unresolved.length) lines.push(`Not found: ${unresolved.map(t => t.toUpperCase()).join(', ')}`);
+  if (pairs.length) lines.push(`Watchlists hold single coins, skipped: ${pairs.map(t => t.toUpperCase()).join(', ')}`);
+  if (full.length) lines.push(`Watchlist is full (${MAX_WATCHLIST_ITEMS} coins), skipped: ${full.map(t => t.toUpperCase()).join(', ')}`);
+  await ctx.reply(lines.join('\n'));
+}
+
+async function list(ctx, userId) {
+  const items = await getWatchlist(userId);
+  if (!items.length) {
+    await ctx.reply(`${ctx.user.username}'s watchlist is empty. Add coins with \`shumi watch add btc eth sol\`.`);
+    return;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(`👀 ${ctx.user.username}'s Watchlist`)
+    .setColor(0x0099ff)
+    .setDescription(items.map(item => `**${item.ticker.toUpperCase()}** \`${item.coin_id}\``).join('\n').slice(0, 4000))
+    .setFooter({ text: `${items.length}/${MAX_WATCHLIST_ITEMS} coins • shumi wl for prices` });
+  await ctx.reply({ embeds: [embed] });
+}
+
+export async function execute(ctx) {
+  const { subcommand } = ctx.options;
+  const tickers = splitTickers(ctx.options.tickers);
+  if (!subcommand || (subcommand !== 'list' && !tickers.length)) {
+    await ctx.reply({ content: 'Usage: `shumi watch add btc eth`, `shumi watch remove eth`, `shumi watch list`, then `shumi wl` for prices', ephemeral: true });
+    return;
+  }
+
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  if (subcommand === 'add') {
+    await add(ctx, userId, tickers);
+  } else if (subcommand === 'remove') {
+    const removed = await removeFromWatchlist(userId, tickers);
+    await ctx.reply(removed.length
+      ? `Removed ${removed.map(t => t.toUpperCase()).join(', ')} from your watchlist.`
+      : `None of those are on your watchlist. See \`shumi watch list\`.`);
+  } else {
+    await list(ctx, userId);
+  }
+}
@@ -0,0 +1,6 @@
+// Text-only: shumi whoami
+export const name = 'whoami';
+
+export async function execute(ctx) {
+  await ctx.reply(`Your Discord ID: ${ctx.user.id}`);
+}
@@ -0,0 +1,61 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { ensureUser, getQuoteCurrency } from '../competition.js';
+import { getUsdRate } from '../exchange-rates.js';
+import { getWatchlist, priceWatchlist } from '../watchlists.js';
+import { formatCoinLine } from '../util/format.js';
+import { chunkLines, replyPaginated } from '../util/pagination.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('wl')
+  .setDescription('price your whole watchlist');
+
+export const rateLimited = true;
+
+const PER_PAGE = 15;
+
+/**
+ * The viewer's quote currency and rate, falling back to USD when the rate is unavailable
+ */
+async function getFx(discordId) {
+  const currency = await getQuoteCurrency(discordId);
+  try {
+    return { currency, rate: await getUsdRate(currency) };
+  } catch (err) {
+    console.log(`[WL] No ${currency} rate:`, err.message);
+    return { currency: 'usd', rate: 1 };
+  }
+}
+
+function formatItemLine(item, fx) {
+  if (!item.quote) return `**${item.ticker.toUpperCase()}** ⏳ no price right now`;
+  const { price, change24h, marketCap } = item.quote;
+  return formatCoinLine(item.ticker, {
+    price: price * fx.rate,
+    change24h,
+    marketCap: marketCap != null ? marketCap * fx.rate : null,
+    currency: fx.currency
+  });
+}
+
+// shumi wl
+export async function execute(ctx) {
+  const userId = await ensureUser(ctx.user.id, ctx.user.username);
+  const items = await getWatchlist(userId);
+  if (!items.length) {
+    await ctx.reply('Your watchlist is empty. Add coins with `shumi watch add btc eth sol`.');
+    return;
+  }
+
+  await ctx.defer(`Pricing ${items.length} coins...`);
+  const [priced, fx] = await Promise.all([priceWatchlist(items), getFx(ctx.user.id)]);
+  const pages = chunkLines(priced.map(item => formatItemLine(item, fx)), PER_PAGE);
+
+  // 24h change is the USD change - converting the price doesn't move it
+  const note = fx.currency === 'usd' ? '' : ` • ${fx.currency.toUpperCase()} at the current rate, 24h change vs USD`;
+  const embeds = pages.map((lines, idx) => new EmbedBuilder()
+    .setTitle(`👀 ${ctx.user.username}'s Watchlist`)
+    .setColor(0x0099ff)
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `${items.length} coins${pages.length > 1 ? ` • page ${idx + 1}/${pages.length}` : ''}${note}` }));
+  await replyPaginated(ctx, embeds);
+}
@@ -0,0 +1,224 @@
+// src/competition.js
+// Competition bookkeeping shared by commands and jobs: the rolling weekly
+// competition plus custom ones with their own window and rules
+
+import { query } from './db.js';
+
+export function getIsoWeek(d) {
+  const date = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const dayNum = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(),0,1));
+  return Math.ceil((((date - yearStart) / 86400000) + 1) / 7);
+}
+
+export function getIsoWeekYear(d) {
+  const date = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+  return date.getUTCFullYear();
+}
+
+export function startOfIsoWeek(d){const x=new Date(Date.UTC(d.getUTCFullYear(),d.getUTCMonth(),d.getUTCDate()));const k=(x.getUTCDay()+6)%7;x.setUTCDate(x.getUTCDate()-k);x.setUTCHours(0,0,0,0);return x;}
+export function endOfIsoWeek(d){const s=startOfIsoWeek(d);const e=new Date(s);e.setUTCDate(s.getUTCDate()+7);e.setUTCHours(0,0,0,0);return e;}
+
+export async function ensureUser(discordId, username = 'Unknown') {
+  const { rows } = await query(
+    'INSERT INTO users(discord_id, discord_username) VALUES($1, $2) ON CONFLICT(discord_id) DO UPDATE SET discord_username=$2 RETURNING id',
+    [discordId, username]
+  );
+  return rows[0].id;
+}
+
+/**
+ * A member's default quote currency ('usd' for anyone we haven't seen)
+ */
+export async function getQuoteCurrency(discordId) {
+  const { rows } = await query('SELECT quote_currency FROM users WHERE discord_id = $1', [discordId]);
+  return rows[0]?.quote_currency || 'usd';
+}
+
+export async function setQuoteCurrency(discordId, username, currency) {
+  await ensureUser(discordId, username);
+  await query('UPDATE users SET quote_currency = $1 WHERE discord_id = $2', [currency, discordId]);
+}
+
+/**
+ * Competition row -> the shape commands work with
+ */
+function toCompetition(row) {
+  return {
+    competition_id: row.id,
+    name: row.name,
+    slug: row.slug,
+    kind: row.kind,
+    week_number: row.week_number,
+    start_at: row.start_at,
+    end_at: row.end_at,
+    settled_at: row.settled_at,
+    season_id: row.season_id,
+    scoring_mode: row.scoring_mode,
+    max_leverage: Number(row.max_leverage),
+    starting_balance: Number(row.starting_balance)
+  };
+}
+
+/**
+ * The rolling weekly competition, created on first use
+ * Keyed by ISO year * 100 + week so week 1 of next year is a new competition;
+ * joins the season whose window it starts in, if any
+ */
+export async function ensureCurrentWeek() {
+  const now = new Date();
+  const week = getIsoWeek(now);
+  const year = getIsoWeekYear(now);
+  const start = startOfIsoWeek(now).toISOString();
+  const end = endOfIsoWeek(now).toISOString();
+  
+  const { rows } = await query(
+    `INSERT INTO competitions(week_number,start_at,end_at,name,slug,kind,season_id)
+     VALUES($1,$2,$3,$4,$5,'weekly',(SELECT id FROM seasons WHERE start_at <= $2 AND end_at > $2 ORDER BY id LIMIT 1))
+     ON CONFLICT(week_number) DO UPDATE SET week_number=$1 RETURNING *`,
+    [year * 100 + week, start, end, `Week ${week}`, `week-${year}-${String(week).padStart(2, '0')}`]
+  );
+  return toCompetition(rows[0]);
+}
+
+/**
+ * "Weekend Special!" -> "weekend-special"
+ */
+export function slugify(name) {
+  return String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export async function findCompetition(name) {
+  const { rows } = await query('SELECT * FROM competitions WHERE slug = $1', [slugify(name)]);
+  return rows[0] ? toCompetition(rows[0]) : null;
+}
+
+/**
+ * A weekly competition by ISO week and year (defaults to the current ISO year)
+ */
+export async function findWeeklyCompetition(week, year = getIsoWeekYear(new Date())) {
+  const { rows } = await query(
+    `SELECT * FROM competitions WHERE week_number = $1 AND kind = 'weekly'`,
+    [year * 100 + week]
+  );
+  return rows[0] ? toCompetition(rows[0]) : null;
+}
+
+/**
+ * The competition a command targets: the named one, or this week's by default
+ * Returns null when a name was given but doesn't match
+ */
+export async function resolveCompetition(name) {
+  return name ? findCompetition(name) : ensureCurrentWeek();
+}
+
+export function competitionStatus(competition, now = new Date()) {
+  if (competition.settled_at || new Date(competition.end_at) <= now) return 'ended';
+  if (new Date(competition.start_at) > now) return 'upcoming';
+  return 'active';
+}
+
+/**
+ * Resolve the competition a command targets, replying with the reason when
+ * it doesn't exist or (with `active`) isn't running right now
+ * Returns the competition, or null after replying
+ */
+export async function requireCompetition(ctx, name, { active = false } = {}) {
+  const competition = await resolveCompetition(name);
+  if (!competition) {
+    await ctx.reply(`No competition named "${name}". See \`shumi competition list\`.`);
+    return null;
+  }
+  const status = competitionStatus(competition);
+  if (active && status !== 'active') {
+    await ctx.reply(status === 'upcoming'
+      ? `${competition.name} hasn't started yet - it starts ${formatCountdown(competition.start_at)}.`
+      : `${competition.name} has ended.`);
+    return null;
+  }
+  return competition;
+}
+
+/**
+ * Insert a custom competition, returns its id
+ */
+export async function createCompetition({ name, startAt, endAt, scoringMode, maxLeverage = 1, startingBalance = 10000, createdBy }, runQuery = query) {
+  const { rows } = await runQuery(
+    `INSERT INTO competitions(name,slug,kind,start_at,end_at,scoring_mode,max_leverage,starting_balance,created_by)
+     VALUES($1,$2,'custom',$3,$4,COALESCE($5,'portfolio'),$6,$7,$8) RETURNING id`,
+    [name, slugify(name), startAt, endAt, scoringMode ?? null, maxLeverage, startingBalance, createdBy ?? null]
+  );
+  return rows[0].id;
+}
+
+/**
+ * Competitions that haven't ended yet (running and upcoming), soonest end first
+ */
+export async function listOpenCompetitions() {
+  const { rows } = await query(
+    'SELECT * FROM competitions WHERE settled_at IS NULL AND end_at > NOW() ORDER BY end_at ASC'
+  );
+  return rows.map(toCompetition);
+}
+
+/**
+ * Pull a trailing "in <name>" out of text args: shumi enter btc long in sprint
+ * Names are one token, so only the last two args count - an "in" inside a
+ * trade comment stays part of the comment
+ */
+export function splitCompetitionArg(args) {
+  const idx = args.length - 2;
+  if (idx < 0 || args[idx] !== 'in') return { args, competition: undefined };
+  return { args: args.slice(0, idx), competition: args[idx + 1] };
+}
+
+// Entries start with the competition's configured bankroll
+export async function upsertEntry(compId, userId) {
+  const { rows } = await query(
+    `INSERT INTO entries(competition_id,user_id,starting_balance)
+     SELECT $1, $2, starting_balance FROM competitions WHERE id=$1
+     ON CONFLICT(competition_id,user_id) DO UPDATE SET competition_id=$1 RETURNING id`,
+    [compId, userId]
+  );
+  return rows[0].id;
+}
+
+const DURATION_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000, mo: 30 * 86400000 };
+
+/**
+ * "36h" / "3d" / "2w" / "1mo" -> milliseconds, NaN when unparseable
+ */
+export function parseDuration(text) {
+  const match = String(text || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)(h|d|w|mo)$/);
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : NaN;
+}
+
+/**
+ * "now", "2026-10-24" or "2026-10-24T18:00" (UTC) -> Date, null when unparseable
+ * Text commands arrive lowercased, hence the toUpperCase for the "T"
+ */
+export function parseStartTime(value) {
+  if (!value || value === 'now') return new Date();
+  const text = String(value).toUpperCase();
+  if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(text)) return null;
+  const date = new Date(`${text}${text.includes('T') ? '' : 'T00:00'}Z`);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Human countdown to a competition end, e.g. "Mon 00:00:00 (in 2d 5h 13m)"
+ */
+export function formatCountdown(endAt, now = new Date()) {
+  const end = new Date(endAt);
+  const timeLeft = Math.max(0, end.getTime() - now.getTime());
+  const daysLeft = Math.floor(timeLeft / (1000 * 60 * 60 * 24));
+  const hoursLeft = Math.floor((timeLeft % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+  const minutesLeft = Math.floor((timeLeft % (1000 * 60 * 60)) / (1000 * 60));
+  
+  const dayName = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][end.getUTCDay()];
+  const timeStr = `${String(end.getUTCHours()).padStart(2, '0')}:${String(end.getUTCMinutes()).padStart(2, '0')}:${String(end.getUTCSeconds()).padStart(2, '0')}`;
+  const countdownStr = daysLeft > 0 ? `${daysLeft}d ${hoursLeft}h ${minutesLeft}m` : `${hoursLeft}h ${minutesLeft}m`;
+  return `${dayName} ${timeStr} (in ${countdownStr})`;
+}
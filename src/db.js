@@ -36,4 +36,20 @@ async function query(text, params) {
   return pool.query(text, params);
 }
 
-export { query, pool };
\ No newline at end of file
+// Run fn(runQuery) inside BEGIN/COMMIT on one pooled client, rolling back on error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client.query.bind(client));
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export { query, pool, withTransaction };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// src/disambiguation.js
+// "Did you mean ...?" menus for tickers shared by several coins (SD, BIO, TROLL)
+// The resolver answers with its best guess and remembers the candidates; the
+// reply carries one select menu per such ticker, and the pick is stored as a
+// 'vote' mapping so every later lookup gets the coin people actually meant
+
+import { ActionRowBuilder, StringSelectMenuBuilder, ComponentType } from 'discord.js';
+import smartResolver from './smart-resolver-v2.js';
+import { forgetTicker } from './price-enhanced-smart.js';
+
+const IDLE_MS = 5 * 60 * 1000;
+const MAX_OPTIONS = 5;
+// Discord allows five component rows per message
+const MAX_MENUS = 5;
+
+function rankLabel(candidate) {
+  return candidate.market_cap_rank < 9999 ? `#${candidate.market_cap_rank}` : 'unranked';
+}
+
+/**
+ * Tickers from `tickers` whose mapping is still a guess between several coins
+ * Returns [{ ticker, coinId, candidates }] - call after pricing, which is what learns them
+ */
+export function ambiguousTickers(tickers, coinIds = {}) {
+  const found = [];
+  for (const ticker of tickers) {
+    const candidates = smartResolver.getChoices(ticker);
+    if (candidates && found.length < MAX_MENUS) found.push({ ticker, coinId: coinIds[ticker], candidates });
+  }
+  return found;
+}
+
+/**
+ * "SD: showing Stader - did you mean Stake DAO?"
+ */
+export function describeChoices({ ticker, coinId, candidates }) {
+  const shown = candidates.find(c => c.id === coinId) || candidates[0];
+  const others = candidates.filter(c => c !== shown).slice(0, MAX_OPTIONS - 1).map(c => c.name);
+  return `❓ ${ticker.toUpperCase()} matches several coins - showing **${shown.name}**. Did you mean ${others.join(', ')}?`;
+}
+
+function choiceRow({ ticker, coinId, candidates }) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`choose_${ticker}`)
+    .setPlaceholder(`${ticker.toUpperCase()}: pick the coin you meant`)
+    .addOptions(candidates.slice(0, MAX_OPTIONS).map(c => ({
+      label: `${c.name} (${c.symbol.toUpperCase()})`.slice(0, 100),
+      description: `${rankLabel(c)} • ${c.id}`.slice(0, 100),
+      value: c.id,
+      default: c.id === coinId
+    })));
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+export function choiceRows(choices) {
+  return choices.map(choiceRow);
+}
+
+/**
+ * Handle picks from the menus on `message`
+ * `onPick(ticker, coinId)` returns the new message content (or undefined to keep it);
+ * only the invoker can pick, they are told when a pick could not be saved,
+ * and the menus go away after 5 idle minutes
+ */
+export function collectChoices(ctx, message, choices, onPick) {
+  if (!message?.createMessageComponentCollector || !choices.length) return;
+
+  let remaining = [...choices];
+  const collector = message.createMessageComponentCollector({ componentType: ComponentType.StringSelect, idle: IDLE_MS });
+  collector.on('collect', async (i) => {
+    try {
+      if (i.user.id !== ctx.user.id) {
+        await i.reply({ content: `Only the person who ran the command can pick - try \`shumi price ${i.customId.slice('choose_'.length)}\` yourself.`, flags: 64 });
+        return;
+      }
+      const ticker = i.customId.slice('choose_'.length);
+      const coinId = i.values[0];
+      const saved = await smartResolver.recordChoice(ticker, coinId);
+      forgetTicker(ticker);
+
+      remaining = remaining.filter(c => c.ticker !== ticker);
+      const content = await onPick(ticker, coinId);
+      await i.update({ ...(content !== undefined && { content }), components: choiceRows(remaining) });
+      // Expired candidates, or someone else's pick or an admin mapping got there first
+      if (!saved) {
+        await i.followUp({ content: `Couldn't save ${ticker.toUpperCase()} → ${coinId}: that ticker is no longer open for picking, so the reply shows its current coin. Dispute it with \`shumi mapping vote ${ticker}\`.`, flags: 64 });
+      }
+      if (!remaining.length) collector.stop('picked');
+    } catch (err) {
+      console.error('[DISAMBIGUATION]', err.message);
+    }
+  });
+  collector.on('end', (_collected, reason) => {
+    if (reason !== 'picked') message.edit({ components: [] }).catch(() => {});
+  });
+}
@@ -0,0 +1,136 @@
+// src/equity-snapshots.js
+// Periodic equity snapshots: every few minutes, prices all open trades in
+// running competitions in one batch and records each entry's equity, so
+// there is a record of how a competition unfolded between closes.
+// Feeds the equity curves in metrics.js and the leaderboard history
+
+import cron from 'node-cron';
+import { query } from './db.js';
+import { getTickerPrices } from './ticker-prices.js';
+import { getEntryBalances, calcEquity } from './bankroll.js';
+
+export const DEFAULT_SNAPSHOT_MINUTES = 15;
+
+let running = false;
+
+/**
+ * One snapshot pass over every running competition
+ * Entries holding a position that didn't price this pass are skipped rather
+ * than recorded at cost - a wrong point would show up as a fake drawdown
+ * Returns the number of snapshots written
+ */
+export async function runEquitySnapshot(takenAt = new Date()) {
+  const { rows: competitions } = await query(
+    `SELECT id FROM competitions WHERE start_at <= $1 AND end_at > $1 AND settled_at IS NULL`,
+    [takenAt]
+  );
+  if (!competitions.length) return 0;
+  const competitionIds = competitions.map(c => c.id);
+
+  const { rows: openTrades } = await query(
+    `SELECT t.entry_id, t.ticker, t.side, t.entry_price, t.size_usd, t.remaining_size_usd, t.leverage
+     FROM trades t JOIN entries e ON e.id = t.entry_id
+     WHERE e.competition_id = ANY($1) AND t.status = 'open'`,
+    [competitionIds]
+  );
+  // Batch only - a ticker missing this pass is priced again next pass
+  const prices = await getTickerPrices(openTrades.map(t => t.ticker), { fallback: false });
+
+  const byEntry = new Map();
+  for (const t of openTrades) {
+    if (!byEntry.has(t.entry_id)) byEntry.set(t.entry_id, []);
+    byEntry.get(t.entry_id).push(t);
+  }
+
+  let written = 0;
+  for (const competitionId of competitionIds) {
+    // Only entries that have traded: an untouched bankroll is a flat line
+    const { rows: traded } = await query(
+      `SELECT e.id FROM entries e
+       WHERE e.competition_id = $1 AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)`,
+      [competitionId]
+    );
+    if (!traded.length) continue;
+    const balances = await getEntryBalances(competitionId);
+
+    for (const { id: entryId } of traded) {
+      const positions = byEntry.get(entryId) || [];
+      if (positions.some(p => !prices[p.ticker])) continue;
+
+      const { startingBalance, realizedPnl } = balances.get(entryId);
+      const { equity, unrealized } = calcEquity(startingBalance, realizedPnl, positions, prices);
+      await query(
+        `INSERT INTO equity_snapshots (entry_id, competition_id, taken_at, equity, realized_usd, unrealized_usd, open_positions)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [entryId, competitionId, takenAt.toISOString(), equity, realizedPnl, unrealized, positions.length]
+      );
+      written++;
+    }
+  }
+  return written;
+}
+
+/**
+ * Snapshots for a set of entries, oldest first
+ * Returns Map(entry_id -> [{ time, equity }])
+ */
+export async function getEntrySnapshots(entryIds, runQuery = query) {
+  const { rows } = await runQuery(
+    `SELECT entry_id, taken_at, equity FROM equity_snapshots
+     WHERE entry_id = ANY($1)
+     ORDER BY taken_at, id`,
+    [entryIds]
+  );
+  const byEntry = new Map();
+  for (const r of rows) {
+    if (!byEntry.has(r.entry_id)) byEntry.set(r.entry_id, []);
+    byEntry.get(r.entry_id).push({ time: r.taken_at, equity: Number(r.equity) });
+  }
+  return byEntry;
+}
+
+/**
+ * A competition's standings over time: every snapshot pass with each
+ * entry's equity, oldest first
+ * Returns [{ time, entries: [{ entry_id, discord_username, equity }] }]
+ */
+export async function getCompetitionHistory(competitionId, runQuery = query) {
+  const { rows } = await runQuery(
+    `SELECT s.taken_at, s.entry_id, s.equity, u.discord_username
+     FROM equity_snapshots s
+     JOIN entries e ON e.id = s.entry_id
+     JOIN users u ON u.id = e.user_id
+     WHERE s.competition_id = $1
+     ORDER BY s.taken_at, s.equity DESC`,
+    [competitionId]
+  );
+  const passes = [];
+  for (const r of rows) {
+    const time = new Date(r.taken_at);
+    const last = passes[passes.length - 1];
+    if (!last || last.time.getTime() !== time.getTime()) passes.push({ time, entries: [] });
+    passes[passes.length - 1].entries.push({ entry_id: r.entry_id, discord_username: r.discord_username, equity: Number(r.equity) });
+  }
+  return passes;
+}
+
+/**
+ * Snapshot every EQUITY_SNAPSHOT_MINUTES (default 15) minutes
+ */
+export function scheduleEquitySnapshots(minutes = Number(process.env.EQUITY_SNAPSHOT_MINUTES) || DEFAULT_SNAPSHOT_MINUTES) {
+  const step = Math.min(Math.max(Math.round(minutes), 1), 59);
+  cron.schedule(`*/${step} * * * *`, async () => {
+    // A slow price batch must not stack passes on top of each other
+    if (running) return;
+    running = true;
+    try {
+      const written = await runEquitySnapshot();
+      if (written) console.log(`[SNAPSHOT] Recorded equity for ${written} entries`);
+    } catch (e) {
+      console.error('[SNAPSHOT]', e);
+    } finally {
+      running = false;
+    }
+  }, { timezone: process.env.TZ || 'UTC' });
+  console.log(`Equity snapshots scheduled every ${step} minutes`);
+}
@@ -0,0 +1,31 @@
+// src/exchange-rates.js
+// USD -> quote currency rates for showing virtual dollars in a member's own
+// currency. CoinGecko's exchange_rates is BTC-based, so one request covers
+// fiat, BTC and ETH alike; refreshed at most every 10 minutes
+
+import axios from 'axios';
+import { getCoinGeckoConfig } from './cg-batcher.js';
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+let cached = null; // { rates, timestamp }
+
+async function fetchRates() {
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) return cached.rates;
+
+  const config = getCoinGeckoConfig();
+  const { data } = await axios.get(`${config.baseURL}/exchange_rates`, { headers: config.headers, timeout: config.timeout });
+  cached = { rates: data.rates, timestamp: Date.now() };
+  return cached.rates;
+}
+
+/**
+ * Units of `currency` per 1 USD, e.g. 0.92 for eur
+ * Throws when CoinGecko has no rate for it
+ */
+export async function getUsdRate(currency) {
+  if (currency === 'usd') return 1;
+  const rates = await fetchRates();
+  if (!rates[currency]?.value || !rates.usd?.value) throw new Error(`no exchange rate for ${currency}`);
+  return rates[currency].value / rates.usd.value;
+}
@@ -0,0 +1,71 @@
+// src/history.js
+// Read-only views over past competitions: frozen final standings, the
+// all-time table and a user's competition history. Everything comes from
+// entries (final_rank / final_score frozen at settlement) and closed trades
+
+import { query } from './db.js';
+
+/**
+ * Frozen standings of a settled competition, best first
+ */
+export async function getFinalStandings(competitionId) {
+  const { rows } = await query(
+    `SELECT e.id AS entry_id, e.final_rank, e.final_score, e.final_equity, e.starting_balance, u.discord_username,
+       (SELECT COUNT(*)::int FROM trades t WHERE t.entry_id = e.id AND t.status = 'closed') AS trade_count
+     FROM entries e JOIN users u ON u.id = e.user_id
+     WHERE e.competition_id = $1 AND e.final_rank IS NOT NULL
+     ORDER BY e.final_rank ASC`,
+    [competitionId]
+  );
+  return rows;
+}
+
+/**
+ * Everyone's closed trades across every competition, ranked by total
+ * virtual dollar P&L (scoring modes differ week to week, dollars don't)
+ */
+export async function getAllTimeStandings(limit = 10) {
+  const { rows } = await query(
+    `SELECT u.id AS user_id, u.discord_username,
+       COUNT(DISTINCT e.competition_id)::int AS competitions,
+       COUNT(DISTINCT e.competition_id) FILTER (WHERE e.final_rank = 1)::int AS wins,
+       COUNT(t.id)::int AS trade_count,
+       COUNT(t.id) FILTER (WHERE t.pnl_pct > 0)::int AS winning_trades,
+       COALESCE(SUM(t.pnl_usd), 0) AS total_pnl_usd
+     FROM users u
+     JOIN entries e ON e.user_id = u.id
+     JOIN trades t ON t.entry_id = e.id AND t.status = 'closed'
+     GROUP BY u.id, u.discord_username
+     ORDER BY total_pnl_usd DESC, wins DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+/**
+ * Every competition a user entered, newest first, with per-entry trade stats
+ * best/worst are the entry's best and worst closed trade by P&L %
+ */
+export async function getUserHistory(userId) {
+  const { rows } = await query(
+    `SELECT c.id AS competition_id, c.name, c.kind, c.scoring_mode, c.start_at, c.end_at, c.settled_at,
+       e.final_rank, e.final_score, e.final_equity, e.starting_balance,
+       (SELECT COUNT(*)::int FROM entries x WHERE x.competition_id = c.id AND x.final_rank IS NOT NULL) AS participants,
+       COUNT(t.id)::int AS trade_count,
+       COUNT(t.id) FILTER (WHERE t.pnl_pct > 0)::int AS winning_trades,
+       COALESCE(SUM(t.pnl_usd), 0) AS pnl_usd,
+       (SELECT json_build_object('ticker', b.ticker, 'pnl_pct', b.pnl_pct) FROM trades b
+        WHERE b.entry_id = e.id AND b.status = 'closed' ORDER BY b.pnl_pct DESC LIMIT 1) AS best,
+       (SELECT json_build_object('ticker', w.ticker, 'pnl_pct', w.pnl_pct) FROM trades w
+        WHERE w.entry_id = e.id AND w.status = 'closed' ORDER BY w.pnl_pct ASC LIMIT 1) AS worst
+     FROM entries e
+     JOIN competitions c ON c.id = e.competition_id
+     LEFT JOIN trades t ON t.entry_id = e.id AND t.status = 'closed'
+     WHERE e.user_id = $1
+     GROUP BY c.id, e.id
+     ORDER BY c.end_at DESC`,
+    [userId]
+  );
+  return rows;
+}
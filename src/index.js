@@ -1,13 +1,19 @@
 import 'dotenv/config';
 import { assertSingleResolver } from './startup-asserts.js';
 import { version, startedAt } from './version.js';
+import { assertOwnersConfigured } from './permissions.js';
 
 assertSingleResolver();
+assertOwnersConfigured();
 console.log(`bot starting version=${version} startedAt=${startedAt}`);
 
 import express from 'express';
 import { startDiscord } from './discord.js';
 import { scheduleDailyJob } from './sentiment.js';
+import { scheduleSettlementJob } from './settlement.js';
+import { scheduleTradeMonitor } from './trade-monitor.js';
+import { scheduleEquitySnapshots } from './equity-snapshots.js';
+import { scheduleAlertEvaluator } from './alerts.js';
 import { assertSingleInstance } from '../db/singleton.js';
 import { buildSymbolIndex, scheduleIndexRefresh } from './symbol-index.js';
 import smartResolver from './smart-resolver-v2.js';
@@ -27,8 +33,12 @@ import smartResolver from './smart-resolver-v2.js';
   console.log('Warming up smart resolver...');
   await smartResolver.warmup();
   
-  await startDiscord();
+  const client = await startDiscord();
   scheduleDailyJob('0 14 * * *');
+  scheduleSettlementJob(client);
+  scheduleTradeMonitor(client);
+  scheduleEquitySnapshots();
+  scheduleAlertEvaluator(client);
   const app = express();
   app.get('/health', (_,res)=>res.status(200).send('ok'));
   const port = process.env.PORT || 3000;
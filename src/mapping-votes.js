@@ -0,0 +1,125 @@
+// src/mapping-votes.js
+// Community votes on ticker mappings: members confirm (👍) or dispute (👎)
+// the coin a ticker resolves to. Votes are weighted, move the mapping's
+// confidence, and flag it for resolver editors once disputes pile up
+
+import { query, withTransaction } from './db.js';
+import { hasPermission } from './permissions.js';
+
+// Confidence points per unit of weighted net vote
+const POINTS_PER_VOTE = 5;
+
+// Weighted disputes (outnumbering confirmations) that flag a mapping for review
+export const REVIEW_DISPUTE_WEIGHT = Number(process.env.MAPPING_REVIEW_THRESHOLD) || 3;
+
+// Discord snowflakes carry their creation time, so account age needs no API call
+const DISCORD_EPOCH = 1420070400000n;
+const NEW_ACCOUNT_MS = 30 * 24 * 60 * 60 * 1000;
+const WEIGHTS = { editor: 3, member: 1, newAccount: 0.25 };
+
+export function accountCreatedAt(discordId) {
+  return Number((BigInt(discordId) >> 22n) + DISCORD_EPOCH);
+}
+
+/**
+ * Weight of one voter - `voter` is { user, guildId, member } like a ctx
+ * Resolver editors count triple, Discord accounts under 30 days a quarter,
+ * so a handful of fresh alts can't outvote the regulars
+ */
+export async function voteWeight(voter, now = Date.now()) {
+  if (await hasPermission(voter, 'resolver-editor')) return WEIGHTS.editor;
+  if (now - accountCreatedAt(voter.user.id) < NEW_ACCOUNT_MS) return WEIGHTS.newAccount;
+  return WEIGHTS.member;
+}
+
+// Whole confidence points the tally's net vote is worth. Votes move confidence
+// by the change in this, so fractional weights add up across votes instead of
+// each one being rounded away on its own
+function tallyPoints({ up, down }) {
+  return Math.round((up - down) * POINTS_PER_VOTE);
+}
+
+// Weighted totals for the ticker's current coin
+async function tally(runQuery, ticker, coinId) {
+  const { rows } = await runQuery(
+    `SELECT COALESCE(SUM(weight) FILTER (WHERE vote = 1), 0)::float AS up,
+            COALESCE(SUM(weight) FILTER (WHERE vote = -1), 0)::float AS down,
+            COUNT(*)::int AS voters
+     FROM mapping_votes WHERE ticker = $1 AND coingecko_id = $2`,
+    [ticker, coinId]
+  );
+  return rows[0];
+}
+
+/**
+ * The mapping row with its vote totals, or null when the ticker isn't mapped
+ */
+export async function getMappingSummary(ticker) {
+  const { rows } = await query('SELECT * FROM ticker_mappings WHERE ticker = $1 AND is_banned = false', [ticker]);
+  if (!rows[0]) return null;
+  return { mapping: rows[0], ...(await tally(query, ticker, rows[0].coingecko_id)) };
+}
+
+/**
+ * Record `vote` (1 or -1) on the ticker's mapping to `coinId`
+ * Returns { stale } when the ticker now maps elsewhere, { unchanged } when
+ * the user already voted that way, otherwise the new summary plus `flagged`
+ * when this vote pushed the mapping into review
+ */
+export async function castVote({ ticker, coinId, userId, vote, weight }) {
+  return withTransaction(async (runQuery) => {
+    const { rows } = await runQuery(
+      'SELECT * FROM ticker_mappings WHERE ticker = $1 AND is_banned = false FOR UPDATE',
+      [ticker]
+    );
+    const mapping = rows[0];
+    if (!mapping || mapping.coingecko_id !== coinId) return { stale: true };
+
+    const before = await tally(runQuery, ticker, coinId);
+    const { rowCount } = await runQuery(
+      `INSERT INTO mapping_votes (ticker, coingecko_id, user_id, vote, weight)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (ticker, coingecko_id, user_id) DO UPDATE SET
+         vote = EXCLUDED.vote, weight = EXCLUDED.weight, updated_at = NOW()
+       WHERE mapping_votes.vote <> EXCLUDED.vote`,
+      [ticker, coinId, userId, vote, weight]
+    );
+    if (!rowCount) return { unchanged: true };
+
+    const after = await tally(runQuery, ticker, coinId);
+    const delta = tallyPoints(after) - tallyPoints(before);
+    const disputed = after.down >= REVIEW_DISPUTE_WEIGHT && after.down > after.up;
+
+    const { rows: updated } = await runQuery(
+      `UPDATE ticker_mappings SET
+         confidence_score = LEAST(100, GREATEST(0, confidence_score + $2::int)),
+         review_flagged_at = CASE WHEN $3::boolean THEN COALESCE(review_flagged_at, NOW()) ELSE NULL END,
+         updated_at = NOW()
+       WHERE ticker = $1
+       RETURNING *`,
+      [ticker, delta, disputed]
+    );
+    return { mapping: updated[0], ...after, flagged: disputed && !mapping.review_flagged_at };
+  });
+}
+
+/**
+ * Mappings currently flagged for review, oldest flag first
+ */
+export async function listFlaggedMappings(limit = 25) {
+  const { rows } = await query(
+    `SELECT m.*, v.up, v.down, v.voters
+     FROM ticker_mappings m
+     CROSS JOIN LATERAL (
+       SELECT COALESCE(SUM(weight) FILTER (WHERE vote = 1), 0)::float AS up,
+              COALESCE(SUM(weight) FILTER (WHERE vote = -1), 0)::float AS down,
+              COUNT(*)::int AS voters
+       FROM mapping_votes WHERE ticker = m.ticker AND coingecko_id = m.coingecko_id
+     ) v
+     WHERE m.review_flagged_at IS NOT NULL AND m.is_banned = false
+     ORDER BY m.review_flagged_at
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
@@ -0,0 +1,298 @@
+// src/metrics.js
+// Risk-adjusted performance: an equity curve per entry built from realized
+// fills and periodic equity snapshots, chained into a time-weighted return index (so one entry or a whole
+// career of overlapping competitions reads the same way), and the Sharpe,
+// Sortino, max drawdown and Calmar figures derived from it
+
+import { query } from './db.js';
+import { stdDev } from './scoring.js';
+import { getEntrySnapshots } from './equity-snapshots.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const PERIODS_PER_YEAR = 365; // crypto trades every day
+const LIFETIME_PAGE_USERS = 50; // users whose curves are loaded together for the all-time board
+
+// Leaderboard sort keys: metric field and whether bigger is better
+export const METRIC_SORTS = {
+  sharpe: { field: 'sharpe', label: 'Sharpe', descending: true },
+  sortino: { field: 'sortino', label: 'Sortino', descending: true },
+  drawdown: { field: 'maxDrawdownPct', label: 'Max Drawdown', descending: false },
+  calmar: { field: 'calmar', label: 'Calmar', descending: true }
+};
+
+/**
+ * One entry's equity curve: the starting balance, then one point per fill
+ * Snapshots (which include unrealized P&L) take over while they cover the
+ * entry - a fill-only point in between would drop the open positions' P&L -
+ * and fills before the first / after the last snapshot fill in the edges
+ * curve = { key, startAt, endAt, startingBalance, points: [{ time, equity }] }
+ */
+export function buildEquityCurve({ key, startAt, endAt, startingBalance }, fills, snapshots = []) {
+  let equity = Number(startingBalance);
+  const realized = fills.map(f => ({ time: new Date(f.time), equity: equity += Number(f.pnlUsd) }));
+
+  let points = realized;
+  if (snapshots.length) {
+    const first = new Date(snapshots[0].time);
+    const last = new Date(snapshots[snapshots.length - 1].time);
+    points = [
+      ...realized.filter(p => p.time < first),
+      ...snapshots.map(s => ({ time: new Date(s.time), equity: Number(s.equity) })),
+      ...realized.filter(p => p.time > last)
+    ];
+  }
+  return { key, startAt: new Date(startAt), endAt: endAt ? new Date(endAt) : null, startingBalance: Number(startingBalance), points };
+}
+
+/**
+ * Curve as [{ time, value }] from the starting balance on, for charts
+ */
+export function curvePoints(curve) {
+  return [{ time: curve.startAt, value: curve.startingBalance }, ...curve.points.map(p => ({ time: p.time, value: p.equity }))];
+}
+
+/**
+ * Chain equity curves into one return index starting at 1
+ * Each step's return is the change in total equity over the entries live at
+ * that moment, so an entry starting or ending is never mistaken for a gain
+ * or loss. Returns [{ time, value }]
+ */
+export function buildReturnIndex(curves) {
+  // start < point < end at the same instant
+  const ORDER = { start: 0, point: 1, end: 2 };
+  const events = [];
+  for (const c of curves) {
+    events.push({ type: 'start', key: c.key, time: c.startAt, equity: c.startingBalance });
+    for (const p of c.points) events.push({ type: 'point', key: c.key, time: p.time, equity: p.equity });
+    if (c.endAt) events.push({ type: 'end', key: c.key, time: c.endAt });
+  }
+  events.sort((a, b) => a.time - b.time || ORDER[a.type] - ORDER[b.type]);
+  if (!events.length) return [];
+
+  const live = new Map();
+  let total = 0;
+  let value = 1;
+  const index = [{ time: events[0].time, value }];
+  for (const ev of events) {
+    if (ev.type === 'start') {
+      live.set(ev.key, ev.equity);
+      total += ev.equity;
+    } else if (ev.type === 'end') {
+      total -= live.get(ev.key) ?? 0;
+      live.delete(ev.key);
+    } else if (live.has(ev.key)) {
+      const next = total - live.get(ev.key) + ev.equity;
+      if (total > 0) value *= next / total;
+      total = next;
+      live.set(ev.key, ev.equity);
+      index.push({ time: ev.time, value });
+    }
+  }
+  return index;
+}
+
+/**
+ * Opening index value, then its close on each UTC day from the first point through asOf
+ */
+export function dailyCloses(index, asOf = new Date()) {
+  if (!index.length) return [];
+  const closes = [index[0].value];
+  let i = 0;
+  let value = index[0].value;
+  for (let day = Math.floor(index[0].time / DAY_MS); day <= Math.floor(asOf / DAY_MS); day++) {
+    const dayEnd = (day + 1) * DAY_MS;
+    while (i < index.length && index[i].time < dayEnd) value = index[i++].value;
+    closes.push(value);
+  }
+  return closes;
+}
+
+/**
+ * Largest peak-to-trough fall of the index, as a positive percentage
+ */
+export function maxDrawdownPct(index) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const { value } of index) {
+    peak = Math.max(peak, value);
+    if (peak > 0) worst = Math.max(worst, (peak - value) / peak * 100);
+  }
+  return worst;
+}
+
+/**
+ * Metrics from a return index
+ * Sharpe and Sortino use daily returns annualised over 365 days with a zero
+ * risk-free rate; Calmar is the period return over max drawdown, since
+ * annualising a week-long competition would be meaningless
+ * Ratios are null when there is too little data (or no risk) to divide by
+ */
+export function calcMetrics(index, asOf = new Date()) {
+  const closes = dailyCloses(index, asOf);
+  const returns = closes.slice(1).map((v, i) => v / closes[i] - 1);
+  const mean = returns.length ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+  const sd = stdDev(returns);
+  const downside = returns.length ? Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length) : 0;
+  const annualise = Math.sqrt(PERIODS_PER_YEAR);
+
+  const totalReturnPct = index.length ? (index[index.length - 1].value - 1) * 100 : 0;
+  const maxDrawdown = maxDrawdownPct(index);
+  return {
+    totalReturnPct,
+    maxDrawdownPct: maxDrawdown,
+    sharpe: returns.length >= 2 && sd > 0 ? mean / sd * annualise : null,
+    sortino: returns.length >= 2 && downside > 0 ? mean / downside * annualise : null,
+    calmar: maxDrawdown > 0 ? totalReturnPct / maxDrawdown : null,
+    days: returns.length
+  };
+}
+
+/**
+ * Entries matching `where` (on e / c) with their fills, as equity curves
+ */
+async function loadCurves(where, params, runQuery) {
+  const { rows: entries } = await runQuery(
+    `SELECT e.id AS entry_id, e.user_id, e.starting_balance, u.discord_username,
+       GREATEST(e.joined_at, c.start_at) AS start_at, c.end_at
+     FROM entries e
+     JOIN competitions c ON c.id = e.competition_id
+     JOIN users u ON u.id = e.user_id
+     WHERE ${where} AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)`,
+    params
+  );
+  if (!entries.length) return [];
+
+  const { rows: fills } = await runQuery(
+    `SELECT t.entry_id, f.fill_time, f.pnl_usd
+     FROM trade_fills f JOIN trades t ON t.id = f.trade_id
+     WHERE t.entry_id = ANY($1)
+     ORDER BY f.fill_time, f.id`,
+    [entries.map(e => e.entry_id)]
+  );
+  const byEntry = new Map();
+  for (const f of fills) {
+    if (!byEntry.has(f.entry_id)) byEntry.set(f.entry_id, []);
+    byEntry.get(f.entry_id).push({ time: f.fill_time, pnlUsd: f.pnl_usd });
+  }
+  const snapshots = await getEntrySnapshots(entries.map(e => e.entry_id), runQuery);
+
+  return entries.map(e => ({
+    entry: e,
+    curve: buildEquityCurve(
+      { key: e.entry_id, startAt: e.start_at, endAt: e.end_at, startingBalance: e.starting_balance },
+      byEntry.get(e.entry_id) || [],
+      snapshots.get(e.entry_id) || []
+    )
+  }));
+}
+
+// Daily returns stop at the end of the window, or now while it is running
+function windowEnd(curves) {
+  const now = new Date();
+  const last = Math.max(...curves.map(c => (c.endAt ?? now).getTime()));
+  return new Date(Math.min(last, now.getTime()));
+}
+
+function metricsFor(curves) {
+  return curves.length ? calcMetrics(buildReturnIndex(curves), windowEnd(curves)) : null;
+}
+
+/**
+ * Metrics for every entry in a competition that traded
+ * Returns [{ entry_id, user_id, discord_username, metrics }]
+ */
+export async function getCompetitionMetrics(competitionId, runQuery = query) {
+  const loaded = await getCompetitionCurves(competitionId, runQuery);
+  return loaded.map(({ entry, curve }) => ({
+    entry_id: entry.entry_id, user_id: entry.user_id, discord_username: entry.discord_username,
+    metrics: metricsFor([curve])
+  }));
+}
+
+/**
+ * Equity curves of every entry in a competition that traded
+ * Returns [{ entry, curve }] - entry carries entry_id, user_id, discord_username
+ */
+export async function getCompetitionCurves(competitionId, runQuery = query) {
+  return loadCurves('e.competition_id = $1', [competitionId], runQuery);
+}
+
+/**
+ * A single entry's equity curve, or null when it never traded
+ */
+export async function getEntryCurve(entryId, runQuery = query) {
+  const loaded = await loadCurves('e.id = $1', [entryId], runQuery);
+  return loaded[0]?.curve ?? null;
+}
+
+/**
+ * Metrics for a single entry, or null when it never traded
+ */
+export async function getEntryMetrics(entryId, runQuery = query) {
+  const loaded = await loadCurves('e.id = $1', [entryId], runQuery);
+  return metricsFor(loaded.map(l => l.curve));
+}
+
+/**
+ * One user's metrics across every competition they traded, or null
+ */
+export async function getLifetimeMetrics(userId, runQuery = query) {
+  const loaded = await loadCurves('e.user_id = $1', [userId], runQuery);
+  return metricsFor(loaded.map(l => l.curve));
+}
+
+/**
+ * Lifetime metrics for everyone who traded
+ * Users are read a page at a time so only one page's fills and snapshots are
+ * in memory at once - each page's curves are reduced to metrics and dropped
+ * Returns [{ user_id, discord_username, metrics }]
+ */
+export async function getAllLifetimeMetrics(runQuery = query) {
+  const results = [];
+  let afterId = 0;
+  for (;;) {
+    const { rows } = await runQuery(
+      `SELECT DISTINCT e.user_id FROM entries e
+       WHERE e.user_id > $1 AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)
+       ORDER BY e.user_id
+       LIMIT $2`,
+      [afterId, LIFETIME_PAGE_USERS]
+    );
+    if (!rows.length) break;
+    afterId = rows[rows.length - 1].user_id;
+
+    const loaded = await loadCurves('e.user_id = ANY($1)', [rows.map(r => r.user_id)], runQuery);
+    const byUser = new Map();
+    for (const { entry, curve } of loaded) {
+      if (!byUser.has(entry.user_id)) byUser.set(entry.user_id, { user_id: entry.user_id, discord_username: entry.discord_username, curves: [] });
+      byUser.get(entry.user_id).curves.push(curve);
+    }
+    for (const { curves, ...user } of byUser.values()) results.push({ ...user, metrics: metricsFor(curves) });
+    if (rows.length < LIFETIME_PAGE_USERS) break;
+  }
+  return results;
+}
+
+/**
+ * Sort rows carrying `metrics` by a METRIC_SORTS key; missing values go last
+ */
+export function sortByMetric(rows, sortKey) {
+  const { field, descending } = METRIC_SORTS[sortKey];
+  const value = r => r.metrics?.[field];
+  return [...rows].sort((a, b) => {
+    if (value(a) == null || value(b) == null) return (value(a) == null) - (value(b) == null);
+    return descending ? value(b) - value(a) : value(a) - value(b);
+  });
+}
+
+export function formatRatio(value) {
+  return value == null ? '-' : Number(value).toFixed(2);
+}
+
+/**
+ * "Sharpe 1.42 • Sortino 2.10 • Max DD -8.30% • Calmar 0.95"
+ */
+export function formatMetrics(m) {
+  if (!m) return 'no trades yet';
+  return `Sharpe ${formatRatio(m.sharpe)} • Sortino ${formatRatio(m.sortino)} • Max DD ${m.maxDrawdownPct > 0 ? `-${m.maxDrawdownPct.toFixed(2)}` : '0.00'}% • Calmar ${formatRatio(m.calmar)}`;
+}
@@ -0,0 +1,136 @@
+// src/orders.js
+// Limit / pending entry orders: placed at a price level, filled by the
+// trade monitor when the market crosses it, expired at competition end
+
+import { query, pool } from './db.js';
+import { openTrade } from './trades.js';
+
+/**
+ * 'above' when the market has to rise to reach the level, 'below' when it has to drop
+ */
+export function triggerDirection(limitPrice, marketPrice) {
+  return limitPrice > marketPrice ? 'above' : 'below';
+}
+
+export function hasCrossed(order, price) {
+  const level = Number(order.limit_price);
+  return order.trigger_direction === 'above' ? price >= level : price <= level;
+}
+
+export async function placeOrder({ entryId, ticker, side, limitPrice, marketPrice, sizeUsd, leverage = 1, stopLoss, takeProfit, comment = '', channelId, expiresAt }) {
+  const { rows } = await query(
+    `INSERT INTO orders(entry_id,ticker,side,limit_price,trigger_direction,size_usd,leverage,stop_loss,take_profit,comment,channel_id,expires_at)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+    [entryId, ticker, side, limitPrice, triggerDirection(limitPrice, marketPrice), sizeUsd, leverage,
+      stopLoss ?? null, takeProfit ?? null, comment, channelId ?? null, expiresAt]
+  );
+  return rows[0];
+}
+
+export async function findPendingOrder(entryId, ticker) {
+  const { rows } = await query(
+    `SELECT * FROM orders WHERE entry_id=$1 AND ticker=$2 AND status='pending' LIMIT 1`,
+    [entryId, ticker]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Pending orders in a competition, optionally for one user
+ */
+export async function listPendingOrders(competitionId, userId = null) {
+  const { rows } = await query(
+    `SELECT o.*, u.discord_username
+     FROM orders o
+     JOIN entries e ON e.id = o.entry_id
+     JOIN users u ON u.id = e.user_id
+     WHERE e.competition_id = $1 AND o.status = 'pending'
+       AND ($2::int IS NULL OR e.user_id = $2)
+     ORDER BY u.discord_username, o.id`,
+    [competitionId, userId]
+  );
+  return rows;
+}
+
+/**
+ * Cancel a pending order owned by `userId`, returns the order or null
+ */
+export async function cancelOrder(orderId, userId) {
+  const { rows } = await query(
+    `UPDATE orders o SET status='cancelled', closed_at=NOW()
+     FROM entries e
+     WHERE o.id=$1 AND o.status='pending' AND e.id=o.entry_id AND e.user_id=$2
+     RETURNING o.*`,
+    [orderId, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Fill a pending order at its limit price
+ * Returns { tradeId } on fill, { conflict: true } if the user already holds
+ * the ticker (the order is cancelled - one position per ticker), or null if
+ * the order was no longer pending
+ */
+export async function fillOrder(order) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: locked } = await client.query(
+      `SELECT * FROM orders WHERE id=$1 AND status='pending' FOR UPDATE`,
+      [order.id]
+    );
+    if (!locked.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const o = locked[0];
+
+    const { rows: existing } = await client.query(
+      `SELECT id FROM trades WHERE entry_id=$1 AND ticker=$2 AND status='open' LIMIT 1`,
+      [o.entry_id, o.ticker]
+    );
+    if (existing.length) {
+      await client.query(`UPDATE orders SET status='cancelled', closed_at=NOW() WHERE id=$1`, [o.id]);
+      await client.query('COMMIT');
+      return { conflict: true };
+    }
+
+    const tradeId = await openTrade({
+      entryId: o.entry_id,
+      ticker: o.ticker,
+      side: o.side,
+      price: Number(o.limit_price),
+      sizeUsd: Number(o.size_usd),
+      leverage: Number(o.leverage),
+      comment: o.comment || '',
+      stopLoss: o.stop_loss,
+      takeProfit: o.take_profit,
+      channelId: o.channel_id
+    }, client.query.bind(client));
+
+    await client.query(
+      `UPDATE orders SET status='filled', trade_id=$1, closed_at=NOW() WHERE id=$2`,
+      [tradeId, o.id]
+    );
+    await client.query('COMMIT');
+    return { tradeId };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Expire pending orders past their competition end, returns how many
+ */
+export async function expireOrders(runQuery = query) {
+  const { rowCount } = await runQuery(
+    `UPDATE orders SET status='expired', closed_at=NOW()
+     WHERE status='pending' AND expires_at <= NOW()`
+  );
+  return rowCount;
+}
@@ -0,0 +1,64 @@
+// src/pairs.js
+// Cross pairs like eth/btc or sol:eth, priced as the ratio of both legs' USD
+// prices fetched in one batch. A pair ticker trades like any coin: entries,
+// exits and triggers are in ratio terms, sizes and P&L stay in virtual USD
+
+import smartResolver from './smart-resolver-v2.js';
+import { getPrices } from './cg-batcher.js';
+import { getUsdRate } from './exchange-rates.js';
+
+/**
+ * Ratio quote from two legs' USD { price, change24h }
+ * The 24h change compounds: ETH +5% against BTC +2% is +2.94%, not +3%
+ */
+export function pairQuote(base, quote) {
+  return {
+    price: base.price / quote.price,
+    change24h: ((1 + (base.change24h || 0) / 100) / (1 + (quote.change24h || 0) / 100) - 1) * 100
+  };
+}
+
+/**
+ * USD price of a fiat quote, e.g. 1 EUR = $1.087 (no 24h change from exchange rates)
+ */
+export async function fiatLeg(currency) {
+  return { price: 1 / await getUsdRate(currency), change24h: 0 };
+}
+
+async function resolveLeg(ticker) {
+  const coinId = await smartResolver.resolve(ticker);
+  if (!coinId) throw new Error(`ticker not found: ${ticker}`);
+  return coinId;
+}
+
+/**
+ * fetchCoinData-shaped quote for a parsed pair
+ * Throws like fetchCoinData when either leg can't be resolved or priced
+ */
+export async function fetchPairData(pair) {
+  const [baseId, quoteId] = await Promise.all([
+    resolveLeg(pair.base),
+    pair.fiat ? null : resolveLeg(pair.quote)
+  ]);
+  const [[base, quote], fiat] = await Promise.all([
+    getPrices(pair.fiat ? [baseId] : [baseId, quoteId]),
+    pair.fiat ? fiatLeg(pair.quote) : null
+  ]);
+  const quoteLeg = fiat ?? quote;
+  if (!base) throw new Error(`price not found for ${pair.base}`);
+  if (!quoteLeg) throw new Error(`price not found for ${pair.quote}`);
+
+  return {
+    ...pairQuote(base, quoteLeg),
+    marketCap: null,
+    currency: pair.quote,
+    coinId: baseId,
+    quoteCoinId: quoteId,
+    symbol: pair.ticker.toUpperCase(),
+    legs: { base: base.price, quote: quoteLeg.price },
+    isPair: true,
+    resolvedFrom: `${pair.ticker} (pair)`,
+    method: 'cross-pair',
+    source: base.source
+  };
+}
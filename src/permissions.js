@@ -0,0 +1,104 @@
+// src/permissions.js
+// Per-guild permission grants and the single authorization check every
+// privileged command goes through
+
+import { query } from './db.js';
+
+export const PERMISSIONS = ['admin', 'resolver-editor', 'competition-manager'];
+
+// Bot owners always pass - they make the first grant in a new guild
+function ownerIds() {
+  return (process.env.SHUMI_OWNER_IDS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Startup check - with no owners nobody could make the first grant
+ */
+export function assertOwnersConfigured() {
+  if (!ownerIds().length) {
+    throw new Error('SHUMI_OWNER_IDS is not set - add at least one bot owner Discord ID');
+  }
+}
+
+export function isValidPermission(permission) {
+  return PERMISSIONS.includes(permission);
+}
+
+function memberRoleIds(member) {
+  if (!member?.roles) return [];
+  // GuildMember has a cache, raw API members carry a plain ID array
+  return member.roles.cache ? [...member.roles.cache.keys()] : member.roles;
+}
+
+/**
+ * Does the ctx user hold `permission` (or admin) in the ctx guild?
+ * Owners always do. Discord server Administrators get nothing for free -
+ * trades, competitions and mappings are global, so it takes a grant
+ */
+export async function hasPermission(ctx, permission) {
+  if (ownerIds().includes(ctx.user.id)) return true;
+  if (!ctx.guildId) return false;
+
+  const roleIds = memberRoleIds(ctx.member);
+  const { rows } = await query(
+    `SELECT 1 FROM permissions
+     WHERE guild_id = $1
+       AND permission IN ($2, 'admin')
+       AND ((subject_type = 'user' AND subject_id = $3)
+         OR (subject_type = 'role' AND subject_id = ANY($4::text[])))
+     LIMIT 1`,
+    [ctx.guildId, permission, ctx.user.id, roleIds]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Guard for command handlers - replies with a denial and returns false
+ * when the user lacks `permission`
+ */
+export async function requirePermission(ctx, permission) {
+  if (await hasPermission(ctx, permission)) return true;
+  console.log(`[PERMS] Denied ${permission} to ${ctx.user.id} (${ctx.commandName})`);
+  await ctx.reply({ content: `❌ You need the \`${permission}\` permission for this command.`, ephemeral: true });
+  return false;
+}
+
+// Grant/revoke return the affected row id (null when nothing changed)
+// and take a runQuery so callers can wrap them in an audited transaction
+export async function grantPermission(guildId, subjectType, subjectId, permission, grantedBy, runQuery = query) {
+  const { rows } = await runQuery(
+    `INSERT INTO permissions (guild_id, subject_type, subject_id, permission, granted_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (guild_id, subject_type, subject_id, permission) DO NOTHING
+     RETURNING id`,
+    [guildId, subjectType, subjectId, permission, grantedBy]
+  );
+  return rows[0]?.id ?? null;
+}
+
+export async function findPermissionId(guildId, subjectType, subjectId, permission) {
+  const { rows } = await query(
+    `SELECT id FROM permissions
+     WHERE guild_id = $1 AND subject_type = $2 AND subject_id = $3 AND permission = $4`,
+    [guildId, subjectType, subjectId, permission]
+  );
+  return rows[0]?.id ?? null;
+}
+
+export async function revokePermission(id, runQuery = query) {
+  const { rows } = await runQuery('DELETE FROM permissions WHERE id = $1 RETURNING id', [id]);
+  return rows[0]?.id ?? null;
+}
+
+export async function listPermissions(guildId) {
+  const { rows } = await query(
+    `SELECT subject_type, subject_id, permission, granted_by, granted_at
+     FROM permissions WHERE guild_id = $1
+     ORDER BY permission, subject_type, granted_at`,
+    [guildId]
+  );
+  return rows;
+}
@@ -5,6 +5,22 @@
 import { resolveSymbolToId, getIndexInfo } from './symbol-index.js';
 import { getPrice, getPrices } from './cg-batcher.js';
 
+/**
+ * Symbol index lookup that doesn't guess between coins sharing a symbol
+ * Ambiguous symbols (SD, BIO) go through the smart resolver instead, which
+ * returns the coin users picked or voted for - or learns the guess and
+ * offers the "did you mean" choice on the next /price
+ */
+async function resolveSymbol(symbol) {
+  const resolution = resolveSymbolToId(symbol);
+  if (!resolution?.ambiguous) return resolution;
+
+  const smartResolver = await import('./smart-resolver-v2.js');
+  const coinId = await smartResolver.default.resolve(symbol).catch(() => null);
+  if (!coinId) return resolution;
+  return { coinId, method: 'smart-resolver', source: 'ambiguous-symbol', ambiguous: true, candidates: resolution.candidates };
+}
+
 /**
  * Parse cashtag from user input
  * Returns symbol without the $ prefix, or null if not a cashtag
@@ -50,7 +66,7 @@ export async function getPriceForCashtag(cashtag) {
   const symbol = parseCashtag(cashtag) || cashtag.toLowerCase();
   
   // Resolve symbol to coin ID using symbol index
-  const resolution = resolveSymbolToId(symbol);
+  const resolution = await resolveSymbol(symbol);
   if (!resolution) {
     throw new Error(`Unknown symbol: $${symbol.toUpperCase()}. Try common symbols like $BTC, $ETH, $SOL`);
   }
@@ -101,7 +117,7 @@ export async function getPricesWithFallback(tokens, strategy) {
   // Try symbol index resolution first
   for (const token of tokens) {
     const { symbol } = token;
-    const resolution = resolveSymbolToId(symbol);
+    const resolution = await resolveSymbol(symbol);
     
     if (resolution) {
       results.push({
@@ -236,7 +252,7 @@ export async function getPricesForCashtags(cashtags) {
   
   for (const cashtag of cashtags) {
     const symbol = parseCashtag(cashtag) || cashtag.toLowerCase();
-    const resolution = resolveSymbolToId(symbol);
+    const resolution = await resolveSymbol(symbol);
     
     if (resolution) {
       resolutions.push({ symbol, resolution });
@@ -2,6 +2,8 @@
 import axios from 'axios';
 import smartResolver from './smart-resolver-v2.js';
 import { getCoinGeckoConfig } from './cg-batcher.js';
+import { fetchPairData } from './pairs.js';
+import { parsePair } from './util/tickers.js';
 
 // Adapter to match the expected resolveQuery interface
 async function resolveQuery(rawQuery) {
@@ -31,16 +33,23 @@ async function rateLimit() {
 /**
  * Enhanced coin data fetching with advanced resolver
  * Maintains the same interface as the original fetchCoinData
+ * Quotes in USD unless { currency } names another vs_currency (eur, btc, ...)
+ * Pairs like eth/btc return the ratio, with `currency` set to the pair's quote
  */
-export async function fetchCoinData(ticker) {
+export async function fetchCoinData(ticker, { currency = 'usd' } = {}) {
   const input = ticker.toLowerCase().trim();
   
-  // Handle stablecoins at fixed $1.00
-  if (input === 'usdt' || input === 'usdc') {
+  // Cross pairs (eth/btc, sol:eth) are quoted in their own quote asset
+  const pair = parsePair(input);
+  if (pair) return fetchPairData(pair);
+  
+  // Handle stablecoins at fixed $1.00 (other quote currencies price them normally)
+  if ((input === 'usdt' || input === 'usdc') && currency === 'usd') {
     const result = {
       price: 1.0,
       change24h: 0,
       marketCap: null,
+      currency,
       method: 'fixed-stablecoin',
       source: 'hardcoded'
     };
@@ -61,7 +70,7 @@ export async function fetchCoinData(ticker) {
   }
   
   // Check price cache first
-  const cacheKey = input;
+  const cacheKey = `${input}:${currency}`;
   const now = Date.now();
   if (priceCache.has(cacheKey)) {
     const cached = priceCache.get(cacheKey);
@@ -109,7 +118,7 @@ export async function fetchCoinData(ticker) {
     try {
       // Get both price data and coin metadata in parallel
       const [priceResponse, coinResponse] = await Promise.all([
-        axios.get(`${config.baseURL}/simple/price?ids=${q}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true&precision=full`, { 
+        axios.get(`${config.baseURL}/simple/price?ids=${q}&vs_currencies=${encodeURIComponent(currency)}&include_24hr_change=true&include_market_cap=true&precision=full`, { 
           timeout: config.timeout,
           headers: config.headers
         }),
@@ -122,16 +131,17 @@ export async function fetchCoinData(ticker) {
       const priceData = priceResponse.data;
       const coinData = coinResponse.data;
       
-      if (!priceData[coinId] || priceData[coinId]?.usd == null) {
+      if (!priceData[coinId] || priceData[coinId]?.[currency] == null) {
         console.error(JSON.stringify({ evt: 'cg_null', token: ticker, coinId, ts: Date.now() }));
         throw new Error(`price not found for ${ticker}`);
       }
     
     const coin = priceData[coinId];
     const result = {
-      price: Number(coin.usd),
-      change24h: Number(coin.usd_24h_change || 0),
-      marketCap: coin.usd_market_cap ? Number(coin.usd_market_cap) : null,
+      price: Number(coin[currency]),
+      change24h: Number(coin[`${currency}_24h_change`] || 0),
+      marketCap: coin[`${currency}_market_cap`] ? Number(coin[`${currency}_market_cap`]) : null,
+      currency,
       coinId: coinId, // Return the actual coin ID used
       coinName: coinData.name || null, // Add coin name for disambiguation
       symbol: coinData.symbol?.toUpperCase() || ticker.toUpperCase(), // Actual symbol from CoinGecko
@@ -269,6 +279,16 @@ export function clearPriceCache() {
   console.log('Price cache cleared');
 }
 
+/**
+ * Drop one ticker's cached quotes (every currency), e.g. after its mapping changed
+ */
+export function forgetTicker(ticker) {
+  const prefix = `${ticker.toLowerCase().trim()}:`;
+  for (const key of [...priceCache.keys()]) {
+    if (key.startsWith(prefix)) priceCache.delete(key);
+  }
+}
+
 export function clearSearchCache() {
   searchCache.clear();
   console.log('Search cache cleared');
@@ -0,0 +1,86 @@
+// src/price-history.js
+// Price history for /price charts: CoinGecko market_chart through the
+// shared API config, sliced to the requested timeframe and cached briefly
+// so a chart posted in a busy channel costs one request
+
+import axios from 'axios';
+import { getCoinGeckoConfig } from './cg-batcher.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// The 1h..1w timeframes the channel auto-profile understands
+// days = the market_chart window to fetch (1 day comes back at 5-minute
+// resolution, longer windows hourly)
+export const CHART_TIMEFRAMES = {
+  '1h': { ms: HOUR_MS, days: 1 },
+  '2h': { ms: 2 * HOUR_MS, days: 1 },
+  '3h': { ms: 3 * HOUR_MS, days: 1 },
+  '4h': { ms: 4 * HOUR_MS, days: 1 },
+  '1d': { ms: 24 * HOUR_MS, days: 1 },
+  '3d': { ms: 3 * 24 * HOUR_MS, days: 3 },
+  '1w': { ms: 7 * 24 * HOUR_MS, days: 7 }
+};
+export const TIMEFRAME_ALIASES = { '24h': '1d', '7d': '1w' };
+
+// Every name parseTimeframe accepts, aliases included - for slash choices and usage text
+export const CHART_TIMEFRAME_NAMES = [...Object.keys(CHART_TIMEFRAMES), ...Object.keys(TIMEFRAME_ALIASES)];
+
+const cache = new Map(); // `${coinId}:${currency}:${days}` -> { points, timestamp }
+
+/**
+ * "7d" -> "1w", "4H" -> "4h"; null for anything else
+ */
+export function parseTimeframe(text) {
+  const key = String(text || '').toLowerCase();
+  const tf = TIMEFRAME_ALIASES[key] || key;
+  return CHART_TIMEFRAMES[tf] ? tf : null;
+}
+
+async function fetchMarketChart(coinId, currency, days) {
+  const key = `${coinId}:${currency}:${days}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) return cached.points;
+
+  const config = getCoinGeckoConfig();
+  const { data } = await axios.get(`${config.baseURL}/coins/${encodeURIComponent(coinId)}/market_chart`, {
+    params: { vs_currency: currency, days },
+    headers: config.headers,
+    timeout: config.timeout
+  });
+  const points = (data.prices || []).map(([time, value]) => ({ time: new Date(time), value: Number(value) }));
+  cache.set(key, { points, timestamp: Date.now() });
+  return points;
+}
+
+/**
+ * Price points for a coin over a timeframe key, oldest first
+ * Throws when CoinGecko has fewer than two points to draw
+ */
+export async function getPriceHistory(coinId, timeframe, currency = 'usd') {
+  const { ms, days } = CHART_TIMEFRAMES[timeframe];
+  const points = await fetchMarketChart(coinId, currency, days);
+  const since = Date.now() - ms;
+  const window = points.filter(p => p.time.getTime() >= since);
+  if (window.length < 2) throw new Error(`not enough price history for ${coinId} (${timeframe})`);
+  return window;
+}
+
+/**
+ * Ratio history of a crypto pair: each base point over the quote's latest
+ * point at or before it (both legs in USD, so their timestamps need not match)
+ */
+export async function getPairHistory(baseId, quoteId, timeframe) {
+  const [base, quote] = await Promise.all([
+    getPriceHistory(baseId, timeframe),
+    fetchMarketChart(quoteId, 'usd', CHART_TIMEFRAMES[timeframe].days)
+  ]);
+  const points = [];
+  let q = 0;
+  for (const p of base) {
+    while (q + 1 < quote.length && quote[q + 1].time <= p.time) q++;
+    if (quote[q] && quote[q].time <= p.time && quote[q].value > 0) points.push({ time: p.time, value: p.value / quote[q].value });
+  }
+  if (points.length < 2) throw new Error(`not enough price history for ${baseId}/${quoteId} (${timeframe})`);
+  return points;
+}
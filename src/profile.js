@@ -0,0 +1,114 @@
+// src/profile.js
+// Trader profile: lifetime stats over a user's closed trades, cached in
+// trader_profiles so /profile stays one row read however long the history.
+// The cache is rebuilt for one user whenever one of their trades closes or
+// an admin edits one; medals change at settlement instead, so they are read live
+
+import { query } from './db.js';
+
+/**
+ * Recompute and store one user's summary
+ */
+export async function refreshTraderProfile(userId, runQuery = query) {
+  await runQuery(
+    `WITH closed AS (
+       SELECT t.id, t.ticker, t.side, t.pnl_pct, t.pnl_usd, t.entry_time, t.exit_time
+       FROM trades t JOIN entries e ON e.id = t.entry_id
+       WHERE e.user_id = $1 AND t.status = 'closed' AND t.pnl_pct IS NOT NULL
+     ),
+     -- Gaps and islands: consecutive wins (or losses) share a grp value
+     runs AS (
+       SELECT win, COUNT(*) AS len
+       FROM (
+         SELECT pnl_pct > 0 AS win,
+           ROW_NUMBER() OVER (ORDER BY exit_time, id)
+             - ROW_NUMBER() OVER (PARTITION BY pnl_pct > 0 ORDER BY exit_time, id) AS grp
+         FROM closed
+       ) s
+       GROUP BY win, grp
+     ),
+     favourites AS (
+       SELECT ticker, COUNT(*) AS n FROM closed GROUP BY ticker ORDER BY n DESC, ticker LIMIT 3
+     )
+     INSERT INTO trader_profiles (
+       user_id, total_trades, winning_trades, losing_trades, avg_winner_pct, avg_loser_pct,
+       gross_profit_usd, gross_loss_usd, total_pnl_usd, best_trade_pct, worst_trade_pct,
+       longest_win_streak, longest_loss_streak, long_trades, short_trades, avg_hold_seconds,
+       favourite_tickers, refreshed_at
+     )
+     SELECT $1,
+       COUNT(*),
+       COUNT(*) FILTER (WHERE pnl_pct > 0),
+       COUNT(*) FILTER (WHERE pnl_pct < 0),
+       AVG(pnl_pct) FILTER (WHERE pnl_pct > 0),
+       AVG(pnl_pct) FILTER (WHERE pnl_pct < 0),
+       COALESCE(SUM(pnl_usd) FILTER (WHERE pnl_usd > 0), 0),
+       COALESCE(-SUM(pnl_usd) FILTER (WHERE pnl_usd < 0), 0),
+       COALESCE(SUM(pnl_usd), 0),
+       MAX(pnl_pct),
+       MIN(pnl_pct),
+       COALESCE((SELECT MAX(len) FROM runs WHERE win), 0),
+       COALESCE((SELECT MAX(len) FROM runs WHERE NOT win), 0),
+       COUNT(*) FILTER (WHERE side = 'long'),
+       COUNT(*) FILTER (WHERE side = 'short'),
+       AVG(EXTRACT(EPOCH FROM (exit_time - entry_time))),
+       COALESCE((SELECT json_agg(json_build_object('ticker', ticker, 'count', n) ORDER BY n DESC, ticker) FROM favourites), '[]'),
+       NOW()
+     FROM closed
+     ON CONFLICT (user_id) DO UPDATE SET
+       total_trades = EXCLUDED.total_trades, winning_trades = EXCLUDED.winning_trades,
+       losing_trades = EXCLUDED.losing_trades, avg_winner_pct = EXCLUDED.avg_winner_pct,
+       avg_loser_pct = EXCLUDED.avg_loser_pct, gross_profit_usd = EXCLUDED.gross_profit_usd,
+       gross_loss_usd = EXCLUDED.gross_loss_usd, total_pnl_usd = EXCLUDED.total_pnl_usd,
+       best_trade_pct = EXCLUDED.best_trade_pct, worst_trade_pct = EXCLUDED.worst_trade_pct,
+       longest_win_streak = EXCLUDED.longest_win_streak, longest_loss_streak = EXCLUDED.longest_loss_streak,
+       long_trades = EXCLUDED.long_trades, short_trades = EXCLUDED.short_trades,
+       avg_hold_seconds = EXCLUDED.avg_hold_seconds, favourite_tickers = EXCLUDED.favourite_tickers,
+       refreshed_at = EXCLUDED.refreshed_at`,
+    [userId]
+  );
+}
+
+/**
+ * Refresh the profile of whoever owns `entryId` (trade rows only know their entry)
+ */
+export async function refreshTraderProfileForEntry(entryId, runQuery = query) {
+  const { rows } = await runQuery('SELECT user_id FROM entries WHERE id = $1', [entryId]);
+  if (rows[0]) await refreshTraderProfile(rows[0].user_id, runQuery);
+}
+
+/**
+ * Cached summary plus live medal counts
+ * Histories from before the cache existed are built on first view
+ */
+export async function getTraderProfile(userId) {
+  let { rows } = await query('SELECT * FROM trader_profiles WHERE user_id = $1', [userId]);
+  if (!rows.length) {
+    await refreshTraderProfile(userId);
+    ({ rows } = await query('SELECT * FROM trader_profiles WHERE user_id = $1', [userId]));
+  }
+
+  // Only entries that traded take a place, re-ranked among themselves the
+  // way seasons place people - older settlements also ranked non-traders
+  const { rows: medals } = await query(
+    `WITH places AS (
+       SELECT e.user_id,
+         ROW_NUMBER() OVER (PARTITION BY e.competition_id ORDER BY e.final_rank) AS place
+       FROM entries e
+       WHERE e.final_rank IS NOT NULL
+         AND e.competition_id IN (SELECT competition_id FROM entries WHERE user_id = $1)
+         AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)
+     )
+     SELECT
+       COUNT(*) FILTER (WHERE p.place = 1)::int AS gold,
+       COUNT(*) FILTER (WHERE p.place = 2)::int AS silver,
+       COUNT(*) FILTER (WHERE p.place = 3)::int AS bronze,
+       (SELECT COUNT(*)::int FROM entries e
+        WHERE e.user_id = $1 AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)) AS competitions,
+       (SELECT COUNT(*)::int FROM seasons s WHERE s.champion_user_id = $1) AS season_titles
+     FROM places p
+     WHERE p.user_id = $1`,
+    [userId]
+  );
+  return { ...rows[0], ...medals[0] };
+}
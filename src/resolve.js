@@ -201,15 +201,32 @@ async function rateLimitedApiCall(url) {
   }
 }
 
-/** Resolve a single query (ticker or name) to a CoinGecko ID */
-export async function resolveCoinId(query) {
+/**
+ * Whether the best exact-symbol match is a guess: another ranked coin shares
+ * the symbol and the leader isn't ranked at least 10x better (SD, BIO, TROLL)
+ */
+export function isAmbiguous(candidates) {
+  if (candidates.length < 2) return false;
+  const [top, next] = candidates;
+  const dominant = top.market_cap_rank < 9999 &&
+    (next.market_cap_rank >= 9999 || next.market_cap_rank >= top.market_cap_rank * 10);
+  return !dominant;
+}
+
+/**
+ * Ranked exact-symbol candidates for a query, best first
+ * Returns { coinId, candidates: [{ id, name, symbol, market_cap_rank }], ambiguous }
+ * coinId is null when nothing matched; canonical tickers are never ambiguous
+ */
+export async function findCandidates(query) {
   const q = String(query).trim().toLowerCase();
+  const none = { coinId: null, candidates: [], ambiguous: false };
 
   // Fast path: canonical mapping
-  if (CANONICAL[q]) return CANONICAL[q];
+  if (CANONICAL[q]) return { coinId: CANONICAL[q], candidates: [], ambiguous: false };
 
   // If user explicitly typed "weth"/"wbtc", allow it
-  if (q === "weth" || q === "wbtc" || q === "steth") return q;
+  if (q === "weth" || q === "wbtc" || q === "steth") return { coinId: q, candidates: [], ambiguous: false };
 
   try {
     // Search CoinGecko with rate limiting (Pro API if available)
@@ -240,18 +257,24 @@ export async function resolveCoinId(query) {
         return !(looksWrappedOrPegged(c.name) || looksWrappedOrPegged(c.id));
       });
 
-    if (!coins.length) return null;
+    if (!coins.length) return none;
 
     // Sort by score (highest first)
     coins.sort((a, b) => scoreCandidate(q, b) - scoreCandidate(q, a));
 
-    return coins[0].id;
+    return { coinId: coins[0].id, candidates: coins, ambiguous: isAmbiguous(coins) };
   } catch (error) {
     console.error(`Error resolving coin ID for "${query}":`, error.message);
-    return null;
+    return none;
   }
 }
 
+/** Resolve a single query (ticker or name) to a CoinGecko ID - the best candidate, even when ambiguous */
+export async function resolveCoinId(query) {
+  const { coinId } = await findCandidates(query);
+  return coinId;
+}
+
 /** Resolve many tickers -> ids (keeps order; null for misses) */
 export async function resolveMany(queries) {
   const out = [];
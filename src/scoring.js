@@ -0,0 +1,194 @@
+// src/scoring.js
+// Trade scoring: P&L, duration bonus and the final score persisted on close,
+// plus the per-competition ranking strategies
+
+import { query } from './db.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+export const DURATION_BONUS_PER_DAY = 1; // % per day held
+export const DURATION_BONUS_MAX = 7; // % cap (a full week)
+
+/**
+ * Percentage P&L for a position, on margin when leveraged
+ * A leveraged position can lose at most its margin (-100%, liquidation)
+ */
+export function calcPnlPct(side, entryPrice, exitPrice, leverage = 1) {
+  const move = (side || 'long') === 'long'
+    ? ((exitPrice - entryPrice) / entryPrice) * 100
+    : ((entryPrice - exitPrice) / entryPrice) * 100;
+  const lev = Number(leverage) || 1;
+  return lev > 1 ? Math.max(move * lev, -100) : move;
+}
+
+/**
+ * Duration bonus: 1% per day held, max 7%
+ */
+export function calcDurationBonus(entryTime, exitTime = new Date()) {
+  const daysHeld = Math.max(0, (new Date(exitTime) - new Date(entryTime)) / DAY_MS);
+  return Math.min(daysHeld * DURATION_BONUS_PER_DAY, DURATION_BONUS_MAX);
+}
+
+// ---------------------------------------------------------------------------
+// Competition scoring modes (competitions.scoring_mode)
+// Each strategy reduces an entry's closed trades to a single ranking score
+// score(trades, entry) - entry carries starting_balance for bankroll modes
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_SCORING_MODE = 'portfolio';
+const DEFAULT_BEST_N = 3;
+
+const num = v => Number(v ?? 0);
+const tradeScore = t => num(t.final_score ?? t.pnl_pct);
+
+export function stdDev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+const realizedUsd = trades => trades.reduce((sum, t) => sum + num(t.pnl_usd), 0);
+// Closed trades plus partial exits of open ones, when the caller loaded them
+const entryRealizedUsd = (trades, entry) => realizedUsd(trades) + num(entry?.partial_pnl_usd);
+
+const STRATEGIES = {
+  portfolio: {
+    label: 'Portfolio Return (sized P&L on bankroll)',
+    unit: '%',
+    usesDurationBonus: false,
+    score: (trades, entry) => {
+      const start = num(entry?.starting_balance);
+      return start > 0 ? entryRealizedUsd(trades, entry) / start * 100 : 0;
+    }
+  },
+  yolo: {
+    label: 'YOLO (sum of P&L)',
+    unit: '%',
+    usesDurationBonus: false,
+    score: trades => trades.reduce((sum, t) => sum + num(t.pnl_pct), 0)
+  },
+  duration_enhanced: {
+    label: 'Duration Enhanced (P&L + hold bonus)',
+    unit: '%',
+    usesDurationBonus: true,
+    score: trades => trades.reduce((sum, t) => sum + tradeScore(t), 0)
+  },
+  average: {
+    label: 'Average per Trade',
+    unit: '%',
+    usesDurationBonus: false,
+    score: trades => trades.length ? trades.reduce((sum, t) => sum + num(t.pnl_pct), 0) / trades.length : 0
+  },
+  risk_adjusted: {
+    label: 'Risk Adjusted (P&L / volatility)',
+    unit: '',
+    usesDurationBonus: false,
+    // Sum of P&L divided by the spread of trade outcomes - rewards consistency
+    // over one lucky moonshot. With no spread to divide by (fewer than 2 trades,
+    // or identical outcomes) the entry scores 0 rather than a P&L on another scale.
+    score: trades => {
+      const pnls = trades.map(t => num(t.pnl_pct));
+      const sd = stdDev(pnls);
+      if (!(sd > 0)) return 0;
+      return pnls.reduce((a, b) => a + b, 0) / sd;
+    }
+  }
+};
+
+function bestNStrategy(n) {
+  return {
+    label: `Best ${n} Trades`,
+    unit: '%',
+    usesDurationBonus: false,
+    score: trades => trades
+      .map(t => num(t.pnl_pct))
+      .sort((a, b) => b - a)
+      .slice(0, n)
+      .reduce((a, b) => a + b, 0)
+  };
+}
+
+/**
+ * Look up a scoring strategy by mode name
+ * Supports the fixed modes above plus best_n / best_<N> (e.g. best_5)
+ * Unknown modes fall back to the default so a typo never breaks the leaderboard
+ */
+export function getScoringStrategy(mode) {
+  const key = String(mode || DEFAULT_SCORING_MODE).toLowerCase();
+
+  if (STRATEGIES[key]) return { mode: key, ...STRATEGIES[key] };
+
+  const bestN = key.match(/^best_(n|\d+)$/);
+  if (bestN) {
+    const n = bestN[1] === 'n' ? DEFAULT_BEST_N : Math.max(1, parseInt(bestN[1], 10));
+    return { mode: key, ...bestNStrategy(n) };
+  }
+
+  console.log(`[SCORING] Unknown scoring mode "${mode}", using ${DEFAULT_SCORING_MODE}`);
+  return { mode: DEFAULT_SCORING_MODE, ...STRATEGIES[DEFAULT_SCORING_MODE] };
+}
+
+export function isValidScoringMode(mode) {
+  const key = String(mode || '').toLowerCase();
+  return Boolean(STRATEGIES[key]) || /^best_(n|\d+)$/.test(key);
+}
+
+export function listScoringModes() {
+  return [...Object.keys(STRATEGIES), 'best_n'];
+}
+
+/**
+ * Rank entries with the competition's strategy
+ * `entries` is [{ entry_id, ...anything }], `trades` is the closed trades with an entry_id
+ * Returns entries sorted best-first with score, tradeCount and equity attached
+ */
+export function rankEntries(scoringMode, entries, trades) {
+  const strategy = getScoringStrategy(scoringMode);
+  const byEntry = new Map();
+  for (const t of trades) {
+    if (!byEntry.has(t.entry_id)) byEntry.set(t.entry_id, []);
+    byEntry.get(t.entry_id).push(t);
+  }
+
+  // Array.prototype.sort is stable, so ties keep the caller's order (join time)
+  // equity is the realized bankroll, reported whatever the mode ranks by
+  return entries
+    .map(e => {
+      const entryTrades = byEntry.get(e.entry_id) || [];
+      return {
+        ...e,
+        score: strategy.score(entryTrades, e),
+        tradeCount: entryTrades.length,
+        equity: num(e.starting_balance) + entryRealizedUsd(entryTrades, e)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+export function formatScore(score, unit = '%') {
+  const value = Number(score);
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}${unit}`;
+}
+
+/**
+ * Ranked standings for a competition row, using its scoring_mode
+ * Pass a transaction client's query to read inside a transaction
+ */
+export async function getStandings(competition, runQuery = query) {
+  const { rows: entries } = await runQuery(
+    `SELECT e.id AS entry_id, e.user_id, e.starting_balance, u.discord_id, u.discord_username,
+       (SELECT COALESCE(SUM(f.pnl_usd), 0) FROM trade_fills f JOIN trades t ON t.id = f.trade_id
+        WHERE t.entry_id = e.id AND t.status = 'open') AS partial_pnl_usd
+     FROM entries e JOIN users u ON u.id = e.user_id
+     WHERE e.competition_id = $1
+     ORDER BY e.joined_at ASC, e.id ASC`,
+    [competition.id]
+  );
+  const { rows: trades } = await runQuery(
+    `SELECT t.entry_id, t.pnl_pct, t.pnl_usd, t.duration_bonus_pct, t.final_score
+     FROM trades t JOIN entries e ON e.id = t.entry_id
+     WHERE e.competition_id = $1 AND t.status = 'closed'`,
+    [competition.id]
+  );
+  return rankEntries(competition.scoring_mode, entries, trades);
+}
@@ -0,0 +1,163 @@
+// src/seasons.js
+// Seasons: a run of weekly competitions scored F1-style - each settled week
+// awards points by final rank, the season table sums them and the leader
+// is crowned once the last week in the season has settled
+
+import { EmbedBuilder } from 'discord.js';
+import { query } from './db.js';
+import { slugify } from './competition.js';
+
+// Points for 1st..10th place in a settled week
+export const SEASON_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+export function pointsForPlace(place) {
+  return SEASON_POINTS[place - 1] || 0;
+}
+
+export async function findSeason(name) {
+  const { rows } = await query('SELECT * FROM seasons WHERE slug = $1', [slugify(name)]);
+  return rows[0] || null;
+}
+
+/**
+ * The running season, or the most recent one when between seasons
+ */
+export async function getCurrentSeason() {
+  const { rows } = await query(
+    `SELECT * FROM seasons WHERE start_at <= NOW()
+     ORDER BY (end_at > NOW()) DESC, end_at DESC LIMIT 1`
+  );
+  return rows[0] || null;
+}
+
+export async function listSeasons(limit = 10) {
+  const { rows } = await query(
+    `SELECT s.*, u.discord_username AS champion_username
+     FROM seasons s LEFT JOIN users u ON u.id = s.champion_user_id
+     ORDER BY s.start_at DESC LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+/**
+ * Another season whose window overlaps [startAt, endAt) - weeks could not tell which one they belong to
+ */
+export async function findOverlappingSeason(startAt, endAt) {
+  const { rows } = await query(
+    'SELECT * FROM seasons WHERE start_at < $2 AND end_at > $1 LIMIT 1',
+    [startAt, endAt]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Insert a season and adopt the weekly competitions already started inside it
+ * Returns the season id
+ */
+export async function createSeason({ name, startAt, endAt, createdBy }, runQuery = query) {
+  const { rows } = await runQuery(
+    `INSERT INTO seasons(name, slug, start_at, end_at, created_by) VALUES($1, $2, $3, $4, $5) RETURNING id`,
+    [name, slugify(name), startAt, endAt, createdBy ?? null]
+  );
+  const seasonId = rows[0].id;
+  await runQuery(
+    `UPDATE competitions SET season_id = $1
+     WHERE kind = 'weekly' AND season_id IS NULL AND start_at >= $2 AND start_at < $3`,
+    [seasonId, startAt, endAt]
+  );
+  return seasonId;
+}
+
+/**
+ * Season table built from the frozen weekly ranks
+ * Only entries that traded take a place, so joining without trading never
+ * pushes anyone out of the points
+ * Returns { standings: [{ user_id, discord_username, points, wins, podiums, weeks, bestPlace }], settled, total }
+ */
+export async function getSeasonStandings(seasonId, runQuery = query) {
+  const { rows: places } = await runQuery(
+    `SELECT e.user_id, u.discord_id, u.discord_username, e.competition_id,
+       ROW_NUMBER() OVER (PARTITION BY e.competition_id ORDER BY e.final_rank) AS place
+     FROM entries e
+     JOIN competitions c ON c.id = e.competition_id
+     JOIN users u ON u.id = e.user_id
+     WHERE c.season_id = $1 AND c.settled_at IS NOT NULL AND e.final_rank IS NOT NULL
+       AND EXISTS (SELECT 1 FROM trades t WHERE t.entry_id = e.id)`,
+    [seasonId]
+  );
+  const { rows: counts } = await runQuery(
+    `SELECT COUNT(*)::int AS total, COUNT(settled_at)::int AS settled FROM competitions WHERE season_id = $1`,
+    [seasonId]
+  );
+
+  const byUser = new Map();
+  for (const row of places) {
+    const place = Number(row.place);
+    if (!byUser.has(row.user_id)) {
+      byUser.set(row.user_id, {
+        user_id: row.user_id, discord_id: row.discord_id, discord_username: row.discord_username,
+        points: 0, wins: 0, podiums: 0, weeks: 0, bestPlace: Infinity
+      });
+    }
+    const s = byUser.get(row.user_id);
+    s.points += pointsForPlace(place);
+    s.weeks++;
+    if (place === 1) s.wins++;
+    if (place <= 3) s.podiums++;
+    s.bestPlace = Math.min(s.bestPlace, place);
+  }
+
+  // Ties: more wins, then more podiums, then the better best finish
+  const standings = [...byUser.values()].sort((a, b) =>
+    b.points - a.points || b.wins - a.wins || b.podiums - a.podiums || a.bestPlace - b.bestPlace
+  );
+  return { standings, settled: counts[0].settled, total: counts[0].total };
+}
+
+function buildChampionEmbed(season, standings) {
+  const [champion, ...rest] = standings;
+  const runnersUp = rest.slice(0, 2).map((s, idx) => `${idx === 0 ? '🥈' : '🥉'} **${s.discord_username}** ${s.points} pts`);
+  return new EmbedBuilder()
+    .setTitle(`🏆 ${season.name} Champion: ${champion.discord_username}`)
+    .setColor(0xffd700)
+    .setDescription([
+      `<@${champion.discord_id}> wins the season with **${champion.points} pts** (${champion.wins} week win${champion.wins === 1 ? '' : 's'})`,
+      ...runnersUp
+    ].join('\n'))
+    .setFooter({ text: `${standings.length} traders scored • shumi season standings ${season.slug}` });
+}
+
+/**
+ * Crown the champion of every season that is over and fully settled
+ * Called by the settlement job after it settles competitions
+ */
+export async function completeSeasons(client) {
+  const { rows: seasons } = await query(
+    `SELECT s.* FROM seasons s
+     WHERE s.completed_at IS NULL AND s.end_at <= NOW()
+       AND NOT EXISTS (SELECT 1 FROM competitions c WHERE c.season_id = s.id AND c.settled_at IS NULL)`
+  );
+
+  for (const season of seasons) {
+    const { standings } = await getSeasonStandings(season.id);
+    const champion = standings[0];
+
+    // Guarded update: a concurrent run crowns it only once
+    const { rowCount } = await query(
+      'UPDATE seasons SET completed_at = NOW(), champion_user_id = $1 WHERE id = $2 AND completed_at IS NULL',
+      [champion?.user_id ?? null, season.id]
+    );
+    if (!rowCount) continue;
+    console.log(`[SEASON] ${season.name} completed, champion: ${champion?.discord_username ?? 'none'}`);
+
+    const channelId = process.env.SETTLEMENT_CHANNEL_ID;
+    if (!client || !channelId || !champion) continue;
+    try {
+      const channel = await client.channels.fetch(channelId);
+      await channel.send({ embeds: [buildChampionEmbed(season, standings)] });
+    } catch (err) {
+      console.error(`[SEASON] Failed to announce ${season.name} champion in ${channelId}:`, err.message);
+    }
+  }
+}
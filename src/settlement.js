@@ -0,0 +1,150 @@
+// src/settlement.js
+// Competition settlement: once a competition's end_at passes, closes every
+// open trade at a snapshot price, freezes final ranks and posts the standings
+
+import cron from 'node-cron';
+import { EmbedBuilder } from 'discord.js';
+import { query, pool } from './db.js';
+import { getTickerPrices } from './ticker-prices.js';
+import { closeTrade } from './trades.js';
+import { getStandings, getScoringStrategy, formatScore } from './scoring.js';
+import { completeSeasons } from './seasons.js';
+
+// Only announce competitions that ended recently - avoids a flood of
+// standings posts when old, never-settled weeks are caught up on first deploy
+const ANNOUNCE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Settle a single competition inside one transaction
+ * Returns the final standings (entries that traded), or null if another run already settled it
+ */
+export async function settleCompetition(competition) {
+  const { rows: openTrades } = await query(
+    `SELECT t.id, t.ticker, t.side, t.entry_price, t.entry_time, t.size_usd
+     FROM trades t JOIN entries e ON e.id = t.entry_id
+     WHERE e.competition_id = $1 AND t.status = 'open'`,
+    [competition.id]
+  );
+
+  // Price outside the transaction - CoinGecko calls can take seconds
+  const snapshot = await getTickerPrices(openTrades.map(t => t.ticker));
+  const snapshotTime = new Date().toISOString();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: locked } = await client.query(
+      'SELECT id FROM competitions WHERE id = $1 AND settled_at IS NULL FOR UPDATE',
+      [competition.id]
+    );
+    if (!locked.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    for (const trade of openTrades) {
+      const entryPrice = Number(trade.entry_price);
+      // No price at all: close flat at entry rather than leave the trade open forever
+      const exitPrice = snapshot[trade.ticker] ?? entryPrice;
+      if (snapshot[trade.ticker] === undefined) {
+        console.log(`[SETTLEMENT] No snapshot price for ${trade.ticker}, closing trade #${trade.id} at entry`);
+      }
+
+      await closeTrade(trade, exitPrice, { exitTime: snapshotTime, reason: 'settlement', runQuery: client.query.bind(client) });
+    }
+
+    // Unfilled limit orders die with the competition
+    await client.query(
+      `UPDATE orders SET status='expired', closed_at=NOW()
+       WHERE status='pending' AND entry_id IN (SELECT id FROM entries WHERE competition_id=$1)`,
+      [competition.id]
+    );
+
+    // Only entries that traded are ranked - joining and sitting out must not
+    // beat a trader with a negative score. The rest keep a NULL final_rank
+    const standings = (await getStandings(competition, client.query.bind(client))).filter(s => s.tradeCount > 0);
+
+    for (let idx = 0; idx < standings.length; idx++) {
+      await client.query(
+        'UPDATE entries SET final_rank=$1, final_score=$2, final_equity=$3 WHERE id=$4',
+        [idx + 1, standings[idx].score, standings[idx].equity, standings[idx].entry_id]
+      );
+    }
+
+    await client.query('UPDATE competitions SET settled_at=NOW() WHERE id=$1', [competition.id]);
+    await client.query('COMMIT');
+
+    console.log(`[SETTLEMENT] ${competition.name} settled: ${openTrades.length} trades closed, ${standings.length} entries ranked`);
+    return standings;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function buildStandingsEmbed(competition, standings) {
+  const strategy = getScoringStrategy(competition.scoring_mode);
+  const lines = standings.slice(0, 10).map((s, idx) => {
+    const place = MEDALS[idx] || `${idx + 1}.`;
+    return `${place} **${s.discord_username || 'Unknown'}** ${formatScore(s.score, strategy.unit)} (${s.tradeCount} trade${s.tradeCount === 1 ? '' : 's'})`;
+  });
+
+  return new EmbedBuilder()
+    .setTitle(`${competition.name} Final Standings`)
+    .setColor(0xffd700)
+    .setDescription(lines.length ? lines.join('\n') : 'Nobody traded.')
+    .setFooter({ text: `${standings.length} trader${standings.length === 1 ? '' : 's'} • Scoring: ${strategy.label} • Open positions were closed at the settlement price` });
+}
+
+async function announceStandings(client, competition, standings) {
+  const channelId = process.env.SETTLEMENT_CHANNEL_ID;
+  if (!client || !channelId) return;
+
+  if (Date.now() - new Date(competition.end_at).getTime() > ANNOUNCE_WINDOW_MS) {
+    console.log(`[SETTLEMENT] ${competition.name} ended too long ago, skipping announcement`);
+    return;
+  }
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    await channel.send({ embeds: [buildStandingsEmbed(competition, standings)] });
+  } catch (err) {
+    console.error(`[SETTLEMENT] Failed to post standings to ${channelId}:`, err.message);
+  }
+}
+
+/**
+ * Settle every competition whose end_at has passed, then crown the
+ * champions of seasons that are now complete
+ */
+export async function runSettlementJob(client) {
+  const { rows } = await query(
+    'SELECT * FROM competitions WHERE end_at <= NOW() AND settled_at IS NULL ORDER BY end_at ASC'
+  );
+
+  for (const competition of rows) {
+    try {
+      const standings = await settleCompetition(competition);
+      if (standings) await announceStandings(client, competition, standings);
+    } catch (err) {
+      console.error(`[SETTLEMENT] Failed to settle competition ${competition.id}:`, err);
+    }
+  }
+
+  try {
+    await completeSeasons(client);
+  } catch (err) {
+    console.error('[SETTLEMENT] Failed to complete seasons:', err);
+  }
+}
+
+export function scheduleSettlementJob(client, expr = '*/5 * * * *') {
+  cron.schedule(expr, async () => {
+    try { await runSettlementJob(client); } catch (e) { console.error(e); }
+  }, { timezone: process.env.TZ || 'UTC' });
+  console.log('Competition settlement scheduled');
+}
@@ -15,6 +15,7 @@ class SmartResolverV2 {
   constructor() {
     this.memoryCache = new Map(); // LRU with TTL: key -> {coinId, expires, confidence}
     this.hitBuffer = new Map(); // Batched hit tracking
+    this.pendingChoices = new Map(); // ticker -> {candidates, expires} for ambiguous learnings
     this.maxCacheSize = 500; // LRU eviction limit
     this.warmupComplete = false;
     
@@ -27,6 +28,11 @@ class SmartResolverV2 {
     this.highConfidenceTTL = 7 * 24 * 60 * 60 * 1000; // 7 days for confidence > 80
     this.lowConfidenceTTL = 24 * 60 * 60 * 1000; // 1 day for confidence < 50
     this.defaultTTL = 3 * 24 * 60 * 60 * 1000; // 3 days default
+
+    // Ambiguous symbols (several ranked coins, no clear leader) are learned as
+    // a guess at this confidence until a user picks the coin they meant
+    this.ambiguousConfidence = 40;
+    this.choiceConfidence = 85;
     
     // Batch flush hits every minute to reduce DB writes
     setInterval(() => this.flushHits(), 60000);
@@ -43,8 +49,9 @@ class SmartResolverV2 {
     // Remove common prefixes that indicate cashtags
     normalized = normalized.replace(/^\$/, '');
     
-    // Strip trading pair suffixes (btcusdt -> btc)
-    normalized = normalized.replace(/[-_\/](usdt|usdc|usd|busd|dai|eur|btc|eth)$/i, '');
+    // Strip USD pair suffixes (btc/usdt -> btc) - cross pairs like eth/btc
+    // are priced as ratios by pairs.js and never reach the resolver
+    normalized = normalized.replace(/[-_\/](usdt|usdc|usd|busd|dai)$/i, '');
     
     // Strip derivative suffixes (eth-perp -> eth)  
     normalized = normalized.replace(/[-_\.]?(perp|perpetual|future|fut)$/i, '');
@@ -289,6 +296,35 @@ class SmartResolverV2 {
     return rows.length > 0 ? rows[0] : null;
   }
 
+  /**
+   * Look a ticker up on CoinGecko and work out what learning it would store
+   * Makes no writes. Returns { coinId, confidence, candidates, ambiguous },
+   * { coinId, banReason } when the match must not be learned, or null
+   */
+  async lookupFromAPI(ticker) {
+    const { findCandidates } = await import('./resolve.js');
+    const { coinId, candidates, ambiguous } = await findCandidates(ticker);
+    if (!coinId) return null;
+
+    // Enhanced validation to prevent poisoning
+    const banCheck = this.shouldBanFromLearning(ticker, coinId);
+    if (banCheck.banned) return { coinId, banReason: banCheck.reason };
+
+    // Calculate confidence based on various factors
+    let confidence = 70; // Default
+    
+    // Higher confidence for exact matches
+    if (coinId.includes(ticker) || ticker.length >= 3) confidence += 10;
+    
+    // Lower confidence for very short tickers
+    if (ticker.length <= 2) confidence -= 20;
+    
+    // Best guess between several real coins - short TTL, and offer the choice
+    if (ambiguous) confidence = Math.min(confidence, this.ambiguousConfidence);
+
+    return { coinId, confidence, candidates, ambiguous };
+  }
+
   /**
    * Learn new mapping from API with enhanced validation
    */
@@ -296,30 +332,22 @@ class SmartResolverV2 {
     try {
       console.log(`[SMART_RESOLVER_V2] 🎓 Learning new ticker: ${ticker} (chain: ${chainHint || 'any'})`);
       
-      const { resolveCoinId } = await import('./resolve.js');
-      const coinId = await resolveCoinId(ticker);
-      
-      if (!coinId) {
+      const found = await this.lookupFromAPI(ticker);
+      if (!found) {
         await this.recordFailure(ticker, 'not_found', chainHint);
         return null;
       }
       
-      // Enhanced validation to prevent poisoning
-      const banCheck = this.shouldBanFromLearning(ticker, coinId);
-      if (banCheck.banned) {
-        console.log(`[SMART_RESOLVER_V2] 🚫 Banned from learning: ${ticker} → ${coinId} (${banCheck.reason})`);
-        await this.storeBannedMapping(ticker, coinId, banCheck.reason);
+      const { coinId, confidence } = found;
+      if (found.banReason) {
+        console.log(`[SMART_RESOLVER_V2] 🚫 Banned from learning: ${ticker} → ${coinId} (${found.banReason})`);
+        await this.storeBannedMapping(ticker, coinId, found.banReason);
         return null;
       }
       
-      // Calculate confidence based on various factors
-      let confidence = 70; // Default
-      
-      // Higher confidence for exact matches
-      if (coinId.includes(ticker) || ticker.length >= 3) confidence += 10;
-      
-      // Lower confidence for very short tickers
-      if (ticker.length <= 2) confidence -= 20;
+      if (found.ambiguous) {
+        this.pendingChoices.set(ticker, { candidates: found.candidates, expires: Date.now() + this.lowConfidenceTTL });
+      }
       
       // Store the learning
       await this.learnMapping(ticker, coinId, chainHint, confidence);
@@ -347,7 +375,7 @@ class SmartResolverV2 {
   /**
    * Store successful mapping with TTL based on confidence
    */
-  async learnMapping(ticker, coinId, chainHint = null, confidence = 70) {
+  async learnMapping(ticker, coinId, chainHint = null, confidence = 70, runQuery = query) {
     // Calculate TTL based on confidence
     let ttlMs;
     if (confidence >= 80) ttlMs = this.highConfidenceTTL;
@@ -356,7 +384,7 @@ class SmartResolverV2 {
     
     const expiresAt = new Date(Date.now() + ttlMs);
     
-    await query(
+    await runQuery(
       `INSERT INTO ticker_mappings (ticker, coingecko_id, chain, confidence_score, expires_at, source) 
        VALUES ($1, $2, $3, $4, $5, 'learned') 
        ON CONFLICT (ticker) DO UPDATE SET 
@@ -375,8 +403,8 @@ class SmartResolverV2 {
   /**
    * Store banned mapping to prevent future learning
    */
-  async storeBannedMapping(ticker, coinId, reason) {
-    await query(
+  async storeBannedMapping(ticker, coinId, reason, runQuery = query) {
+    await runQuery(
       `INSERT INTO ticker_mappings (ticker, coingecko_id, confidence_score, source, is_banned, ban_reason) 
        VALUES ($1, $2, 0, 'admin', true, $3) 
        ON CONFLICT (ticker) DO UPDATE SET 
@@ -471,13 +499,15 @@ class SmartResolverV2 {
 
   /**
    * Admin function to force ban a ticker
+   * Pass a transaction client's query to write inside a transaction
    */
-  async forceBan(ticker, reason = 'admin_banned') {
+  async forceBan(ticker, reason = 'admin_banned', runQuery = query) {
     const normalized = this.normalizeTicker(ticker);
     if (!normalized) return false;
     
-    await query(
-      'UPDATE ticker_mappings SET is_banned = true, ban_reason = $2, updated_at = NOW() WHERE ticker = $1',
+    await runQuery(
+      // A ban settles any open dispute, so it leaves the review queue too
+      'UPDATE ticker_mappings SET is_banned = true, ban_reason = $2, review_flagged_at = NULL, updated_at = NOW() WHERE ticker = $1',
       [normalized, reason]
     );
     
@@ -506,21 +536,91 @@ class SmartResolverV2 {
   }
 
   /**
-   * Admin function to force relearn a ticker
+   * Admin function to force relearn a ticker from a lookupFromAPI result
+   * The lookup is left to the caller so a transaction (pass its query) never
+   * stays open across the API call. Returns the new coin ID, or null
    */
-  async forceRelearn(ticker) {
+  async forceRelearn(ticker, found, runQuery = query) {
     const normalized = this.normalizeTicker(ticker);
-    if (!normalized) return null;
+    if (!normalized || !found?.coinId) return null;
     
     // Remove from all caches and DB
-    this.memoryCache.delete(normalized);
-    this.hitBuffer.delete(normalized);
+    this.invalidate(normalized);
+    await runQuery('DELETE FROM ticker_mappings WHERE ticker = $1', [normalized]);
+    await runQuery('DELETE FROM failed_resolutions WHERE ticker = $1', [normalized]);
     
-    await query('DELETE FROM ticker_mappings WHERE ticker = $1', [normalized]);
-    await query('DELETE FROM failed_resolutions WHERE ticker = $1', [normalized]);
+    if (found.banReason) {
+      console.log(`[SMART_RESOLVER_V2] 🚫 Banned from learning: ${normalized} → ${found.coinId} (${found.banReason})`);
+      await this.storeBannedMapping(normalized, found.coinId, found.banReason, runQuery);
+      return null;
+    }
     
-    // Try to learn fresh
-    return await this.learnFromAPI(normalized);
+    if (found.ambiguous) {
+      this.pendingChoices.set(normalized, { candidates: found.candidates, expires: Date.now() + this.lowConfidenceTTL });
+    }
+    await this.learnMapping(normalized, found.coinId, null, found.confidence, runQuery);
+    
+    console.log(`[SMART_RESOLVER_V2] ✅ Relearned: ${normalized} → ${found.coinId} (confidence: ${found.confidence})`);
+    return found.coinId;
+  }
+
+  /**
+   * Drop a ticker from the memory cache (every chain variant) after its
+   * database row was changed outside the resolver
+   */
+  invalidate(ticker) {
+    const normalized = this.normalizeTicker(ticker);
+    if (!normalized) return;
+    for (const key of [...this.memoryCache.keys()]) {
+      if (key === normalized || key.startsWith(`${normalized}|`)) this.memoryCache.delete(key);
+    }
+    this.hitBuffer.delete(normalized);
+  }
+
+  /**
+   * Candidates to offer for a ticker whose mapping is still an ambiguous guess
+   * Returns [{ id, name, symbol, market_cap_rank }] best first, or null
+   */
+  getChoices(rawInput) {
+    const ticker = this.normalizeTicker(rawInput);
+    const pending = ticker && this.pendingChoices.get(ticker);
+    if (!pending) return null;
+    if (pending.expires <= Date.now()) {
+      this.pendingChoices.delete(ticker);
+      return null;
+    }
+    return pending.candidates;
+  }
+
+  /**
+   * Record a user's pick for an ambiguous ticker as a 'vote' mapping
+   * Only replaces learned guesses - admin mappings and earlier picks stay put
+   * (keyed on source, not confidence, which community votes move)
+   * Returns true when the mapping was stored
+   */
+  async recordChoice(rawInput, coinId) {
+    const ticker = this.normalizeTicker(rawInput);
+    const candidates = this.getChoices(ticker);
+    if (!candidates?.some(c => c.id === coinId)) return false;
+
+    const { rowCount } = await query(
+      `INSERT INTO ticker_mappings (ticker, coingecko_id, confidence_score, source)
+       VALUES ($1, $2, $3, 'vote')
+       ON CONFLICT (ticker) DO UPDATE SET
+         coingecko_id = EXCLUDED.coingecko_id,
+         confidence_score = EXCLUDED.confidence_score,
+         source = 'vote',
+         expires_at = NULL,
+         review_flagged_at = NULL,
+         updated_at = NOW()
+       WHERE ticker_mappings.source = 'learned'`,
+      [ticker, coinId, this.choiceConfidence]
+    );
+    this.pendingChoices.delete(ticker);
+    this.invalidate(ticker);
+
+    console.log(`[SMART_RESOLVER_V2] 🗳️ Picked: ${ticker} → ${coinId}${rowCount ? '' : ' (kept existing mapping)'}`);
+    return rowCount > 0;
   }
 
   /**
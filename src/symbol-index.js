@@ -3,10 +3,11 @@
 // NO hardcoded mappings - everything comes from live CG data
 
 import axios from 'axios';
-import { CANONICAL } from './resolve.js';
+import { CANONICAL, isAmbiguous } from './resolve.js';
 
 // In-memory symbol index
 let symbolIndex = new Map(); // symbol -> coinId
+let symbolCandidates = new Map(); // shared symbol -> [{ id, name, symbol, market_cap_rank }], best first
 let indexMetadata = {
   size: 0,
   lastUpdated: null,
@@ -72,6 +73,7 @@ export async function buildSymbolIndex(force = false) {
 
     // Clear old index
     symbolIndex.clear();
+    symbolCandidates.clear();
     
     // Build new index: symbol -> highest market cap coinId
     const symbolConflicts = new Map(); // Track conflicts for logging
@@ -81,6 +83,10 @@ export async function buildSymbolIndex(force = false) {
       const coinId = coin.id;
       const marketCapRank = coin.market_cap_rank || 9999;
       
+      const sharing = symbolCandidates.get(symbol) || [];
+      sharing.push({ id: coinId, name: coin.name, symbol, market_cap_rank: marketCapRank });
+      symbolCandidates.set(symbol, sharing);
+      
       if (symbolIndex.has(symbol)) {
         // Conflict: keep the one with better market cap rank (lower number = better)
         const existingCoinId = symbolIndex.get(symbol);
@@ -101,6 +107,12 @@ export async function buildSymbolIndex(force = false) {
       }
     }
     
+    // Keep only symbols that really are shared, best rank first
+    for (const [symbol, sharing] of symbolCandidates) {
+      if (sharing.length < 2) symbolCandidates.delete(symbol);
+      else sharing.sort((a, b) => a.market_cap_rank - b.market_cap_rank);
+    }
+    
     // Update metadata
     indexMetadata = {
       size: symbolIndex.size,
@@ -140,6 +152,7 @@ export async function buildSymbolIndex(force = false) {
 /**
  * Resolve a symbol to a CoinGecko coin ID
  * Uses the cached symbol index - no API calls
+ * Shared symbols also carry `candidates`, and `ambiguous` when the pick is a guess
  */
 export function resolveSymbolToId(symbol) {
   const normalizedSymbol = symbol.toLowerCase().trim();
@@ -154,10 +167,12 @@ export function resolveSymbolToId(symbol) {
   }
   
   if (symbolIndex.has(normalizedSymbol)) {
+    const candidates = symbolCandidates.get(normalizedSymbol);
     return {
       coinId: symbolIndex.get(normalizedSymbol),
       method: 'symbol-index',
-      source: indexMetadata.source
+      source: indexMetadata.source,
+      ...(candidates && { candidates, ambiguous: isAmbiguous(candidates) })
     };
   }
   
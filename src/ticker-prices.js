@@ -0,0 +1,89 @@
+// src/ticker-prices.js
+// Batched ticker -> USD price lookup for jobs that price many open trades
+// Resolves through the smart resolver, prices through the smart price service,
+// and falls back to individual fetchCoinData calls for anything the batch missed
+// Pair tickers (eth/btc) price both legs in the same batch and return the ratio
+
+import smartResolver from './smart-resolver-v2.js';
+import { fetchCoinData } from './price-enhanced-smart.js';
+import { fiatLeg } from './pairs.js';
+import { parsePair } from './util/tickers.js';
+
+/**
+ * Get current prices for a list of tickers - USD, or the ratio for pairs
+ * Returns { ticker: price } - tickers that could not be priced are omitted
+ * Pass { fallback: false } from frequent pollers to skip the per-ticker retries
+ */
+export async function getTickerPrices(tickers, { fallback = true } = {}) {
+  const uniqueTickers = [...new Set(tickers)];
+  const pairs = new Map(uniqueTickers.map(t => [t, parsePair(t)]).filter(([, pair]) => pair));
+  const coinTickers = uniqueTickers.filter(t => !pairs.has(t));
+  const legs = [...pairs.values()].flatMap(p => p.fiat ? [p.base] : [p.base, p.quote]);
+  const prices = await getCoinPrices([...coinTickers, ...legs], { fallback });
+
+  const tickerPrices = {};
+  for (const ticker of coinTickers) {
+    if (prices[ticker]) tickerPrices[ticker] = prices[ticker];
+  }
+  for (const [ticker, pair] of pairs) {
+    let quote = prices[pair.quote];
+    if (pair.fiat) {
+      try {
+        quote = (await fiatLeg(pair.quote)).price;
+      } catch (err) {
+        console.log(`[PRICES] No rate for ${pair.quote}:`, err.message);
+      }
+    }
+    if (prices[pair.base] && quote) tickerPrices[ticker] = prices[pair.base] / quote;
+  }
+  return tickerPrices;
+}
+
+/**
+ * USD prices of plain coin tickers, same contract as getTickerPrices
+ */
+async function getCoinPrices(tickers, { fallback }) {
+  const uniqueTickers = [...new Set(tickers)];
+  const tickerPrices = {};
+
+  if (uniqueTickers.length === 0) return tickerPrices;
+
+  try {
+    const resolvedTickers = await Promise.all(uniqueTickers.map(async ticker => {
+      try {
+        return { ticker, coinId: await smartResolver.resolve(ticker) };
+      } catch (err) {
+        console.log(`[PRICES] Failed to resolve ${ticker}:`, err.message);
+        return { ticker, coinId: null };
+      }
+    }));
+
+    const resolved = resolvedTickers.filter(r => r.coinId);
+
+    // Use smart price service with intelligent fallback
+    const { default: smartPriceService } = await import('./smart-price-service.js');
+    const prices = await smartPriceService.getSmartPrices(resolved.map(r => r.coinId));
+
+    resolved.forEach((r, index) => {
+      if (prices[index]) {
+        tickerPrices[r.ticker] = prices[index].price;
+      }
+    });
+  } catch (err) {
+    console.log('[PRICES] Batch price fetch failed, falling back to individual calls:', err.message);
+  }
+
+  if (!fallback) return tickerPrices;
+
+  for (const ticker of uniqueTickers) {
+    if (tickerPrices[ticker]) continue;
+    try {
+      const coinData = await fetchCoinData(ticker);
+      tickerPrices[ticker] = coinData.price;
+    } catch (err) {
+      console.log(`[PRICES] No price for ${ticker}:`, err.message);
+    }
+  }
+
+  return tickerPrices;
+}
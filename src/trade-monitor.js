@@ -0,0 +1,162 @@
+// src/trade-monitor.js
+// Background monitor for price-driven trade events: fills pending limit
+// orders and closes trades whose stop-loss / take-profit triggered or that
+// were liquidated.
+// One batched price poll per pass; notifications go to the channel the
+// trade or order was placed in
+
+import cron from 'node-cron';
+import { EmbedBuilder } from 'discord.js';
+import { query } from './db.js';
+import { getTickerPrices } from './ticker-prices.js';
+import { closeTrade } from './trades.js';
+import { hasCrossed, fillOrder, expireOrders } from './orders.js';
+import { formatTickerPrice, formatPct, formatUsd } from './util/format.js';
+
+let running = false;
+
+/**
+ * Which trigger (if any) the current price has crossed
+ * Stop-loss wins if a gap somehow crosses both; it always sits before the
+ * liquidation price, so a gap through both still closes at the stop
+ */
+export function findTrigger(trade, price) {
+  const isLong = (trade.side || 'long') === 'long';
+  const stopLoss = trade.stop_loss != null ? Number(trade.stop_loss) : null;
+  const takeProfit = trade.take_profit != null ? Number(trade.take_profit) : null;
+  const liquidation = trade.liquidation_price != null ? Number(trade.liquidation_price) : null;
+
+  if (stopLoss != null && (isLong ? price <= stopLoss : price >= stopLoss)) {
+    return { reason: 'stop_loss', price: stopLoss };
+  }
+  if (liquidation != null && (isLong ? price <= liquidation : price >= liquidation)) {
+    return { reason: 'liquidation', price: liquidation };
+  }
+  if (takeProfit != null && (isLong ? price >= takeProfit : price <= takeProfit)) {
+    return { reason: 'take_profit', price: takeProfit };
+  }
+  return null;
+}
+
+async function notify(client, channelId, discordId, embed, label) {
+  if (!client || !channelId) return;
+  try {
+    const channel = await client.channels.fetch(channelId);
+    await channel.send({ content: `<@${discordId}>`, embeds: [embed] });
+  } catch (err) {
+    console.error(`[MONITOR] Failed to notify channel ${channelId} for ${label}:`, err.message);
+  }
+}
+
+const TRIGGER_TITLES = {
+  stop_loss: '🛑 Stop-Loss Hit',
+  take_profit: '🎯 Take-Profit Hit',
+  liquidation: '💥 Liquidated'
+};
+
+async function notifyTriggered(client, trade, trigger, score) {
+  const embed = new EmbedBuilder()
+    .setTitle(TRIGGER_TITLES[trigger.reason])
+    .setColor(score.pnlPct >= 0 ? 0x00ff00 : 0xff0000)
+    .addFields(
+      { name:'Ticker', value:trade.ticker.toUpperCase(), inline:true },
+      { name:'Side', value:`${(trade.side || 'long').toUpperCase()}${Number(trade.leverage) > 1 ? ` ${Number(trade.leverage)}x` : ''}`, inline:true },
+      { name:'Exit Price', value:formatTickerPrice(trade.ticker, trigger.price), inline:true },
+      { name:'P&L', value:`${formatPct(score.pnlPct)} (${formatUsd(score.pnlUsd, { signed: true })})`, inline:true },
+      { name:'Final Score', value:`${formatPct(score.finalScore)} (+${score.durationBonusPct.toFixed(2)}% duration)`, inline:true }
+    )
+    .setFooter({ text: `${trade.discord_username} • Trade #${trade.id}` });
+
+  await notify(client, trade.channel_id, trade.discord_id, embed, `trade #${trade.id}`);
+}
+
+async function notifyFilled(client, order, result) {
+  const embed = result.conflict
+    ? new EmbedBuilder()
+      .setTitle('Limit Order Cancelled')
+      .setColor(0x808080)
+      .setDescription(`${order.ticker.toUpperCase()} reached ${formatTickerPrice(order.ticker, Number(order.limit_price))}, but you already hold a ${order.ticker.toUpperCase()} position (one position per ticker).`)
+      .setFooter({ text: `${order.discord_username} • Order #${order.id}` })
+    : new EmbedBuilder()
+      .setTitle('📥 Limit Order Filled')
+      .setColor(order.side === 'long' ? 0x00ff00 : 0xff6600)
+      .addFields(
+        { name:'Ticker', value:order.ticker.toUpperCase(), inline:true },
+        { name:'Side', value:order.side.toUpperCase(), inline:true },
+        { name:'Entry Price', value:formatTickerPrice(order.ticker, Number(order.limit_price)), inline:true },
+        { name:'Size', value:formatUsd(order.size_usd), inline:true },
+        { name:'Trade ID', value:`#${result.tradeId}`, inline:true }
+      )
+      .setFooter({ text: `${order.discord_username} • Order #${order.id}` });
+
+  await notify(client, order.channel_id, order.discord_id, embed, `order #${order.id}`);
+}
+
+async function fillPendingOrders(client, orders, prices) {
+  for (const order of orders) {
+    const price = prices[order.ticker];
+    if (!price || !hasCrossed(order, price)) continue;
+
+    const result = await fillOrder(order);
+    if (!result) continue; // cancelled in the meantime
+
+    console.log(`[MONITOR] Order #${order.id} ${order.ticker} ${result.conflict ? 'cancelled (position already open)' : `filled as trade #${result.tradeId}`} at $${order.limit_price} (market $${price})`);
+    await notifyFilled(client, order, result);
+  }
+}
+
+/**
+ * One monitor pass: expire stale orders, fill crossed orders, then check
+ * stop-loss / take-profit / liquidation on open trades
+ */
+export async function runTradeMonitor(client) {
+  const expired = await expireOrders();
+  if (expired) console.log(`[MONITOR] Expired ${expired} pending orders`);
+
+  const { rows: orders } = await query(
+    `SELECT o.*, u.discord_id, u.discord_username
+     FROM orders o
+     JOIN entries e ON e.id = o.entry_id
+     JOIN users u ON u.id = e.user_id
+     WHERE o.status = 'pending'
+     ORDER BY o.id`
+  );
+  const { rows: trades } = await query(
+    `SELECT t.id, t.ticker, t.side, t.entry_price, t.entry_time, t.size_usd, t.leverage, t.stop_loss, t.take_profit,
+            t.liquidation_price, t.channel_id, u.discord_id, u.discord_username
+     FROM trades t
+     JOIN entries e ON e.id = t.entry_id
+     JOIN users u ON u.id = e.user_id
+     WHERE t.status = 'open' AND (t.stop_loss IS NOT NULL OR t.take_profit IS NOT NULL OR t.liquidation_price IS NOT NULL)`
+  );
+  if (!orders.length && !trades.length) return;
+
+  // Batch only - a ticker missing this pass is simply checked again next pass
+  const prices = await getTickerPrices([...orders, ...trades].map(r => r.ticker), { fallback: false });
+
+  await fillPendingOrders(client, orders, prices);
+
+  for (const trade of trades) {
+    const price = prices[trade.ticker];
+    if (!price) continue;
+
+    const trigger = findTrigger(trade, price);
+    if (!trigger) continue;
+
+    const score = await closeTrade(trade, trigger.price, { reason: trigger.reason });
+    if (!score) continue; // closed by the user or settlement in the meantime
+
+    console.log(`[MONITOR] Trade #${trade.id} ${trade.ticker} ${trigger.reason} at $${trigger.price} (market $${price})`);
+    await notifyTriggered(client, trade, trigger, score);
+  }
+}
+
+export function scheduleTradeMonitor(client, expr = '* * * * *') {
+  cron.schedule(expr, async () => {
+    // A slow price batch must not stack passes on top of each other
+    if (running) return;
+    running = true;
+    try { await runTradeMonitor(client); } catch (e) { console.error('[MONITOR]', e); } finally { running = false; }
+  }, { timezone: process.env.TZ || 'UTC' });
+  console.log('Trade monitor scheduled (limit orders, stop-loss / take-profit, liquidation)');
+}
@@ -0,0 +1,181 @@
+// src/trades.js
+// Trade lifecycle writes shared by commands and background jobs
+
+import { query, withTransaction } from './db.js';
+import { calcPnlPct, calcDurationBonus } from './scoring.js';
+import { formatTickerPrice } from './util/format.js';
+import { refreshTraderProfileForEntry } from './profile.js';
+
+/**
+ * Price at which a leveraged position has lost 100% of its margin
+ * null when unleveraged - those are never liquidated
+ */
+export function calcLiquidationPrice(side, entryPrice, leverage = 1) {
+  const lev = Number(leverage) || 1;
+  if (lev <= 1) return null;
+  return side === 'long' ? entryPrice * (1 - 1 / lev) : entryPrice * (1 + 1 / lev);
+}
+
+/**
+ * Stop-loss must sit on the losing side of entry and take-profit on the winning side;
+ * on a leveraged trade the stop-loss must also trigger before liquidation
+ * Returns an error message, or null when the triggers are usable
+ * `ticker` only picks how prices read in the message ($ or a pair's quote)
+ */
+export function validateTriggers(side, price, stopLoss, takeProfit, leverage = 1, ticker = '') {
+  for (const [label, value] of [['Stop-loss', stopLoss], ['Take-profit', takeProfit]]) {
+    if (value !== undefined && value !== null && !(value > 0)) {
+      return `${label} must be a positive price.`;
+    }
+  }
+  const isLong = side === 'long';
+  if (stopLoss != null && (isLong ? stopLoss >= price : stopLoss <= price)) {
+    return `Stop-loss for a ${side} must be ${isLong ? 'below' : 'above'} the entry price (${formatTickerPrice(ticker, price)}).`;
+  }
+  if (takeProfit != null && (isLong ? takeProfit <= price : takeProfit >= price)) {
+    return `Take-profit for a ${side} must be ${isLong ? 'above' : 'below'} the entry price (${formatTickerPrice(ticker, price)}).`;
+  }
+  const liquidation = calcLiquidationPrice(side, price, leverage);
+  if (stopLoss != null && liquidation != null && (isLong ? stopLoss <= liquidation : stopLoss >= liquidation)) {
+    return `Stop-loss is past the ${leverage}x liquidation price (${formatTickerPrice(ticker, liquidation)}) and would never trigger.`;
+  }
+  return null;
+}
+
+/**
+ * Insert an open trade, returns its id
+ * sizeUsd is the margin; leveraged trades also get their liquidation price
+ */
+export async function openTrade({ entryId, ticker, side, price, sizeUsd, leverage = 1, entryTime = new Date().toISOString(), comment = '', stopLoss, takeProfit, channelId }, runQuery = query) {
+  const { rows } = await runQuery(
+    `INSERT INTO trades(entry_id,ticker,side,entry_price,size_usd,remaining_size_usd,leverage,liquidation_price,entry_time,comment,status,stop_loss,take_profit,channel_id)
+     VALUES($1,$2,$3,$4,$5,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING id`,
+    [entryId, ticker, side, price, sizeUsd, leverage, calcLiquidationPrice(side, price, leverage), entryTime, comment, 'open',
+      stopLoss ?? null, takeProfit ?? null, channelId ?? null]
+  );
+  return rows[0].id;
+}
+
+// Remaining size below this counts as fully closed (float dust from % exits)
+const DUST_USD = 0.000001;
+
+async function applyFill(runQuery, tradeId, exitPrice, { percent = 100, exitTime, reason }) {
+  const { rows } = await runQuery(`SELECT * FROM trades WHERE id=$1 AND status='open' FOR UPDATE`, [tradeId]);
+  const trade = rows[0];
+  if (!trade) return null;
+
+  const size = Number(trade.size_usd || 0);
+  const remaining = Number(trade.remaining_size_usd ?? size);
+  const fillSize = percent >= 100 ? remaining : remaining * percent / 100;
+  const fillPnlPct = calcPnlPct(trade.side, Number(trade.entry_price), exitPrice, trade.leverage);
+  const fillPnlUsd = fillSize * fillPnlPct / 100;
+
+  await runQuery(
+    `INSERT INTO trade_fills (trade_id, size_usd, exit_price, pnl_pct, pnl_usd, reason, fill_time)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [trade.id, fillSize, exitPrice, fillPnlPct, fillPnlUsd, reason, exitTime]
+  );
+
+  const fill = { tradeId: trade.id, fillSize, fillPnlPct, fillPnlUsd, remainingSize: remaining - fillSize };
+
+  if (fill.remainingSize > DUST_USD) {
+    await runQuery('UPDATE trades SET remaining_size_usd=$1 WHERE id=$2', [fill.remainingSize, trade.id]);
+    return { ...fill, closed: false };
+  }
+
+  // Last fill: the trade row gets the blended result across all its fills
+  const { rows: totals } = await runQuery(
+    `SELECT SUM(size_usd) AS filled, SUM(pnl_usd) AS pnl_usd, SUM(size_usd * exit_price) AS notional_exit
+     FROM trade_fills WHERE trade_id=$1`,
+    [trade.id]
+  );
+  const filled = Number(totals[0].filled);
+  const pnlUsd = Number(totals[0].pnl_usd);
+  const avgExitPrice = filled > 0 ? Number(totals[0].notional_exit) / filled : exitPrice;
+  const pnlPct = size > 0 ? pnlUsd / size * 100 : fillPnlPct;
+  const durationBonusPct = calcDurationBonus(trade.entry_time, exitTime);
+  const finalScore = pnlPct + durationBonusPct;
+
+  await runQuery(
+    `UPDATE trades SET exit_price=$1, exit_time=$2, pnl_pct=$3, pnl_usd=$4, duration_bonus_pct=$5, final_score=$6,
+       close_reason=$7, remaining_size_usd=0, status='closed'
+     WHERE id=$8`,
+    [avgExitPrice, exitTime, pnlPct, pnlUsd, durationBonusPct, finalScore, reason, trade.id]
+  );
+  await refreshTraderProfileForEntry(trade.entry_id, runQuery);
+  return { ...fill, remainingSize: 0, closed: true, avgExitPrice, pnlPct, pnlUsd, durationBonusPct, finalScore };
+}
+
+/**
+ * Close `percent` of an open trade's remaining size at `exitPrice`
+ * Every (partial) close is a trade_fills row; the final one also writes the
+ * blended exit price, P&L and score to the trade
+ * Returns the fill ({ fillSize, fillPnlPct, fillPnlUsd, remainingSize, closed, ... }),
+ * or null if the trade was no longer open (closed concurrently by a command or job)
+ * Pass runQuery to join a caller's transaction
+ */
+export async function reduceTrade(trade, exitPrice, { percent = 100, exitTime = new Date().toISOString(), reason = 'manual', runQuery } = {}) {
+  const opts = { percent, exitTime, reason };
+  return runQuery
+    ? applyFill(runQuery, trade.id, exitPrice, opts)
+    : withTransaction(tx => applyFill(tx, trade.id, exitPrice, opts));
+}
+
+/**
+ * Why a trade's exit price can't be corrected, or null when it can
+ */
+export async function exitPriceFixError(trade, runQuery = query) {
+  if (trade.status !== 'closed') return `Trade ${trade.id} is still open - it has no exit price to fix.`;
+  const { rows } = await runQuery('SELECT COUNT(*)::int AS fills FROM trade_fills WHERE trade_id=$1', [trade.id]);
+  if (rows[0].fills > 1) return `Trade ${trade.id} was closed in ${rows[0].fills} fills, so it has no single exit price to fix.`;
+  return null;
+}
+
+/**
+ * Correct a trade's entry price, and for a closed trade also its exit price,
+ * re-pricing every fill so realized P&L, equity curves and the trade row agree
+ * Only pass exitPrice for a closed trade with at most one fill - partial
+ * exits have no single exit price to move (see exitPriceFixError)
+ * Returns { pnlPct }, null while the trade is open
+ */
+export async function repriceTrade(tradeId, { entryPrice, exitPrice = null }, runQuery = query) {
+  const { rows } = await runQuery('SELECT * FROM trades WHERE id=$1 FOR UPDATE', [tradeId]);
+  const trade = rows[0];
+  const closed = trade.status === 'closed';
+  const { rows: fills } = await runQuery('SELECT id, size_usd, exit_price FROM trade_fills WHERE trade_id=$1 ORDER BY id', [trade.id]);
+
+  let pnlUsd = 0;
+  for (const f of fills) {
+    const fillPnlPct = calcPnlPct(trade.side, entryPrice, exitPrice ?? Number(f.exit_price), trade.leverage);
+    const fillPnlUsd = Number(f.size_usd) * fillPnlPct / 100;
+    pnlUsd += fillPnlUsd;
+    await runQuery('UPDATE trade_fills SET exit_price=$1, pnl_pct=$2, pnl_usd=$3 WHERE id=$4', [exitPrice ?? f.exit_price, fillPnlPct, fillPnlUsd, f.id]);
+  }
+  await runQuery('UPDATE trades SET entry_price=$1, liquidation_price=$2 WHERE id=$3', [entryPrice, calcLiquidationPrice(trade.side, entryPrice, trade.leverage), trade.id]);
+  if (!closed) return { pnlPct: null };
+
+  // Same blend as the last fill writes; trades without fills price off the row
+  const size = Number(trade.size_usd || 0);
+  const newExitPrice = exitPrice ?? Number(trade.exit_price);
+  let pnlPct;
+  if (fills.length && size > 0) {
+    pnlPct = pnlUsd / size * 100;
+  } else {
+    pnlPct = calcPnlPct(trade.side, entryPrice, newExitPrice, trade.leverage);
+    if (!fills.length) pnlUsd = size * pnlPct / 100;
+  }
+  await runQuery(
+    'UPDATE trades SET exit_price=$1, pnl_pct=$2, pnl_usd=$3, final_score=$2 + COALESCE(duration_bonus_pct,0) WHERE id=$4',
+    [newExitPrice, pnlPct, pnlUsd, trade.id]
+  );
+  return { pnlPct };
+}
+
+/**
+ * Close whatever is left of an open trade
+ * Returns { pnlPct, pnlUsd, durationBonusPct, finalScore } for the whole trade, or null
+ */
+export async function closeTrade(trade, exitPrice, options = {}) {
+  const result = await reduceTrade(trade, exitPrice, { ...options, percent: 100 });
+  return result?.closed ? result : null;
+}
@@ -0,0 +1,33 @@
+// Quote currencies: anything CoinGecko's simple/price takes as vs_currencies
+// that members asked for, with the symbol used when displaying a quote
+
+export const DEFAULT_CURRENCY = 'usd';
+
+export const QUOTE_CURRENCIES = {
+  usd: '$',
+  eur: '€',
+  gbp: '£',
+  chf: 'CHF ',
+  jpy: '¥',
+  krw: '₩',
+  cny: 'CN¥',
+  inr: '₹',
+  sgd: 'S$',
+  hkd: 'HK$',
+  aud: 'A$',
+  cad: 'C$',
+  btc: '₿',
+  eth: 'Ξ'
+};
+
+/**
+ * "EUR" / "eur" -> "eur"; null when not a supported quote currency
+ */
+export function parseCurrency(text) {
+  const code = String(text || '').toLowerCase().replace(/^\$/, '');
+  return QUOTE_CURRENCIES[code] ? code : null;
+}
+
+export function currencySymbol(currency = DEFAULT_CURRENCY) {
+  return QUOTE_CURRENCIES[currency] ?? `${currency.toUpperCase()} `;
+}
@@ -0,0 +1,103 @@
+// Display formatting shared by the command modules
+
+import { currencySymbol, DEFAULT_CURRENCY } from './currency.js';
+import { tickerCurrency } from './tickers.js';
+
+export function formatPrice(price) {
+  if (price >= 1000) return price.toFixed(2);
+  if (price >= 1) return price.toFixed(4);
+  if (price >= 0.001) return price.toFixed(6);
+  if (price >= 0.000001) return price.toFixed(8);
+  if (price >= 0.000000001) return price.toFixed(10);
+  return price.toExponential(3); // For extremely small values like 1e-12
+}
+
+export function formatPct(pct) {
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+}
+
+/**
+ * Virtual dollars: $12,345.67 / -$120.00, or +$120.00 with `signed`
+ */
+export function formatUsd(amount, { signed = false } = {}) {
+  const value = Number(amount);
+  const abs = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const sign = value < 0 ? '-' : signed ? '+' : '';
+  return `${sign}$${abs}`;
+}
+
+/**
+ * A market price in a quote currency: $65000.00, €0.00001234, ₿0.03612000
+ */
+export function formatQuote(price, currency = DEFAULT_CURRENCY) {
+  return `${currencySymbol(currency)}${formatPrice(price)}`;
+}
+
+/**
+ * A trade price for `ticker`: $ for coins, the quote for pairs (₿0.052341 for eth/btc)
+ */
+export function formatTickerPrice(ticker, price) {
+  return formatQuote(price, tickerCurrency(ticker));
+}
+
+export function formatMarketCap(marketCap, currency = DEFAULT_CURRENCY) {
+  const symbol = currencySymbol(currency);
+  if (marketCap >= 1e12) return `${symbol}${(marketCap / 1e12).toFixed(1)}T`;
+  if (marketCap >= 1e9) return `${symbol}${(marketCap / 1e9).toFixed(1)}B`;
+  if (marketCap >= 1e6) return `${symbol}${(marketCap / 1e6).toFixed(0)}M`;
+  return `${symbol}${Math.round(marketCap).toLocaleString('en-US')}`;
+}
+
+/**
+ * Virtual dollars shown in another currency: "≈ €9,412.50"
+ * `rate` is units of `currency` per USD
+ */
+export function formatConverted(amountUsd, currency, rate) {
+  const value = Number(amountUsd) * rate;
+  const digits = currency === 'btc' || currency === 'eth' ? 6 : 2;
+  return `≈ ${value < 0 ? '-' : ''}${currencySymbol(currency)}${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+/**
+ * One price line: **BTC** (Bitcoin) $65000.00 📈 +1.23% • $1.3T ⏰2m old
+ * or for a pair: **ETH/BTC** ₿0.05234100 📈 +2.94% • ETH $2500.00 / BTC $47764.20
+ */
+export function formatCoinLine(ticker, data) {
+  const change = data.change24h >= 0 ? `+${data.change24h.toFixed(2)}%` : `${data.change24h.toFixed(2)}%`;
+  const changeEmoji = data.change24h >= 0 ? '📈' : '📉';
+  
+  // Format with coin name for disambiguation
+  const displayName = data.coinName
+    ? `**${ticker.toUpperCase()}** (${data.coinName})`
+    : `**${ticker.toUpperCase()}**`;
+  
+  let result = `${displayName} ${formatQuote(data.price, data.currency)} ${changeEmoji} ${change}`;
+  if (data.marketCap) {
+    result += ` • ${formatMarketCap(data.marketCap, data.currency)}`;
+  }
+  // Pairs show the USD legs the ratio came from
+  if (data.legs) {
+    const [base, quote] = data.symbol.split('/');
+    result += ` • ${base} $${formatPrice(data.legs.base)} / ${quote} $${formatPrice(data.legs.quote)}`;
+  }
+  
+  // Show if data is stale
+  if (data.isStale) {
+    result += ` ⏰${data.ageMinutes}m old`;
+  }
+  
+  return result;
+}
+
+/**
+ * User-facing line for a ticker that could not be priced
+ */
+export function formatPriceError(ticker, err) {
+  if (err?.message && (err.message.includes('429') || err.message.includes('rate limit'))) {
+    return `**${ticker.toUpperCase()}** rate limited (try again in 1 min)`;
+  }
+  if (ticker.length <= 2) {
+    return `**${ticker.toUpperCase()}** is too ambiguous. Please type the full ticker name (e.g., $SONIC, $SOL, $SHIB)`;
+  }
+  return `**${ticker.toUpperCase()}** not found`;
+}
@@ -0,0 +1,67 @@
+// Button pagination for replies that outgrow one embed
+// Works on both transports: ctx.reply resolves to the posted message, and the
+// buttons are handled by a collector on that message instead of a global handler
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } from 'discord.js';
+
+const IDLE_MS = 5 * 60 * 1000;
+
+function buttons(page, total) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('page_prev').setLabel('◀').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId('page_count').setLabel(`${page + 1}/${total}`).setStyle(ButtonStyle.Secondary).setDisabled(true),
+    new ButtonBuilder().setCustomId('page_next').setLabel('▶').setStyle(ButtonStyle.Secondary).setDisabled(page === total - 1)
+  );
+}
+
+/**
+ * Split lines into embed-sized pages of at most `perPage` lines
+ */
+export function chunkLines(lines, perPage = 20, maxChars = 4000) {
+  const pages = [];
+  let page = [];
+  let size = 0;
+  for (const line of lines) {
+    if (page.length && (page.length >= perPage || size + line.length + 1 > maxChars)) {
+      pages.push(page);
+      page = [];
+      size = 0;
+    }
+    page.push(line);
+    size += line.length + 1;
+  }
+  if (page.length) pages.push(page);
+  return pages;
+}
+
+/**
+ * Reply with the first of `embeds`, plus ◀ ▶ buttons when there is more than one
+ * Only the user who ran the command can turn pages; buttons go away after 5 idle minutes
+ */
+export async function replyPaginated(ctx, embeds) {
+  if (embeds.length <= 1) {
+    await ctx.reply({ embeds });
+    return;
+  }
+
+  let page = 0;
+  const message = await ctx.reply({ embeds: [embeds[0]], components: [buttons(0, embeds.length)] });
+  if (!message?.createMessageComponentCollector) return;
+
+  const collector = message.createMessageComponentCollector({ componentType: ComponentType.Button, idle: IDLE_MS });
+  collector.on('collect', async (i) => {
+    try {
+      if (i.user.id !== ctx.user.id) {
+        await i.reply({ content: 'Only the person who ran the command can turn pages.', flags: 64 });
+        return;
+      }
+      page = Math.min(Math.max(page + (i.customId === 'page_next' ? 1 : -1), 0), embeds.length - 1);
+      await i.update({ embeds: [embeds[page]], components: [buttons(page, embeds.length)] });
+    } catch (err) {
+      console.error('[PAGINATION]', err.message);
+    }
+  });
+  collector.on('end', () => {
+    message.edit({ components: [] }).catch(() => {});
+  });
+}
@@ -19,4 +19,29 @@ export function normalizeTicker(raw) {
   if (!raw) return raw;
   const key = String(raw).trim().toLowerCase();
   return TICKER_ALIASES[key] || key; // fallback to the same key
-}
\ No newline at end of file
+}
+
+// eth/btc, sol:eth - base and quote coin (or fiat) with either separator
+const PAIR = /^\$?([a-z0-9]+)[/:]\$?([a-z0-9]+)$/;
+// Quotes that only ever meant "the USD price": btc/usdt is plain btc
+const USD_QUOTES = new Set(['usd', 'usdt', 'usdc', 'busd', 'dai']);
+// Quoted from exchange rates instead of resolved as coins
+const FIAT_QUOTES = new Set(['eur', 'gbp', 'chf', 'jpy', 'krw', 'cny', 'inr', 'sgd', 'hkd', 'aud', 'cad']);
+
+/**
+ * Cross pair in a ticker, or null for a plain coin (btc/usdt included)
+ * Returns { ticker, base, quote, fiat } with ticker in the stored base/quote form
+ */
+export function parsePair(raw) {
+  const match = PAIR.exec(String(raw || '').trim().toLowerCase());
+  if (!match || USD_QUOTES.has(match[2]) || match[1] === match[2]) return null;
+  const [, base, quote] = match;
+  return { ticker: `${base}/${quote}`, base, quote, fiat: FIAT_QUOTES.has(quote) };
+}
+
+/**
+ * What a ticker's prices are quoted in: the pair's quote, otherwise usd
+ */
+export function tickerCurrency(ticker) {
+  return parsePair(ticker)?.quote ?? 'usd';
+}
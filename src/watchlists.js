@@ -0,0 +1,82 @@
+// src/watchlists.js
+// Personal watchlists: tickers pinned to the coin ID they resolved to when
+// added, priced all at once through the smart price service
+
+import { query } from './db.js';
+import smartResolver from './smart-resolver-v2.js';
+import smartPriceService from './smart-price-service.js';
+
+export const MAX_WATCHLIST_ITEMS = 50;
+
+export async function getWatchlist(userId) {
+  const { rows } = await query('SELECT * FROM watchlist_items WHERE user_id = $1 ORDER BY added_at, id', [userId]);
+  return rows;
+}
+
+/**
+ * Resolve and add tickers, skipping ones already watched
+ * Returns { added: [{ ticker, coinId }], existing: [], unresolved: [], full: [] }
+ */
+export async function addToWatchlist(userId, tickers) {
+  const result = { added: [], existing: [], unresolved: [], full: [] };
+  const current = await getWatchlist(userId);
+  const watched = new Set(current.map(item => item.ticker));
+  let room = MAX_WATCHLIST_ITEMS - current.length;
+
+  for (const ticker of new Set(tickers)) {
+    if (watched.has(ticker)) {
+      result.existing.push(ticker);
+      continue;
+    }
+    if (room <= 0) {
+      result.full.push(ticker);
+      continue;
+    }
+    const coinId = await smartResolver.resolve(ticker).catch(() => null);
+    if (!coinId) {
+      result.unresolved.push(ticker);
+      continue;
+    }
+    const { rowCount } = await query(
+      'INSERT INTO watchlist_items (user_id, ticker, coin_id) VALUES ($1, $2, $3) ON CONFLICT (user_id, ticker) DO NOTHING',
+      [userId, ticker, coinId]
+    );
+    if (rowCount) {
+      result.added.push({ ticker, coinId });
+      room--;
+    } else {
+      result.existing.push(ticker);
+    }
+  }
+  return result;
+}
+
+/**
+ * Remove tickers, returns the ones that were on the list
+ */
+export async function removeFromWatchlist(userId, tickers) {
+  const { rows } = await query(
+    'DELETE FROM watchlist_items WHERE user_id = $1 AND ticker = ANY($2) RETURNING ticker',
+    [userId, tickers]
+  );
+  return rows.map(r => r.ticker);
+}
+
+/**
+ * Watchlist items with { price, change24h, marketCap } (null when unpriced)
+ * One getSmartPrices call for the whole list, one coin ID per coin however
+ * many tickers point at it
+ */
+export async function priceWatchlist(items) {
+  const coinIds = [...new Set(items.map(item => item.coin_id))];
+  const quotes = coinIds.length ? await smartPriceService.getSmartPrices(coinIds) : [];
+  const byCoin = new Map(coinIds.map((coinId, idx) => [coinId, quotes[idx]]));
+
+  return items.map(item => {
+    const quote = byCoin.get(item.coin_id);
+    return {
+      ...item,
+      quote: quote ? { price: quote.price, change24h: Number(quote.change24h || 0), marketCap: quote.marketCap ?? null } : null
+    };
+  });
+}
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAlert } from '../src/alerts.js';
+
+const MIN = 60 * 1000;
+const now = Date.parse('2026-10-19T12:00:00Z');
+
+test('checkAlert: price levels fire at or past the target', () => {
+  assert.deepEqual(checkAlert({ kind: 'above', target: '100' }, 100), {});
+  assert.equal(checkAlert({ kind: 'above', target: '100' }, 99.9), null);
+  assert.deepEqual(checkAlert({ kind: 'below', target: '50' }, 49), {});
+  assert.equal(checkAlert({ kind: 'below', target: '50' }, 51), null);
+});
+
+const move = (target, created_at, created_price = 100) => ({
+  kind: 'move', target: String(target), window_minutes: 60, created_at: new Date(created_at).toISOString(), created_price: String(created_price)
+});
+
+test('checkAlert: a drop is measured from the window high', () => {
+  const alert = move(-5, now - 3 * 60 * MIN);
+  const history = [{ time: now - 30 * MIN, price: 110 }, { time: now - 10 * MIN, price: 106 }];
+  const hit = checkAlert(alert, 104, history, now);
+  assert.ok(hit);
+  assert.ok(Math.abs(hit.move - (104 / 110 - 1) * 100) < 1e-9);
+  assert.equal(checkAlert(alert, 105, history, now), null);
+});
+
+test('checkAlert: a rise is measured from the window low', () => {
+  const alert = move(10, now - 3 * 60 * MIN);
+  const history = [{ time: now - 20 * MIN, price: 90 }, { time: now - 5 * MIN, price: 95 }];
+  assert.ok(checkAlert(alert, 99, history, now));
+  assert.equal(checkAlert(alert, 98, history, now), null);
+});
+
+test('checkAlert: samples older than the window are ignored', () => {
+  const alert = move(-5, now - 3 * 60 * MIN);
+  const history = [{ time: now - 61 * MIN, price: 200 }, { time: now - 5 * MIN, price: 100 }];
+  assert.equal(checkAlert(alert, 96, history, now), null);
+});
+
+test('checkAlert: the price at creation counts while it is inside the window', () => {
+  const alert = move(-5, now - 10 * MIN, 100);
+  assert.ok(checkAlert(alert, 95, [], now));
+  assert.equal(checkAlert(move(-5, now - 2 * 60 * MIN, 100), 95, [], now), null);
+});
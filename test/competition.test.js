@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitCompetitionArg } from '../src/competition.js';
+
+test('splitCompetitionArg: a trailing "in <name>" picks the competition', () => {
+  assert.deepEqual(splitCompetitionArg(['btc', 'long', 'in', 'sprint']), { args: ['btc', 'long'], competition: 'sprint' });
+  assert.deepEqual(splitCompetitionArg(['in', 'sprint']), { args: [], competition: 'sprint' });
+});
+
+test('splitCompetitionArg: without one the args are untouched', () => {
+  assert.deepEqual(splitCompetitionArg(['btc', 'long']), { args: ['btc', 'long'], competition: undefined });
+  assert.deepEqual(splitCompetitionArg(['btc']), { args: ['btc'], competition: undefined });
+  assert.deepEqual(splitCompetitionArg([]), { args: [], competition: undefined });
+});
+
+test('splitCompetitionArg: an "in" inside a comment stays in the comment', () => {
+  const args = ['btc', 'long', 'all', 'in', 'on', 'the', 'breakout'];
+  assert.deepEqual(splitCompetitionArg(args), { args, competition: undefined });
+  assert.deepEqual(
+    splitCompetitionArg(['btc', 'long', 'buying', 'in', 'here', 'in', 'sprint']),
+    { args: ['btc', 'long', 'buying', 'in', 'here'], competition: 'sprint' }
+  );
+  assert.deepEqual(splitCompetitionArg(['btc', 'long', 'in']), { args: ['btc', 'long', 'in'], competition: undefined });
+});
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEntryArgs, parseArgs } from '../src/commands/enter.js';
+
+test('parseEntryArgs: ticker alone defaults to a long', () => {
+  assert.deepEqual(parseEntryArgs(['btc']), { ticker: 'btc', side: 'long', rest: [] });
+});
+
+test('parseEntryArgs: side, size and leverage in any order after the ticker', () => {
+  assert.deepEqual(parseEntryArgs(['sol', 'short', '25%', '5x']), { ticker: 'sol', side: 'short', rest: [], sizePct: 25, leverage: 5 });
+  assert.deepEqual(parseEntryArgs(['sol', '3x', '$1,500']), { ticker: 'sol', side: 'long', rest: [], leverage: 3, sizeUsd: 1500 });
+  assert.deepEqual(parseEntryArgs(['eth', 'long', '500']), { ticker: 'eth', side: 'long', rest: [], sizeUsd: 500 });
+});
+
+test('parseEntryArgs: limit price, stop-loss and take-profit', () => {
+  assert.deepEqual(
+    parseEntryArgs(['eth', 'long', '@', '2,500', 'sl', '2400', 'tp', '$3000']),
+    { ticker: 'eth', side: 'long', rest: [], limitPrice: 2500, stopLoss: 2400, takeProfit: 3000 }
+  );
+  // "@2500" is the same as "@ 2500"
+  assert.equal(parseEntryArgs(['eth', '@2500']).limitPrice, 2500);
+  assert.ok(Number.isNaN(parseEntryArgs(['eth', 'sl']).stopLoss));
+});
+
+test('parseEntryArgs: only the first size and leverage count, the rest is comment', () => {
+  assert.deepEqual(
+    parseEntryArgs(['btc', 'long', '10%', '2x', '20%', '3x', 'breakout']),
+    { ticker: 'btc', side: 'long', rest: ['20%', '3x', 'breakout'], sizePct: 10, leverage: 2 }
+  );
+});
+
+test('parseArgs: a trailing "in <name>" is the competition', () => {
+  assert.deepEqual(parseArgs(['btc', 'short', '5x', 'in', 'sprint']), { ticker: 'btc', side: 'short', leverage: 5, competition: 'sprint' });
+  assert.equal(parseArgs(['btc', 'long']).competition, undefined);
+});
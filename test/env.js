@@ -0,0 +1,4 @@
+// Loaded before every test file (npm test passes it to --import)
+// src/db.js refuses to load without a DATABASE_URL; the pure functions under
+// test never query, so the pool behind this one is never connected
+process.env.DATABASE_URL ??= 'postgres://localhost/shumi_test';
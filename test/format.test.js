@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkLines } from '../src/util/pagination.js';
+import { parseCurrency, currencySymbol } from '../src/util/currency.js';
+import { formatConverted } from '../src/util/format.js';
+
+test('chunkLines: pages hold at most perPage lines', () => {
+  const lines = Array.from({ length: 45 }, (_, i) => `line ${i}`);
+  const pages = chunkLines(lines);
+  assert.deepEqual(pages.map(p => p.length), [20, 20, 5]);
+  assert.deepEqual(pages.flat(), lines);
+  assert.deepEqual(chunkLines(lines, 50).map(p => p.length), [45]);
+  assert.deepEqual(chunkLines([]), []);
+});
+
+test('chunkLines: pages stay under maxChars, newlines included', () => {
+  const lines = ['a'.repeat(9), 'b'.repeat(9), 'c'.repeat(9)];
+  assert.deepEqual(chunkLines(lines, 20, 20), [[lines[0], lines[1]], [lines[2]]]);
+  // one line longer than a page still gets a page of its own
+  assert.deepEqual(chunkLines(['x'.repeat(30), 'y'], 20, 20), [['x'.repeat(30)], ['y']]);
+});
+
+test('parseCurrency: supported codes in any case, otherwise null', () => {
+  assert.equal(parseCurrency('EUR'), 'eur');
+  assert.equal(parseCurrency('btc'), 'btc');
+  assert.equal(parseCurrency('$usd'), 'usd');
+  assert.equal(parseCurrency('yen'), null);
+  assert.equal(parseCurrency(''), null);
+  assert.equal(parseCurrency(undefined), null);
+});
+
+test('currencySymbol: known symbols, code otherwise', () => {
+  assert.equal(currencySymbol('eur'), '€');
+  assert.equal(currencySymbol(), '$');
+  assert.equal(currencySymbol('xyz'), 'XYZ ');
+});
+
+test('formatConverted: converts at the rate with the currency symbol', () => {
+  assert.equal(formatConverted(10000, 'eur', 0.92), '≈ €9,200.00');
+  assert.equal(formatConverted(-1234.5, 'eur', 0.92), '≈ -€1,135.74');
+  assert.equal(formatConverted('100', 'gbp', 0.8), '≈ £80.00');
+});
+
+test('formatConverted: crypto quotes keep six decimals', () => {
+  assert.equal(formatConverted(10000, 'btc', 0.00001), '≈ ₿0.100000');
+  assert.equal(formatConverted(1, 'eth', 0.0004), '≈ Ξ0.000400');
+});
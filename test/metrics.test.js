@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEquityCurve, buildReturnIndex, dailyCloses, maxDrawdownPct, calcMetrics } from '../src/metrics.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+const at = iso => new Date(`2026-10-${iso}Z`);
+
+test('buildEquityCurve: fills add up from the starting balance', () => {
+  const curve = buildEquityCurve({ key: 1, startAt: at('05T00:00'), endAt: null, startingBalance: '1000' }, [
+    { time: at('05T12:00'), pnlUsd: '100' },
+    { time: at('06T12:00'), pnlUsd: '-50' }
+  ]);
+  assert.equal(curve.endAt, null);
+  assert.deepEqual(curve.points.map(p => p.equity), [1100, 1050]);
+});
+
+test('buildEquityCurve: snapshots take over while they cover the entry', () => {
+  const curve = buildEquityCurve({ key: 1, startAt: at('05T00:00'), startingBalance: 1000 }, [
+    { time: at('05T06:00'), pnlUsd: 10 },
+    { time: at('05T18:00'), pnlUsd: 20 },
+    { time: at('07T00:00'), pnlUsd: 30 }
+  ], [
+    { time: at('05T12:00'), equity: 1005 },
+    { time: at('06T12:00'), equity: 1040 }
+  ]);
+  assert.deepEqual(curve.points.map(p => p.equity), [1010, 1005, 1040, 1060]);
+});
+
+test('buildReturnIndex: one entry reads as its own return', () => {
+  const index = buildReturnIndex([{
+    key: 1, startAt: at('05T00:00'), endAt: null, startingBalance: 1000,
+    points: [{ time: at('05T12:00'), equity: 1100 }, { time: at('06T12:00'), equity: 990 }]
+  }]);
+  assert.equal(index.length, 3);
+  assert.equal(index[0].value, 1);
+  close(index[1].value, 1.1);
+  close(index[2].value, 0.99);
+});
+
+test('buildReturnIndex: entries starting and ending are not gains or losses', () => {
+  const index = buildReturnIndex([
+    { key: 'a', startAt: at('05T00:00'), endAt: null, startingBalance: 1000,
+      points: [{ time: at('05T12:00'), equity: 1100 }, { time: at('07T12:00'), equity: 1210 }] },
+    { key: 'b', startAt: at('05T06:00'), endAt: at('06T00:00'), startingBalance: 1000, points: [] }
+  ]);
+  // a's +100 is measured against both bankrolls while b is live, then alone
+  close(index[1].value, 2100 / 2000);
+  close(index[2].value, 2100 / 2000 * 1.1);
+  assert.deepEqual(buildReturnIndex([]), []);
+});
+
+test('dailyCloses and maxDrawdownPct', () => {
+  const index = [
+    { time: at('05T00:00'), value: 1 },
+    { time: at('05T12:00'), value: 1.2 },
+    { time: at('06T12:00'), value: 0.9 },
+    { time: at('07T12:00'), value: 1.1 }
+  ];
+  assert.deepEqual(dailyCloses(index, at('08T06:00')), [1, 1.2, 0.9, 1.1, 1.1]);
+  close(maxDrawdownPct(index), 25);
+  assert.equal(maxDrawdownPct([{ value: 1 }, { value: 2 }]), 0);
+});
+
+test('calcMetrics: Sharpe, Sortino, drawdown and Calmar from daily returns', () => {
+  const index = [
+    { time: at('05T00:00'), value: 1 },
+    { time: at('05T12:00'), value: 1.1 },
+    { time: at('06T12:00'), value: 1.045 }
+  ];
+  const m = calcMetrics(index, at('06T18:00'));
+  const returns = [0.1, -0.05];
+  const mean = 0.025;
+  const sd = Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / 1);
+  const downside = Math.sqrt(0.05 ** 2 / 2);
+  assert.equal(m.days, 2);
+  close(m.totalReturnPct, 4.5);
+  close(m.maxDrawdownPct, 5);
+  close(m.sharpe, mean / sd * Math.sqrt(365));
+  close(m.sortino, mean / downside * Math.sqrt(365));
+  close(m.calmar, 0.9);
+});
+
+test('calcMetrics: ratios are null with too little data or no risk', () => {
+  const m = calcMetrics([{ time: at('05T00:00'), value: 1 }, { time: at('05T12:00'), value: 1.1 }], at('05T18:00'));
+  assert.equal(m.days, 1);
+  assert.equal(m.sharpe, null);
+  assert.equal(m.sortino, null);
+  assert.equal(m.calmar, null);
+  close(m.totalReturnPct, 10);
+
+  const empty = calcMetrics([]);
+  assert.equal(empty.totalReturnPct, 0);
+  assert.equal(empty.days, 0);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calcPnlPct, calcDurationBonus, getScoringStrategy, isValidScoringMode,
+  listScoringModes, rankEntries, DEFAULT_SCORING_MODE
+} from '../src/scoring.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('calcPnlPct: unleveraged long and short', () => {
+  close(calcPnlPct('long', 100, 110), 10);
+  close(calcPnlPct('short', 100, 110), -10);
+  close(calcPnlPct('short', 100, 90), 10);
+  close(calcPnlPct(undefined, 100, 105), 5);
+});
+
+test('calcPnlPct: leverage multiplies the move on margin', () => {
+  close(calcPnlPct('long', 100, 110, 5), 50);
+  close(calcPnlPct('short', 100, 98, '10'), 20);
+});
+
+test('calcPnlPct: a leveraged loss stops at -100% (liquidation)', () => {
+  assert.equal(calcPnlPct('long', 100, 70, 5), -100);
+  assert.equal(calcPnlPct('short', 100, 150, 3), -100);
+  // unleveraged shorts can lose more than their size
+  close(calcPnlPct('short', 100, 250), -150);
+});
+
+test('calcDurationBonus: 1% a day, capped at 7%', () => {
+  const entry = new Date('2026-10-01T00:00:00Z');
+  close(calcDurationBonus(entry, new Date('2026-10-03T12:00:00Z')), 2.5);
+  assert.equal(calcDurationBonus(entry, new Date('2026-10-20T00:00:00Z')), 7);
+  assert.equal(calcDurationBonus(entry, new Date('2026-09-30T00:00:00Z')), 0);
+});
+
+const trades = [
+  { pnl_pct: 10, pnl_usd: 100, final_score: 12 },
+  { pnl_pct: -4, pnl_usd: -40, final_score: -3 },
+  { pnl_pct: 6, pnl_usd: 60, final_score: 6 }
+];
+
+test('getScoringStrategy: every listed mode resolves to itself', () => {
+  for (const mode of listScoringModes()) {
+    const strategy = getScoringStrategy(mode);
+    assert.equal(strategy.mode, mode);
+    assert.equal(typeof strategy.score, 'function');
+    assert.ok(isValidScoringMode(mode));
+  }
+});
+
+test('getScoringStrategy: scores per mode', () => {
+  close(getScoringStrategy('portfolio').score(trades, { starting_balance: 1000 }), 12);
+  close(getScoringStrategy('portfolio').score(trades, { starting_balance: 1000, partial_pnl_usd: 30 }), 15);
+  assert.equal(getScoringStrategy('portfolio').score(trades, { starting_balance: 0 }), 0);
+  close(getScoringStrategy('yolo').score(trades), 12);
+  close(getScoringStrategy('duration_enhanced').score(trades), 15);
+  close(getScoringStrategy('average').score(trades), 4);
+  assert.equal(getScoringStrategy('average').score([]), 0);
+  close(getScoringStrategy('best_n').score(trades), 12);
+  close(getScoringStrategy('best_2').score(trades), 16);
+  close(getScoringStrategy('BEST_1').score(trades), 10);
+});
+
+test('getScoringStrategy: risk_adjusted divides P&L by its spread', () => {
+  const risk = getScoringStrategy('risk_adjusted');
+  close(risk.score([{ pnl_pct: 5 }, { pnl_pct: 7 }]), 12 / Math.SQRT2);
+});
+
+test('getScoringStrategy: risk_adjusted scores 0 without a spread', () => {
+  const risk = getScoringStrategy('risk_adjusted');
+  assert.equal(risk.score([]), 0);
+  assert.equal(risk.score([{ pnl_pct: 50 }]), 0);
+  assert.equal(risk.score([{ pnl_pct: 4 }, { pnl_pct: 4 }]), 0);
+});
+
+test('getScoringStrategy: unknown modes fall back to the default', () => {
+  assert.equal(getScoringStrategy('nope').mode, DEFAULT_SCORING_MODE);
+  assert.equal(getScoringStrategy(undefined).mode, DEFAULT_SCORING_MODE);
+  assert.equal(isValidScoringMode('nope'), false);
+  assert.equal(isValidScoringMode('best_x'), false);
+});
+
+test('rankEntries: best first, ties keep join order, equity attached', () => {
+  const entries = [
+    { entry_id: 1, starting_balance: 1000 },
+    { entry_id: 2, starting_balance: 1000 },
+    { entry_id: 3, starting_balance: 1000 }
+  ];
+  const ranked = rankEntries('yolo', entries, [
+    { entry_id: 2, pnl_pct: 5, pnl_usd: 50 },
+    { entry_id: 3, pnl_pct: -2, pnl_usd: -20 }
+  ]);
+  assert.deepEqual(ranked.map(e => e.entry_id), [2, 1, 3]);
+  assert.deepEqual(ranked.map(e => e.tradeCount), [1, 0, 1]);
+  assert.deepEqual(ranked.map(e => e.equity), [1050, 1000, 980]);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calcLiquidationPrice, validateTriggers } from '../src/trades.js';
+
+test('calcLiquidationPrice: null without leverage', () => {
+  assert.equal(calcLiquidationPrice('long', 100), null);
+  assert.equal(calcLiquidationPrice('long', 100, 1), null);
+  assert.equal(calcLiquidationPrice('short', 100, 'x'), null);
+});
+
+test('calcLiquidationPrice: margin gone at 1/leverage against the position', () => {
+  assert.equal(calcLiquidationPrice('long', 100, 5), 80);
+  assert.equal(calcLiquidationPrice('short', 100, 4), 125);
+  assert.equal(calcLiquidationPrice('long', 100, '2'), 50);
+});
+
+test('validateTriggers: usable triggers pass', () => {
+  assert.equal(validateTriggers('long', 100), null);
+  assert.equal(validateTriggers('long', 100, 90, 120), null);
+  assert.equal(validateTriggers('short', 100, 110, 80), null);
+  assert.equal(validateTriggers('long', 100, 85, undefined, 5), null);
+});
+
+test('validateTriggers: triggers must be positive prices', () => {
+  assert.match(validateTriggers('long', 100, 0), /Stop-loss must be a positive price/);
+  assert.match(validateTriggers('long', 100, undefined, NaN), /Take-profit must be a positive price/);
+});
+
+test('validateTriggers: stop-loss on the losing side, take-profit on the winning side', () => {
+  assert.match(validateTriggers('long', 100, 100), /Stop-loss for a long must be below/);
+  assert.match(validateTriggers('short', 100, 95), /Stop-loss for a short must be above/);
+  assert.match(validateTriggers('long', 100, undefined, 99), /Take-profit for a long must be above/);
+  assert.match(validateTriggers('short', 100, undefined, 101), /Take-profit for a short must be below/);
+});
+
+test('validateTriggers: a stop-loss past liquidation would never trigger', () => {
+  assert.match(validateTriggers('long', 100, 80, undefined, 5), /past the 5x liquidation price/);
+  assert.match(validateTriggers('short', 100, 130, undefined, 4), /past the 4x liquidation price/);
+  assert.equal(validateTriggers('long', 100, 70), null);
+});